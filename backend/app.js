@@ -14,7 +14,14 @@ import fileUpload from "express-fileupload";
 import userRouter from "./routes/userRouter.js";
 import jobRouter from "./routes/jobRouter.js";
 import applicationRouter from "./routes/applicationRouter.js";
+import companyRouter from "./routes/companyRouter.js";
+import interviewRouter from "./routes/interviewRouter.js";
+import notificationRouter from "./routes/notificationRouter.js";
+import eventRouter from "./routes/eventRouter.js";
 import { newsLetterCron } from "./automation/newsLetterCron.js";
+import { jobArchiveCron } from "./automation/jobArchiveCron.js";
+import { jobAlertCron } from "./automation/jobAlertCron.js";
+import { emailOutboxWorker } from "./automation/emailOutboxWorker.js";
 
 const app = express();
 
@@ -97,6 +104,10 @@ app.get("/", (req, res) => {
 app.use("/api/v1/user", userRouter);
 app.use("/api/v1/job", jobRouter);
 app.use("/api/v1/application", applicationRouter);
+app.use("/api/v1/company", companyRouter);
+app.use("/api/v1/interview", interviewRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/events", eventRouter);
 
 // Initialize database connection and schema at startup
 getConnectionPool()
@@ -139,6 +150,9 @@ app.use(async (req, res, next) => {
 if (process.env.NODE_ENV !== "production" || process.env.RUN_CRON === "true") {
   try {
     newsLetterCron();
+    jobArchiveCron();
+    jobAlertCron();
+    emailOutboxWorker();
   } catch (error) {
     console.error("Error starting cron jobs:", error);
   }
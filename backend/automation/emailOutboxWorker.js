@@ -0,0 +1,53 @@
+import cron from "node-cron";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
+import { sendEmail } from "../utils/sendEmail.js";
+
+// Emails sent per run; the rest wait for the next minute
+const BATCH_SIZE = 50;
+
+export const emailOutboxWorker = () => {
+  cron.schedule("*/1 * * * *", async () => {
+    try {
+      const emails = await EmailOutboxModel.claimDue(BATCH_SIZE);
+
+      if (emails.length === 0) return;
+
+      console.log(`Sending ${emails.length} queued emails`);
+
+      for (const email of emails) {
+        try {
+          await sendEmail({
+            email: email.email,
+            subject: email.subject,
+            message: email.message,
+            html: email.html || undefined,
+            attachments: email.attachments || undefined,
+            headers: email.headers || undefined,
+          });
+          await EmailOutboxModel.markSent(email.id);
+        } catch (sendError) {
+          const status = await EmailOutboxModel.markFailed(
+            email,
+            sendError.message
+          );
+
+          if (status === "dead") {
+            console.error(
+              `Email ${email.id} to ${email.email} dead-lettered after ${email.attempts} attempts:`,
+              sendError.message
+            );
+          } else {
+            console.error(
+              `Failed to send email ${email.id} to ${email.email} (attempt ${email.attempts} of ${email.maxAttempts}):`,
+              sendError.message
+            );
+          }
+        }
+      }
+    } catch (error) {
+      console.error("ERROR IN EMAIL OUTBOX WORKER:", error.message);
+    }
+  });
+
+  console.log("Email outbox worker scheduled to run every minute");
+};
@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import cron from "node-cron";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
+import { JobAlertModel } from "../models/jobAlertModel.js";
+import { JobModel } from "../models/jobModel.js";
+import { UserModel } from "../models/userModel.js";
+import { jobAlertDigestEmail } from "../utils/emailTemplates.js";
+
+// Most jobs listed for a single alert in one digest
+const MAX_JOBS_PER_ALERT = 20;
+
+const DIGEST_TITLES = {
+  instant: "New jobs matching your alerts",
+  daily: "Your daily job alert digest",
+  weekly: "Your weekly job alert digest",
+};
+
+/**
+ * Group due alerts so each user gets one digest per frequency
+ */
+const groupAlerts = (alerts) => {
+  const groups = new Map();
+
+  for (const alert of alerts) {
+    const key = `${alert.userId}:${alert.frequency}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        user: alert.user,
+        frequency: alert.frequency,
+        alerts: [],
+      });
+    }
+    groups.get(key).alerts.push(alert);
+  }
+
+  return [...groups.values()];
+};
+
+/**
+ * Identify a digest by the alerts it covers and their cutoffs, so a run that
+ * fails after queueing it does not queue it again when retried
+ */
+const getDigestKey = (group) => {
+  const alertCutoffs = group.alerts
+    .map((alert) => `${alert.id}@${new Date(alert.lastCheckedAt).getTime()}`)
+    .join(",");
+  const hash = crypto.createHash("sha256").update(alertCutoffs).digest("hex");
+  return `job-alert:${group.user.id}:${group.frequency}:${hash}`;
+};
+
+export const jobAlertCron = () => {
+  cron.schedule("*/5 * * * *", async () => {
+    console.log("Running Job Alert Cron Automation");
+
+    try {
+      const alerts = await JobAlertModel.findDue();
+
+      if (alerts.length === 0) {
+        console.log("No job alerts due");
+        return;
+      }
+
+      for (const group of groupAlerts(alerts)) {
+        try {
+          // A job matching several alerts is only listed under the first one
+          const listedJobIds = new Set();
+          const sections = [];
+
+          for (const alert of group.alerts) {
+            const jobs = await JobModel.findAll({
+              ...JobAlertModel.toJobFilters(alert),
+              limit: MAX_JOBS_PER_ALERT,
+            });
+            const newJobs = jobs.filter((job) => !listedJobIds.has(job.id));
+            newJobs.forEach((job) => listedJobIds.add(job.id));
+
+            if (newJobs.length > 0) {
+              sections.push({
+                heading: JobAlertModel.describe(alert),
+                jobs: newJobs,
+              });
+            }
+          }
+
+          if (sections.length > 0) {
+            const unsubscribeToken = UserModel.generateUnsubscribeToken(
+              group.user,
+              "jobAlerts"
+            );
+
+            await EmailOutboxModel.enqueue({
+              idempotencyKey: getDigestKey(group),
+              email: group.user.email,
+              ...jobAlertDigestEmail({
+                user: group.user,
+                title: DIGEST_TITLES[group.frequency],
+                jobGroups: sections,
+                jobCount: listedJobIds.size,
+                unsubscribeToken,
+              }),
+            });
+
+            console.log(
+              `Job alert digest with ${listedJobIds.size} jobs queued for: ${group.user.email}`
+            );
+          }
+
+          // Only advance the cutoff once the digest is queued, so a failure
+          // is retried on the next run
+          await JobAlertModel.markChecked(
+            group.alerts.map((alert) => alert.id),
+            group.alerts[0].checkedAt
+          );
+        } catch (groupError) {
+          console.error(
+            `Failed to process job alerts for ${group.user.email}:`,
+            groupError.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("ERROR IN JOB ALERT CRON:", error.message);
+    }
+  });
+
+  console.log("Job alert cron job scheduled to run every 5 minutes");
+};
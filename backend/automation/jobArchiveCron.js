@@ -0,0 +1,67 @@
+import cron from "node-cron";
+import { JobModel } from "../models/jobModel.js";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
+import { NOTIFICATION_TYPES } from "../models/notificationModel.js";
+import { jobArchivedEmail } from "../utils/emailTemplates.js";
+import { notify } from "../utils/notify.js";
+import { broadcast } from "../utils/realtime.js";
+
+export const jobArchiveCron = () => {
+  cron.schedule("0 * * * *", async () => {
+    console.log("Running Job Archive Cron Automation");
+
+    try {
+      // Archiving and fetching happen in one UPDATE, so each expired job is
+      // returned (and its employer notified) exactly once
+      const jobs = await JobModel.archiveExpiredJobs();
+
+      if (jobs.length === 0) {
+        console.log("No expired jobs to archive");
+        return;
+      }
+
+      console.log(`Archived ${jobs.length} expired jobs`);
+
+      for (const job of jobs) {
+        broadcast("job:status", {
+          id: job.id,
+          status: job.status,
+          acceptingApplications: false,
+        });
+      }
+
+      await notify(
+        jobs.map((job) => ({
+          userId: job.postedBy,
+          type: NOTIFICATION_TYPES.JOB_ARCHIVED,
+          title: "Job archived",
+          message: `The deadline for ${job.title} has passed and it has been archived.`,
+          link: "/dashboard",
+        }))
+      );
+
+      for (const job of jobs) {
+        if (!job.poster) continue;
+
+        try {
+          await EmailOutboxModel.enqueue({
+            idempotencyKey: `job-archived:${job.id}`,
+            email: job.poster.email,
+            ...jobArchivedEmail({ user: job.poster, job }),
+          });
+
+          console.log(`Archive notice queued for: ${job.poster.email}`);
+        } catch (emailError) {
+          console.error(
+            `Failed to queue archive notice for ${job.poster.email}:`,
+            emailError.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("ERROR IN JOB ARCHIVE CRON:", error.message);
+    }
+  });
+
+  console.log("Job archive cron job scheduled to run every hour");
+};
@@ -1,80 +1,126 @@
 import cron from "node-cron";
 import { JobModel } from "../models/jobModel.js";
 import { UserModel } from "../models/userModel.js";
-import { sendEmail } from "../utils/sendEmail.js";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
+import {
+  newsletterDigestEmail,
+  newsletterEmail,
+} from "../utils/emailTemplates.js";
 
-export const newsLetterCron = () => {
-  cron.schedule("*/1 * * * *", async () => {
-    console.log("Running Newsletter Cron Automation (Raw PostgreSQL)");
+// Most jobs listed in one newsletter digest
+const MAX_DIGEST_JOBS = 30;
+
+const getNewsletterUnsubscribeToken = (user) =>
+  UserModel.generateUnsubscribeToken(user, "newsletter");
+
+/**
+ * Email each new job to the users who get the newsletter instantly
+ */
+const sendInstantNewsletters = async () => {
+  // Get jobs that haven't had newsletters sent yet
+  const jobs = await JobModel.getJobsForNewsletter();
+
+  if (jobs.length === 0) {
+    console.log("No new jobs found for newsletter");
+    return;
+  }
 
+  console.log(`Processing ${jobs.length} jobs for newsletter`);
+
+  for (const job of jobs) {
     try {
-      // Get jobs that haven't had newsletters sent yet
-      const jobs = await JobModel.getJobsForNewsletter();
+      // Find users whose niches match the job niche and who want each job
+      // as it is posted. Digest subscribers get it in their next digest.
+      const filteredUsers = await UserModel.findByJobNiche(job.jobNiche, {
+        newsletterFrequency: "instant",
+      });
+
+      if (filteredUsers.length === 0) {
+        console.log(`No users found for job niche: ${job.jobNiche}`);
+      } else {
+        console.log(
+          `Queueing newsletter for ${filteredUsers.length} users for job: ${job.title}`
+        );
+      }
 
-      if (jobs.length === 0) {
-        console.log("No new jobs found for newsletter");
-        return;
+      // Queue an email for each matching user. A failure to queue leaves
+      // the job unmarked so the next run retries it; users who were
+      // already queued are skipped through the idempotency key.
+      for (const user of filteredUsers) {
+        await EmailOutboxModel.enqueue({
+          idempotencyKey: `newsletter:${job.id}:${user.id}`,
+          email: user.email,
+          ...newsletterEmail({
+            user,
+            job,
+            unsubscribeToken: getNewsletterUnsubscribeToken(user),
+          }),
+        });
       }
 
-      console.log(`Processing ${jobs.length} jobs for newsletter`);
-
-      for (const job of jobs) {
-        try {
-          // Find users whose niches match the job niche
-          const filteredUsers = await UserModel.findByJobNiche(job.jobNiche);
-
-          if (filteredUsers.length === 0) {
-            console.log(`No users found for job niche: ${job.jobNiche}`);
-            continue;
-          }
-
-          console.log(
-            `Sending newsletter to ${filteredUsers.length} users for job: ${job.title}`
-          );
-
-          // Send email to each matching user
-          for (const user of filteredUsers) {
-            try {
-              const subject = `Hot Job Alert: ${job.title} in ${job.jobNiche} Available Now`;
-              const message = `Hi ${user.name},
-
-Great news! A new job that fits your niche has just been posted. The position is for a ${job.title} with ${job.companyName}, and they are looking to hire immediately.
-
-Job Details:
-- **Position:** ${job.title}
-- **Company:** ${job.companyName}
-- **Location:** ${job.location}
-- **Salary:** ${job.salary}
-
-Don't wait too long! Job openings like these are filled quickly. 
-
-We're here to support you in your job search. Best of luck!
-
-Best Regards,
-JobSphere Team`;
-
-              await sendEmail({
-                email: user.email,
-                subject,
-                message,
-              });
-
-              console.log(`Newsletter sent to: ${user.email}`);
-            } catch (emailError) {
-              console.error(
-                `Failed to send email to ${user.email}:`,
-                emailError.message
-              );
-            }
-          }
-
-          // Mark job as newsletter sent
-          await JobModel.updateById(job.id, { newsLettersSent: true });
-          console.log(`Marked job ${job.title} as newsletter sent`);
-        } catch (jobError) {
-          console.error(`Error processing job ${job.id}:`, jobError.message);
-        }
+      // Mark job as newsletter sent
+      await JobModel.updateById(job.id, { newsLettersSent: true });
+      console.log(`Marked job ${job.title} as newsletter sent`);
+    } catch (jobError) {
+      console.error(`Error processing job ${job.id}:`, jobError.message);
+    }
+  }
+};
+
+/**
+ * Email a round-up of the jobs posted in their niches to users whose daily
+ * or weekly digest is due
+ */
+const sendNewsletterDigests = async () => {
+  const users = await UserModel.findNewsletterDigestsDue();
+
+  for (const user of users) {
+    try {
+      const jobs = await JobModel.findAll({
+        jobNiches: [user.firstNiche, user.secondNiche, user.thirdNiche],
+        createdAfter: user.lastNewsletterDigestAt,
+        acceptingApplications: true,
+        sort: "newest",
+        limit: MAX_DIGEST_JOBS,
+      });
+
+      if (jobs.length > 0) {
+        await EmailOutboxModel.enqueue({
+          idempotencyKey: `newsletter-digest:${user.id}:${new Date(
+            user.lastNewsletterDigestAt
+          ).getTime()}`,
+          email: user.email,
+          ...newsletterDigestEmail({
+            user,
+            frequency: user.newsletterFrequency,
+            jobs,
+            unsubscribeToken: getNewsletterUnsubscribeToken(user),
+          }),
+        });
+        console.log(
+          `Newsletter digest with ${jobs.length} jobs queued for: ${user.email}`
+        );
       }
+
+      // Only advance the cutoff once the digest is queued, so a failure is
+      // retried on the next run
+      await UserModel.markNewsletterDigestSent(user.id, user.checkedAt);
+    } catch (userError) {
+      console.error(
+        `Error processing newsletter digest for ${user.email}:`,
+        userError.message
+      );
+    }
+  }
+};
+
+export const newsLetterCron = () => {
+  cron.schedule("*/1 * * * *", async () => {
+    console.log("Running Newsletter Cron Automation (Raw PostgreSQL)");
+
+    try {
+      await sendInstantNewsletters();
+      await sendNewsletterDigests();
     } catch (error) {
       console.error("ERROR IN NEWSLETTER CRON:", error.message);
     }
@@ -1,9 +1,58 @@
 import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
 import ErrorHandler from "../middlewares/error.js";
-import { ApplicationModel } from "../models/applicationModel.js";
+import {
+  ApplicationModel,
+  APPLICATION_STATUSES,
+} from "../models/applicationModel.js";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
 import { JobModel } from "../models/jobModel.js";
+import { NOTIFICATION_TYPES } from "../models/notificationModel.js";
 import { UserModel } from "../models/userModel.js";
+import {
+  applicationConfirmationEmail,
+  applicationStatusEmail,
+} from "../utils/emailTemplates.js";
+import { notify } from "../utils/notify.js";
 import { convertPhoneToNumber } from "../utils/phoneUtils.js";
+import { publish } from "../utils/realtime.js";
+
+/**
+ * Push an application, with its job and people, to the open event streams
+ * of the given users. A failure is only logged.
+ */
+const pushApplication = async (event, id, userIds, extra = {}) => {
+  try {
+    const application = await ApplicationModel.findByIdWithDetails(id);
+    publish(userIds, event, { application, ...extra });
+  } catch (error) {
+    console.error(
+      `Failed to push ${event} for application ${id}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Email the job seeker about a status change, unless they turned off
+ * application update emails. Failures are only logged.
+ */
+const notifyApplicationStatus = async (application) => {
+  try {
+    const jobSeeker = await UserModel.findById(application.jobSeekerUserId);
+    if (!jobSeeker || !jobSeeker.applicationStatusEmails) return;
+
+    await EmailOutboxModel.enqueue({
+      idempotencyKey: `application-status:${application.id}:${application.status}`,
+      email: jobSeeker.email,
+      ...applicationStatusEmail({ user: jobSeeker, application }),
+    });
+  } catch (error) {
+    console.error(
+      `Failed to queue status update for application ${application.id}:`,
+      error.message
+    );
+  }
+};
 
 export const postApplication = catchAsyncErrors(async (req, res, next) => {
   const { id } = req.params;
@@ -24,17 +73,18 @@ export const postApplication = catchAsyncErrors(async (req, res, next) => {
     );
   }
 
-  // Check if user is a job seeker
-  if (req.user.role !== "Job Seeker") {
-    return next(new ErrorHandler("Only job seekers can apply for jobs.", 400));
-  }
-
   // Get job details
   const job = await JobModel.findByIdWithPoster(id);
   if (!job) {
     return next(new ErrorHandler("Job not found.", 404));
   }
 
+  if (!JobModel.isAcceptingApplications(job)) {
+    return next(
+      new ErrorHandler("This job is no longer accepting applications.", 400)
+    );
+  }
+
   // Check if user already applied
   const existingApplication = await ApplicationModel.findExisting(
     req.user.id,
@@ -69,6 +119,30 @@ export const postApplication = catchAsyncErrors(async (req, res, next) => {
 
   const application = await ApplicationModel.create(applicationData);
 
+  await notify({
+    userId: job.postedBy,
+    type: NOTIFICATION_TYPES.APPLICATION_RECEIVED,
+    title: "New application",
+    message: `${name} applied for ${job.title}.`,
+    link: `/application/${application.id}`,
+  });
+  await pushApplication("application:new", application.id, job.postedBy);
+
+  // The application is already saved, so a failure to queue the
+  // confirmation is only logged
+  try {
+    await EmailOutboxModel.enqueue({
+      idempotencyKey: `application-confirmation:${application.id}`,
+      email,
+      ...applicationConfirmationEmail({ user: { name }, job }),
+    });
+  } catch (error) {
+    console.error(
+      `Failed to queue application confirmation for ${email}:`,
+      error.message
+    );
+  }
+
   res.status(201).json({
     success: true,
     message: "Application submitted successfully.",
@@ -78,12 +152,6 @@ export const postApplication = catchAsyncErrors(async (req, res, next) => {
 
 export const employerGetAllApplication = catchAsyncErrors(
   async (req, res, next) => {
-    if (req.user.role !== "Employer") {
-      return next(
-        new ErrorHandler("Only employers can access this resource.", 400)
-      );
-    }
-
     const applications = await ApplicationModel.findByEmployer(req.user.id);
 
     res.status(200).json({
@@ -95,12 +163,6 @@ export const employerGetAllApplication = catchAsyncErrors(
 
 export const jobSeekerGetAllApplication = catchAsyncErrors(
   async (req, res, next) => {
-    if (req.user.role !== "Job Seeker") {
-      return next(
-        new ErrorHandler("Only job seekers can access this resource.", 400)
-      );
-    }
-
     const applications = await ApplicationModel.findByJobSeeker(req.user.id);
 
     res.status(200).json({
@@ -147,15 +209,220 @@ export const deleteApplication = catchAsyncErrors(async (req, res, next) => {
       req.user.id
     );
   } else {
-    return next(new ErrorHandler("Invalid user role.", 400));
+    return next(
+      new ErrorHandler(
+        `${req.user.role} not allowed to access this resource.`,
+        403
+      )
+    );
   }
 
   if (!deletedApplication) {
     return next(new ErrorHandler("Failed to delete application.", 500));
   }
 
+  // Let the other side know, unless they already removed it themselves
+  if (req.user.role === "Job Seeker" && !application.deletedByEmployer) {
+    await notify({
+      userId: application.employerUserId,
+      type: NOTIFICATION_TYPES.APPLICATION_WITHDRAWN,
+      title: "Application withdrawn",
+      message: `${application.jobSeekerName} withdrew their application for ${application.jobTitle}.`,
+    });
+  } else if (
+    req.user.role === "Employer" &&
+    !application.deletedByJobSeeker
+  ) {
+    await notify({
+      userId: application.jobSeekerUserId,
+      type: NOTIFICATION_TYPES.APPLICATION_REMOVED,
+      title: "Application removed",
+      message: `Your application for ${application.jobTitle} was removed by the employer.`,
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: "Application deleted successfully.",
   });
 });
+
+export const updateApplicationStatus = catchAsyncErrors(
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+      return next(
+        new ErrorHandler("Please provide the new application status.", 400)
+      );
+    }
+
+    if (!APPLICATION_STATUSES.includes(status)) {
+      return next(
+        new ErrorHandler(
+          `Invalid status. Must be one of: ${APPLICATION_STATUSES.join(", ")}.`,
+          400
+        )
+      );
+    }
+
+    const application = await ApplicationModel.findById(id);
+    if (!application || application.deletedByEmployer) {
+      return next(new ErrorHandler("Application not found.", 404));
+    }
+
+    if (application.employerUserId !== req.user.id) {
+      return next(
+        new ErrorHandler(
+          "You are not authorized to update this application.",
+          403
+        )
+      );
+    }
+
+    if (!ApplicationModel.canTransition(application.status, status)) {
+      return next(
+        new ErrorHandler(
+          `Cannot move application from "${application.status}" to "${status}".`,
+          400
+        )
+      );
+    }
+
+    const updatedApplication = await ApplicationModel.updateStatus(id, {
+      fromStatus: application.status,
+      toStatus: status,
+      changedBy: req.user.id,
+      note,
+    });
+
+    if (!updatedApplication) {
+      return next(
+        new ErrorHandler(
+          "Application status was changed by someone else. Please refresh and try again.",
+          409
+        )
+      );
+    }
+
+    const statusHistory = await ApplicationModel.findStatusHistory(id);
+
+    await notify({
+      userId: application.jobSeekerUserId,
+      type: NOTIFICATION_TYPES.APPLICATION_STATUS_CHANGED,
+      title: `Application ${status.toLowerCase()}`,
+      message: `Your application for ${application.jobTitle} was moved to ${status}.`,
+      link: `/application/${id}`,
+    });
+    await notifyApplicationStatus(updatedApplication);
+    await pushApplication(
+      "application:status",
+      id,
+      [application.jobSeekerUserId, application.employerUserId],
+      { statusHistory }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Application moved to ${status}.`,
+      application: updatedApplication,
+      statusHistory,
+    });
+  }
+);
+
+export const getApplicationStatusHistory = catchAsyncErrors(
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    const application = await ApplicationModel.findById(id);
+    if (!application) {
+      return next(new ErrorHandler("Application not found.", 404));
+    }
+
+    if (
+      application.jobSeekerUserId !== req.user.id &&
+      application.employerUserId !== req.user.id
+    ) {
+      return next(
+        new ErrorHandler(
+          "You are not authorized to view this application.",
+          403
+        )
+      );
+    }
+
+    const statusHistory = await ApplicationModel.findStatusHistory(id);
+
+    res.status(200).json({
+      success: true,
+      status: application.status,
+      statusHistory,
+    });
+  }
+);
+
+export const getJobApplications = catchAsyncErrors(async (req, res, next) => {
+  const { jobId } = req.params;
+
+  const job = await JobModel.findById(jobId);
+  if (!job) {
+    return next(new ErrorHandler("Job not found.", 404));
+  }
+
+  if (job.postedBy !== req.user.id) {
+    return next(
+      new ErrorHandler(
+        "You are not authorized to view applications for this job.",
+        403
+      )
+    );
+  }
+
+  const [applications, total] = await Promise.all([
+    ApplicationModel.findByJobId(jobId, req.user.id),
+    ApplicationModel.countApplications({
+      jobId,
+      employerUserId: req.user.id,
+    }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    job: {
+      id: job.id,
+      title: job.title,
+    },
+    applications,
+    total,
+  });
+});
+
+export const getApplicationDetails = catchAsyncErrors(
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    const application = await ApplicationModel.findByIdWithDetails(id);
+
+    // Applications the viewer has deleted are hidden from them
+    const isApplicant =
+      application?.jobSeekerUserId === req.user.id &&
+      !application.deletedByJobSeeker;
+    const isEmployer =
+      application?.employerUserId === req.user.id &&
+      !application.deletedByEmployer;
+
+    if (!application || (!isApplicant && !isEmployer)) {
+      return next(new ErrorHandler("Application not found.", 404));
+    }
+
+    const statusHistory = await ApplicationModel.findStatusHistory(id);
+
+    res.status(200).json({
+      success: true,
+      application,
+      statusHistory,
+    });
+  }
+);
@@ -0,0 +1,182 @@
+import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
+import ErrorHandler from "../middlewares/error.js";
+import { ApplicationMessageModel } from "../models/applicationMessageModel.js";
+import { ApplicationModel } from "../models/applicationModel.js";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
+import { NOTIFICATION_TYPES } from "../models/notificationModel.js";
+import { UserModel } from "../models/userModel.js";
+import { applicationMessageEmail } from "../utils/emailTemplates.js";
+import { notify } from "../utils/notify.js";
+import { publish } from "../utils/realtime.js";
+
+/**
+ * Load the application behind a thread, checking that the user is its job
+ * seeker or the employer who owns it, and has not deleted it
+ */
+const findThreadApplication = async (id, user) => {
+  const application = await ApplicationModel.findById(id);
+  if (!application) {
+    throw new ErrorHandler("Application not found.", 404);
+  }
+
+  if (
+    application.jobSeekerUserId !== user.id &&
+    application.employerUserId !== user.id
+  ) {
+    throw new ErrorHandler(
+      "You are not authorized to access this conversation.",
+      403
+    );
+  }
+
+  // Applications the viewer has deleted are hidden from them
+  const isApplicant =
+    application.jobSeekerUserId === user.id && !application.deletedByJobSeeker;
+  const isEmployer =
+    application.employerUserId === user.id && !application.deletedByEmployer;
+
+  if (!isApplicant && !isEmployer) {
+    throw new ErrorHandler("Application not found.", 404);
+  }
+
+  return application;
+};
+
+/**
+ * Tell the recipient about a new message, in-app and by email. Only the
+ * first unread message of a thread notifies, so a quick back and forth does
+ * not flood their inbox. Failures are only logged.
+ */
+const notifyNewMessage = async (application, message, recipientUserId) => {
+  try {
+    const unread = await ApplicationMessageModel.countUnread(
+      application.id,
+      recipientUserId
+    );
+    if (unread !== 1) return;
+
+    await notify({
+      userId: recipientUserId,
+      type: NOTIFICATION_TYPES.NEW_MESSAGE,
+      title: "New message",
+      message: `${message.senderName} sent you a message about ${application.jobTitle}.`,
+      link: `/application/${application.id}`,
+    });
+
+    const recipient = await UserModel.findById(recipientUserId);
+    if (!recipient || !recipient.messageEmails) return;
+
+    await EmailOutboxModel.enqueue({
+      idempotencyKey: `application-message:${message.id}`,
+      email: recipient.email,
+      ...applicationMessageEmail({
+        user: recipient,
+        sender: { name: message.senderName },
+        application,
+        body: message.body,
+      }),
+    });
+  } catch (error) {
+    console.error(
+      `Failed to notify about message ${message.id}:`,
+      error.message
+    );
+  }
+};
+
+export const getApplicationMessages = catchAsyncErrors(
+  async (req, res, next) => {
+    const application = await findThreadApplication(req.params.id, req.user);
+    const messages = await ApplicationMessageModel.findByApplicationId(
+      application.id
+    );
+
+    res.status(200).json({
+      success: true,
+      messages,
+    });
+  }
+);
+
+export const postApplicationMessage = catchAsyncErrors(
+  async (req, res, next) => {
+    const application = await findThreadApplication(req.params.id, req.user);
+    const { body } = req.body;
+
+    const validationErrors = ApplicationMessageModel.validateMessage(body);
+    if (validationErrors.length > 0) {
+      return next(new ErrorHandler(validationErrors.join(", "), 400));
+    }
+
+    if (application.deletedByJobSeeker || application.deletedByEmployer) {
+      return next(
+        new ErrorHandler(
+          "This application has been deleted, so no new messages can be sent.",
+          400
+        )
+      );
+    }
+
+    const message = await ApplicationMessageModel.create({
+      applicationId: application.id,
+      senderUserId: req.user.id,
+      body: body.trim(),
+    });
+
+    const recipientUserId =
+      req.user.id === application.jobSeekerUserId
+        ? application.employerUserId
+        : application.jobSeekerUserId;
+
+    // The sender's other tabs get it too
+    publish([recipientUserId, req.user.id], "message:new", { message });
+    await notifyNewMessage(application, message, recipientUserId);
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent.",
+      applicationMessage: message,
+    });
+  }
+);
+
+export const markApplicationMessagesRead = catchAsyncErrors(
+  async (req, res, next) => {
+    const application = await findThreadApplication(req.params.id, req.user);
+    const messages = await ApplicationMessageModel.markRead(
+      application.id,
+      req.user.id
+    );
+
+    const receipt = {
+      applicationId: application.id,
+      readerUserId: req.user.id,
+      messageIds: messages.map((message) => message.id),
+      readAt: messages.length > 0 ? messages[0].readAt : null,
+    };
+
+    if (messages.length > 0) {
+      // Read receipts for the sender, and a cleared badge for the reader's
+      // other tabs
+      publish(
+        [application.jobSeekerUserId, application.employerUserId],
+        "message:read",
+        receipt
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      receipt,
+    });
+  }
+);
+
+export const getMessageThreads = catchAsyncErrors(async (req, res, next) => {
+  const threads = await ApplicationMessageModel.findThreadsByUser(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    threads,
+  });
+});
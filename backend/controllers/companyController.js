@@ -0,0 +1,334 @@
+import { v2 as cloudinary } from "cloudinary";
+import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
+import ErrorHandler from "../middlewares/error.js";
+import { CompanyJoinRequestModel } from "../models/companyJoinRequestModel.js";
+import { CompanyModel } from "../models/companyModel.js";
+import { JobModel } from "../models/jobModel.js";
+import { NOTIFICATION_TYPES } from "../models/notificationModel.js";
+import { notify } from "../utils/notify.js";
+
+/**
+ * Upload a company logo sent as the `logo` file, if any
+ * @returns {Object|null} `{ logoUrl, logoPublicId }`, or null without a logo
+ */
+const uploadLogo = async (req) => {
+  if (!req.files || !req.files.logo) return null;
+
+  const { logo } = req.files;
+  if (!logo.mimetype || !logo.mimetype.startsWith("image/")) {
+    throw new ErrorHandler("Company logo must be an image.", 400);
+  }
+
+  try {
+    const cloudinaryResponse = await cloudinary.uploader.upload(
+      logo.tempFilePath,
+      { folder: "Company_Logos" }
+    );
+    return {
+      logoUrl: cloudinaryResponse.secure_url,
+      logoPublicId: cloudinaryResponse.public_id,
+    };
+  } catch (error) {
+    throw new ErrorHandler("Failed to upload company logo", 500);
+  }
+};
+
+// Only a company's owner edits its profile and decides who joins it
+const isCompanyOwner = (user, companyId) =>
+  user.companyId === companyId && user.companyRole === "owner";
+
+// Form values arrive as strings; an empty value clears an optional field
+const optionalField = (value) =>
+  value === undefined ? undefined : value.trim() || null;
+
+export const getCompanies = catchAsyncErrors(async (req, res, next) => {
+  const companies = await CompanyModel.search(req.query.search);
+
+  res.status(200).json({
+    success: true,
+    companies,
+  });
+});
+
+export const getCompany = catchAsyncErrors(async (req, res, next) => {
+  const company = await CompanyModel.findById(req.params.id);
+  if (!company) {
+    return next(new ErrorHandler("Company not found.", 404));
+  }
+
+  const jobs = await JobModel.findAll({
+    companyId: company.id,
+    acceptingApplications: true,
+    sort: "newest",
+  });
+
+  res.status(200).json({
+    success: true,
+    company,
+    jobs,
+  });
+});
+
+export const createCompany = catchAsyncErrors(async (req, res, next) => {
+  if (req.user.companyId) {
+    return next(new ErrorHandler("You already belong to a company.", 400));
+  }
+
+  const { name, website, description, size, headquartersCity } = req.body;
+
+  const companyData = {
+    name: name ? name.trim() : name,
+    website: optionalField(website),
+    description: optionalField(description),
+    size: size || null,
+    headquartersCity: optionalField(headquartersCity),
+  };
+
+  const validationErrors = CompanyModel.validateCompanyData(companyData);
+  if (validationErrors.length > 0) {
+    return next(new ErrorHandler(validationErrors.join(", "), 400));
+  }
+
+  const existingCompany = await CompanyModel.findByName(companyData.name);
+  if (existingCompany) {
+    return next(
+      new ErrorHandler(
+        `${existingCompany.name} already has a company profile. Ask its owner to let you join instead.`,
+        409
+      )
+    );
+  }
+
+  const logo = await uploadLogo(req);
+  const company = await CompanyModel.create(
+    { ...companyData, ...logo },
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Company profile created.",
+    company,
+  });
+});
+
+export const updateCompany = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  const company = await CompanyModel.findById(id);
+  if (!company) {
+    return next(new ErrorHandler("Company not found.", 404));
+  }
+
+  if (!isCompanyOwner(req.user, company.id)) {
+    return next(
+      new ErrorHandler("Only the company owner can update its profile.", 403)
+    );
+  }
+
+  const { name, website, description, size, headquartersCity } = req.body;
+
+  const updateData = {
+    name: name === undefined ? undefined : name.trim(),
+    website: optionalField(website),
+    description: optionalField(description),
+    size: size === undefined ? undefined : size || null,
+    headquartersCity: optionalField(headquartersCity),
+  };
+
+  // Validate the company as it will look after the update
+  const mergedCompany = { ...company };
+  for (const [key, value] of Object.entries(updateData)) {
+    if (value !== undefined) mergedCompany[key] = value;
+  }
+
+  const validationErrors = CompanyModel.validateCompanyData(mergedCompany);
+  if (validationErrors.length > 0) {
+    return next(new ErrorHandler(validationErrors.join(", "), 400));
+  }
+
+  if (updateData.name && updateData.name !== company.name) {
+    const existingCompany = await CompanyModel.findByName(updateData.name);
+    if (existingCompany && existingCompany.id !== company.id) {
+      return next(
+        new ErrorHandler(
+          `${existingCompany.name} already has a company profile.`,
+          409
+        )
+      );
+    }
+  }
+
+  const logo = await uploadLogo(req);
+  if (logo) {
+    Object.assign(updateData, logo);
+  }
+
+  if (Object.values(updateData).every((value) => value === undefined)) {
+    return next(
+      new ErrorHandler("Please provide company details to update.", 400)
+    );
+  }
+
+  const updatedCompany = await CompanyModel.updateById(id, updateData);
+
+  // Only remove the old logo once the new one is saved
+  if (logo && company.logoPublicId) {
+    try {
+      await cloudinary.uploader.destroy(company.logoPublicId);
+    } catch (error) {
+      console.error(
+        `Failed to delete old logo of company ${id}:`,
+        error.message
+      );
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company profile updated.",
+    company: updatedCompany,
+  });
+});
+
+export const joinCompany = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  const company = await CompanyModel.findById(id);
+  if (!company) {
+    return next(new ErrorHandler("Company not found.", 404));
+  }
+
+  if (req.user.companyId) {
+    return next(
+      new ErrorHandler(
+        req.user.companyId === company.id
+          ? `You already belong to ${company.name}.`
+          : "You already belong to a company.",
+        400
+      )
+    );
+  }
+
+  const ownerId = await CompanyModel.findOwnerId(company.id);
+  if (!ownerId) {
+    return next(
+      new ErrorHandler(
+        `${company.name} has no owner to approve your request.`,
+        400
+      )
+    );
+  }
+
+  const joinRequest = await CompanyJoinRequestModel.create(
+    company.id,
+    req.user.id
+  );
+  if (!joinRequest) {
+    return next(
+      new ErrorHandler(
+        `You already asked to join ${company.name}. Please wait for the owner to respond.`,
+        409
+      )
+    );
+  }
+
+  await notify({
+    userId: ownerId,
+    type: NOTIFICATION_TYPES.COMPANY_JOIN_REQUESTED,
+    title: "Request to join your company",
+    message: `${req.user.name} asked to join ${company.name}.`,
+    link: "/dashboard",
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Your request to join ${company.name} was sent to its owner.`,
+    joinRequest,
+  });
+});
+
+export const getJoinRequests = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!isCompanyOwner(req.user, id)) {
+    return next(
+      new ErrorHandler(
+        "Only the company owner can view requests to join it.",
+        403
+      )
+    );
+  }
+
+  const joinRequests = await CompanyJoinRequestModel.findPendingByCompanyId(id);
+
+  res.status(200).json({
+    success: true,
+    joinRequests,
+  });
+});
+
+export const respondToJoinRequest = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  if (!["approved", "rejected"].includes(status)) {
+    return next(
+      new ErrorHandler("Status must be either approved or rejected.", 400)
+    );
+  }
+
+  const joinRequest = await CompanyJoinRequestModel.findById(id);
+  if (!joinRequest) {
+    return next(new ErrorHandler("Join request not found.", 404));
+  }
+
+  if (!isCompanyOwner(req.user, joinRequest.companyId)) {
+    return next(
+      new ErrorHandler(
+        "Only the company owner can respond to requests to join it.",
+        403
+      )
+    );
+  }
+
+  if (joinRequest.status !== "pending") {
+    return next(
+      new ErrorHandler(`This request was already ${joinRequest.status}.`, 400)
+    );
+  }
+
+  const decidedRequest =
+    status === "approved"
+      ? await CompanyJoinRequestModel.approve(id, req.user.id)
+      : await CompanyJoinRequestModel.reject(id, req.user.id);
+  if (!decidedRequest) {
+    return next(
+      new ErrorHandler(
+        "This request can no longer be answered. The employer may have joined another company.",
+        409
+      )
+    );
+  }
+
+  const company = await CompanyModel.findById(joinRequest.companyId);
+  const approved = status === "approved";
+
+  await notify({
+    userId: joinRequest.userId,
+    type: approved
+      ? NOTIFICATION_TYPES.COMPANY_JOIN_APPROVED
+      : NOTIFICATION_TYPES.COMPANY_JOIN_REJECTED,
+    title: approved ? "Join request approved" : "Join request declined",
+    message: approved
+      ? `You are now a member of ${company.name} and can post jobs for it.`
+      : `Your request to join ${company.name} was declined.`,
+    link: "/dashboard",
+  });
+
+  res.status(200).json({
+    success: true,
+    message: approved ? "Request approved." : "Request declined.",
+    joinRequest: decidedRequest,
+  });
+});
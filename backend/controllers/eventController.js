@@ -0,0 +1,16 @@
+import { openEventStream } from "../utils/realtime.js";
+
+/**
+ * Stream live updates to the logged in user as Server-Sent Events:
+ *
+ * - application:new     a job seeker applied to one of the employer's jobs
+ * - application:status  an application of the user changed status
+ * - interview:updated   an interview was proposed, scheduled or cancelled
+ * - job:status          a job was opened, closed or archived
+ * - message:new         a message in one of the user's application threads
+ * - message:read        messages in one of those threads were read
+ * - notification        a new in-app notification for the user
+ */
+export const streamEvents = (req, res) => {
+  openEventStream(req, res);
+};
@@ -0,0 +1,355 @@
+import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
+import ErrorHandler from "../middlewares/error.js";
+import { ApplicationModel } from "../models/applicationModel.js";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
+import { InterviewModel } from "../models/interviewModel.js";
+import { NOTIFICATION_TYPES } from "../models/notificationModel.js";
+import { UserModel } from "../models/userModel.js";
+import {
+  interviewCancelledEmail,
+  interviewProposedEmail,
+  interviewScheduledEmail,
+} from "../utils/emailTemplates.js";
+import { buildCalendarInvite, calendarAttachment } from "../utils/ics.js";
+import { notify } from "../utils/notify.js";
+import { publish } from "../utils/realtime.js";
+
+// Applications in these stages are closed, so no interviews can be proposed
+// or accepted
+const CLOSED_APPLICATION_STATUSES = ["Hired", "Rejected"];
+
+const getParticipants = async (interview) => {
+  const [employer, jobSeeker] = await Promise.all([
+    UserModel.findById(interview.employerUserId),
+    UserModel.findById(interview.jobSeekerUserId),
+  ]);
+  return { employer, jobSeeker };
+};
+
+const pushInterview = (interview) => {
+  publish(
+    [interview.jobSeekerUserId, interview.employerUserId],
+    "interview:updated",
+    { interview }
+  );
+};
+
+/**
+ * Queue a calendar invite, or its cancellation, for both participants.
+ * The employer organizes the event and the job seeker attends it.
+ */
+const queueCalendarInvites = async (interview, method, buildEmail) => {
+  const { employer, jobSeeker } = await getParticipants(interview);
+  const start = new Date(interview.scheduledAt);
+
+  const invite = buildCalendarInvite({
+    method,
+    uid: `interview-${interview.id}@jobsphere`,
+    sequence: interview.icsSequence,
+    start,
+    end: new Date(start.getTime() + interview.durationMinutes * 60 * 1000),
+    summary: `Interview: ${interview.jobTitle}`,
+    description: [
+      `Interview for ${interview.jobTitle} between ${employer.name} and ${jobSeeker.name}.`,
+      interview.notes,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    location: interview.location || interview.meetingLink,
+    url: interview.meetingLink,
+    organizer: { name: employer.name, email: employer.email },
+    attendees: [{ name: jobSeeker.name, email: jobSeeker.email }],
+  });
+
+  for (const user of [employer, jobSeeker]) {
+    await EmailOutboxModel.enqueue({
+      idempotencyKey: `interview-${method.toLowerCase()}:${interview.id}:${interview.icsSequence}:${user.id}`,
+      email: user.email,
+      ...buildEmail(user),
+      attachments: [calendarAttachment(invite, method)],
+    });
+  }
+};
+
+export const proposeInterview = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+  const { slots, timezone, durationMinutes, location, meetingLink, notes } =
+    req.body;
+
+  const application = await ApplicationModel.findById(id);
+  if (!application) {
+    return next(new ErrorHandler("Application not found.", 404));
+  }
+
+  if (application.employerUserId !== req.user.id) {
+    return next(
+      new ErrorHandler(
+        "You are not authorized to schedule interviews for this application.",
+        403
+      )
+    );
+  }
+
+  if (
+    application.deletedByJobSeeker ||
+    application.deletedByEmployer ||
+    CLOSED_APPLICATION_STATUSES.includes(application.status)
+  ) {
+    return next(
+      new ErrorHandler(
+        "Interviews cannot be scheduled for a closed or deleted application.",
+        400
+      )
+    );
+  }
+
+  // Text fields are trimmed below, so anything else is rejected first
+  const textFields = {
+    Location: location,
+    "Meeting link": meetingLink,
+    Notes: notes,
+  };
+  for (const [label, value] of Object.entries(textFields)) {
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return next(new ErrorHandler(`${label} must be text.`, 400));
+    }
+  }
+
+  const interviewData = {
+    applicationId: application.id,
+    slots,
+    timezone,
+    durationMinutes:
+      durationMinutes === undefined || durationMinutes === ""
+        ? undefined
+        : Number(durationMinutes),
+    location: location ? location.trim() : null,
+    meetingLink: meetingLink ? meetingLink.trim() : null,
+    notes: notes ? notes.trim() : null,
+  };
+
+  const validationErrors = InterviewModel.validateInterviewData(interviewData);
+  if (validationErrors.length > 0) {
+    return next(new ErrorHandler(validationErrors.join(", "), 400));
+  }
+
+  const interview = await InterviewModel.create(interviewData);
+
+  await notify({
+    userId: interview.jobSeekerUserId,
+    type: NOTIFICATION_TYPES.INTERVIEW_PROPOSED,
+    title: "Interview request",
+    message: `${req.user.name} would like to interview you for ${interview.jobTitle}. Pick a time that suits you.`,
+    link: `/application/${application.id}`,
+  });
+  pushInterview(interview);
+
+  try {
+    const jobSeeker = await UserModel.findById(interview.jobSeekerUserId);
+    await EmailOutboxModel.enqueue({
+      idempotencyKey: `interview-proposed:${interview.id}`,
+      email: jobSeeker.email,
+      ...interviewProposedEmail({
+        user: jobSeeker,
+        employer: req.user,
+        interview,
+      }),
+    });
+  } catch (emailError) {
+    console.error(
+      `Failed to queue interview request ${interview.id}:`,
+      emailError.message
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Interview times sent to the candidate.",
+    interview,
+  });
+});
+
+export const getApplicationInterviews = catchAsyncErrors(
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    const application = await ApplicationModel.findById(id);
+    if (!application) {
+      return next(new ErrorHandler("Application not found.", 404));
+    }
+
+    if (
+      application.jobSeekerUserId !== req.user.id &&
+      application.employerUserId !== req.user.id
+    ) {
+      return next(
+        new ErrorHandler(
+          "You are not authorized to view interviews for this application.",
+          403
+        )
+      );
+    }
+
+    const interviews = await InterviewModel.findByApplicationId(id);
+
+    res.status(200).json({
+      success: true,
+      interviews,
+    });
+  }
+);
+
+export const acceptInterview = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+  const { slotId } = req.body;
+
+  const interview = await InterviewModel.findById(id);
+  if (!interview) {
+    return next(new ErrorHandler("Interview not found.", 404));
+  }
+
+  if (interview.jobSeekerUserId !== req.user.id) {
+    return next(
+      new ErrorHandler("You are not authorized to accept this interview.", 403)
+    );
+  }
+
+  if (interview.status !== "proposed") {
+    return next(
+      new ErrorHandler(`This interview is already ${interview.status}.`, 400)
+    );
+  }
+
+  if (!slotId) {
+    return next(new ErrorHandler("Please choose a time slot.", 400));
+  }
+
+  // The application may have been closed or deleted since the proposal
+  const application = await ApplicationModel.findById(interview.applicationId);
+  if (
+    !application ||
+    application.deletedByJobSeeker ||
+    application.deletedByEmployer
+  ) {
+    return next(new ErrorHandler("Application not found.", 404));
+  }
+
+  if (CLOSED_APPLICATION_STATUSES.includes(application.status)) {
+    return next(
+      new ErrorHandler(
+        "Interviews cannot be accepted for a closed application.",
+        409
+      )
+    );
+  }
+
+  const scheduledInterview = await InterviewModel.accept(id, slotId);
+  if (!scheduledInterview) {
+    return next(
+      new ErrorHandler(
+        "This time slot is no longer available. Please choose another one.",
+        400
+      )
+    );
+  }
+
+  await notify({
+    userId: scheduledInterview.employerUserId,
+    type: NOTIFICATION_TYPES.INTERVIEW_SCHEDULED,
+    title: "Interview scheduled",
+    message: `${req.user.name} accepted the interview for ${scheduledInterview.jobTitle}.`,
+    link: `/application/${scheduledInterview.applicationId}`,
+  });
+  pushInterview(scheduledInterview);
+
+  try {
+    await queueCalendarInvites(scheduledInterview, "REQUEST", (user) =>
+      interviewScheduledEmail({ user, interview: scheduledInterview })
+    );
+  } catch (emailError) {
+    console.error(
+      `Failed to queue invites for interview ${id}:`,
+      emailError.message
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Interview scheduled. A calendar invite is on its way.",
+    interview: scheduledInterview,
+  });
+});
+
+export const cancelInterview = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  const interview = await InterviewModel.findById(id);
+  if (!interview) {
+    return next(new ErrorHandler("Interview not found.", 404));
+  }
+
+  if (
+    interview.jobSeekerUserId !== req.user.id &&
+    interview.employerUserId !== req.user.id
+  ) {
+    return next(
+      new ErrorHandler("You are not authorized to cancel this interview.", 403)
+    );
+  }
+
+  if (interview.status === "cancelled") {
+    return next(new ErrorHandler("This interview is already cancelled.", 400));
+  }
+
+  const cancelledInterview = await InterviewModel.cancel(
+    id,
+    req.user.id,
+    interview.status
+  );
+  if (!cancelledInterview) {
+    return next(
+      new ErrorHandler(
+        "Interview was changed by someone else. Please refresh and try again.",
+        409
+      )
+    );
+  }
+
+  const otherUserId =
+    req.user.id === interview.employerUserId
+      ? interview.jobSeekerUserId
+      : interview.employerUserId;
+
+  await notify({
+    userId: otherUserId,
+    type: NOTIFICATION_TYPES.INTERVIEW_CANCELLED,
+    title: "Interview cancelled",
+    message: `${req.user.name} cancelled the interview for ${interview.jobTitle}.`,
+    link: `/application/${interview.applicationId}`,
+  });
+  pushInterview(cancelledInterview);
+
+  // Only a scheduled interview is in anyone's calendar
+  if (interview.status === "scheduled") {
+    try {
+      await queueCalendarInvites(cancelledInterview, "CANCEL", (user) =>
+        interviewCancelledEmail({
+          user,
+          cancelledBy: req.user,
+          interview: cancelledInterview,
+        })
+      );
+    } catch (emailError) {
+      console.error(
+        `Failed to queue cancellations for interview ${id}:`,
+        emailError.message
+      );
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Interview cancelled.",
+    interview: cancelledInterview,
+  });
+});
@@ -0,0 +1,126 @@
+import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
+import ErrorHandler from "../middlewares/error.js";
+import {
+  JobAlertModel,
+  MAX_ALERTS_PER_USER,
+} from "../models/jobAlertModel.js";
+
+// The yearly minimum salary may arrive as a string; empty means no minimum
+const parseMinSalary = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  return Number(value);
+};
+
+export const createJobAlert = catchAsyncErrors(async (req, res, next) => {
+  const {
+    keyword,
+    location,
+    jobNiche,
+    jobType,
+    workMode,
+    salaryCurrency,
+    frequency,
+  } = req.body;
+
+  // "All" in the job filters means no restriction
+  const clean = (value) =>
+    typeof value === "string" && value.trim() && value !== "All"
+      ? value.trim()
+      : null;
+
+  const alertData = {
+    userId: req.user.id,
+    keyword: clean(keyword),
+    location: clean(location),
+    jobNiche: clean(jobNiche),
+    jobType: clean(jobType),
+    workMode: clean(workMode),
+    minSalary: parseMinSalary(req.body.minSalary),
+    salaryCurrency,
+    frequency,
+  };
+
+  const validationErrors = JobAlertModel.validateAlertData(alertData);
+
+  if (validationErrors.length > 0) {
+    return next(new ErrorHandler(validationErrors.join(", "), 400));
+  }
+
+  const alertCount = await JobAlertModel.countByUserId(req.user.id);
+
+  if (alertCount >= MAX_ALERTS_PER_USER) {
+    return next(
+      new ErrorHandler(
+        `You can have at most ${MAX_ALERTS_PER_USER} job alerts.`,
+        400
+      )
+    );
+  }
+
+  const jobAlert = await JobAlertModel.create(alertData);
+
+  res.status(201).json({
+    success: true,
+    message: "Job alert created.",
+    jobAlert,
+  });
+});
+
+export const getMyJobAlerts = catchAsyncErrors(async (req, res) => {
+  const jobAlerts = await JobAlertModel.findByUserId(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    jobAlerts,
+  });
+});
+
+export const updateJobAlert = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+  const { frequency } = req.body;
+
+  const jobAlert = await JobAlertModel.findById(id);
+
+  if (!jobAlert || jobAlert.userId !== req.user.id) {
+    return next(new ErrorHandler("Job alert not found.", 404));
+  }
+
+  if (!frequency) {
+    return next(new ErrorHandler("Please provide a frequency.", 400));
+  }
+
+  const validationErrors = JobAlertModel.validateAlertData({
+    ...jobAlert,
+    frequency,
+  });
+
+  if (validationErrors.length > 0) {
+    return next(new ErrorHandler(validationErrors.join(", "), 400));
+  }
+
+  const updatedJobAlert = await JobAlertModel.updateFrequency(id, frequency);
+
+  res.status(200).json({
+    success: true,
+    message: "Job alert updated.",
+    jobAlert: updatedJobAlert,
+  });
+});
+
+export const deleteJobAlert = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  const jobAlert = await JobAlertModel.findById(id);
+
+  if (!jobAlert || jobAlert.userId !== req.user.id) {
+    return next(new ErrorHandler("Job alert not found.", 404));
+  }
+
+  await JobAlertModel.deleteById(id);
+
+  res.status(200).json({
+    success: true,
+    message: "Job alert deleted.",
+    id,
+  });
+});
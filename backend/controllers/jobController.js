@@ -1,54 +1,112 @@
 import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
 import ErrorHandler from "../middlewares/error.js";
-import { JobModel } from "../models/jobModel.js";
+import { ApplicationModel } from "../models/applicationModel.js";
+import { CompanyModel } from "../models/companyModel.js";
+import {
+  JobModel,
+  JOB_SORT_OPTIONS,
+  JOB_TYPES,
+  SALARY_CURRENCIES,
+  WORK_MODES,
+} from "../models/jobModel.js";
+import { NOTIFICATION_TYPES } from "../models/notificationModel.js";
+import { SavedJobModel } from "../models/savedJobModel.js";
 import { UserModel } from "../models/userModel.js";
+import { notify } from "../utils/notify.js";
+import { broadcast } from "../utils/realtime.js";
+
+const isPastDate = (value) => new Date(value).getTime() <= Date.now();
+
+/**
+ * Notify everyone with an active application to a job
+ */
+const notifyApplicants = async (jobId, notification) => {
+  const applications = await ApplicationModel.findByJobId(jobId);
+  const jobSeekerIds = new Set(
+    applications
+      .filter((application) => !application.deletedByJobSeeker)
+      .map((application) => application.jobSeekerUserId)
+  );
+
+  await notify(
+    [...jobSeekerIds].map((userId) => ({ ...notification, userId }))
+  );
+};
+
+// Form values arrive as strings; an empty value clears an optional amount
+const parseSalaryAmount = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  return Number(value);
+};
 
 export const postJob = catchAsyncErrors(async (req, res, next) => {
   const {
     title,
     jobType,
+    workMode,
     location,
-    companyName,
     introduction,
     responsibilities,
     qualifications,
     offers,
-    salary,
+    salaryMin,
+    salaryMax,
+    salaryCurrency,
+    salaryPeriod,
     hiringMultipleCandidates,
     personalWebsiteTitle,
     personalWebsiteUrl,
     jobNiche,
+    applicationDeadline,
   } = req.body;
 
+  // Jobs are posted for the employer's company
+  const company = req.user.companyId
+    ? await CompanyModel.findById(req.user.companyId)
+    : null;
+  if (!company) {
+    return next(
+      new ErrorHandler(
+        "Please set up your company profile before posting a job.",
+        400
+      )
+    );
+  }
+
   // Validate required fields
   if (
     !title ||
     !jobType ||
     !location ||
-    !companyName ||
     !responsibilities ||
     !qualifications ||
-    !salary ||
+    salaryMin === undefined ||
+    salaryMin === "" ||
     !jobNiche
   ) {
     return next(new ErrorHandler("Please provide full job details.", 400));
   }
 
-  // Check if user is employer
-  if (req.user.role !== "Employer") {
-    return next(new ErrorHandler("Only employers can post jobs.", 400));
-  }
+  const salary = {
+    salaryMin: parseSalaryAmount(salaryMin),
+    salaryMax: parseSalaryAmount(salaryMax),
+    salaryCurrency,
+    salaryPeriod,
+  };
 
   // Validate job data
   const validationErrors = JobModel.validateJobData({
     title,
     jobType,
+    workMode,
     location,
-    companyName,
+    companyName: company.name,
     responsibilities,
     qualifications,
-    salary,
+    ...salary,
     jobNiche,
+    applicationDeadline,
     postedBy: req.user.id,
   });
 
@@ -56,20 +114,29 @@ export const postJob = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler(validationErrors.join(", "), 400));
   }
 
+  if (applicationDeadline && isPastDate(applicationDeadline)) {
+    return next(
+      new ErrorHandler("Application deadline must be in the future.", 400)
+    );
+  }
+
   const jobData = {
     title,
     jobType,
+    workMode,
     location,
-    companyName,
+    companyId: company.id,
+    companyName: company.name,
     introduction,
     responsibilities,
     qualifications,
     offers,
-    salary,
+    ...salary,
     hiringMultipleCandidates,
     personalWebsiteTitle,
     personalWebsiteUrl,
     jobNiche,
+    applicationDeadline,
     postedBy: req.user.id,
   };
 
@@ -82,10 +149,111 @@ export const postJob = catchAsyncErrors(async (req, res, next) => {
   });
 });
 
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
 export const getAllJobs = catchAsyncErrors(async (req, res, next) => {
-  const { city, niche, searchKeyword } = req.query;
+  const { city, niche, searchKeyword, currency, jobType, workMode } =
+    req.query;
+  const sort = req.query.sort || (searchKeyword ? "relevance" : "newest");
+
+  const page = req.query.page ? parseInt(req.query.page) : 1;
+  const pageSize = req.query.pageSize
+    ? parseInt(req.query.pageSize)
+    : DEFAULT_PAGE_SIZE;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return next(new ErrorHandler("Page must be a positive integer.", 400));
+  }
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return next(
+      new ErrorHandler(
+        `Page size must be between 1 and ${MAX_PAGE_SIZE}.`,
+        400
+      )
+    );
+  }
 
-  const filters = {};
+  if (!JOB_SORT_OPTIONS[sort]) {
+    return next(
+      new ErrorHandler(
+        `Sort must be one of: ${Object.keys(JOB_SORT_OPTIONS).join(", ")}.`,
+        400
+      )
+    );
+  }
+
+  // Salary bounds are yearly amounts
+  const salaryBounds = {};
+  for (const bound of ["minSalary", "maxSalary"]) {
+    if (req.query[bound] === undefined || req.query[bound] === "") continue;
+
+    const amount = Number(req.query[bound]);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return next(
+        new ErrorHandler(`${bound} must be a non-negative number.`, 400)
+      );
+    }
+    salaryBounds[bound] = amount;
+  }
+
+  if (
+    salaryBounds.minSalary !== undefined &&
+    salaryBounds.maxSalary !== undefined &&
+    salaryBounds.minSalary > salaryBounds.maxSalary
+  ) {
+    return next(
+      new ErrorHandler("minSalary cannot be greater than maxSalary.", 400)
+    );
+  }
+
+  if (jobType && !JOB_TYPES.includes(jobType)) {
+    return next(
+      new ErrorHandler(`Job type must be one of: ${JOB_TYPES.join(", ")}.`, 400)
+    );
+  }
+
+  if (workMode && !WORK_MODES.includes(workMode)) {
+    return next(
+      new ErrorHandler(
+        `Work mode must be one of: ${WORK_MODES.join(", ")}.`,
+        400
+      )
+    );
+  }
+
+  if (currency && !SALARY_CURRENCIES.includes(currency)) {
+    return next(
+      new ErrorHandler(
+        `Currency must be one of: ${SALARY_CURRENCIES.join(", ")}.`,
+        400
+      )
+    );
+  }
+
+  // Amounts are not converted between currencies, so a salary range only
+  // means something within one
+  if (Object.keys(salaryBounds).length > 0 && !currency) {
+    return next(
+      new ErrorHandler("Please choose a currency to filter by salary.", 400)
+    );
+  }
+
+  // Closed, archived and expired jobs are hidden from job seekers
+  const filters = { acceptingApplications: true, ...salaryBounds };
+
+  if (currency) {
+    filters.salaryCurrency = currency;
+  }
+
+  if (jobType) {
+    filters.jobType = jobType;
+  }
+
+  if (workMode) {
+    filters.workMode = workMode;
+  }
 
   if (city) {
     filters.location = city;
@@ -99,27 +267,42 @@ export const getAllJobs = catchAsyncErrors(async (req, res, next) => {
     filters.search = searchKeyword;
   }
 
-  const jobs = await JobModel.findAll(filters);
+  const [jobs, total] = await Promise.all([
+    JobModel.findAll({
+      ...filters,
+      sort,
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+    }),
+    JobModel.countJobs(filters),
+  ]);
 
   res.status(200).json({
     success: true,
     jobs,
+    total,
+    page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize),
     message: "Jobs fetched successfully.",
   });
 });
 
-export const getMyJobs = catchAsyncErrors(async (req, res, next) => {
-  if (req.user.role !== "Employer") {
-    return next(
-      new ErrorHandler("Only employers can access this resource.", 400)
-    );
-  }
-
+export const getMyJobs = catchAsyncErrors(async (req, res) => {
   const jobs = await JobModel.findByUserId(req.user.id);
 
+  // Applicant counts let employers triage one opening at a time
+  const applicationCounts = await ApplicationModel.countApplicationsByJobIds(
+    jobs.map((job) => job.id),
+    req.user.id
+  );
+
   res.status(200).json({
     success: true,
-    jobs,
+    jobs: jobs.map((job) => ({
+      ...job,
+      applicationCount: applicationCounts[job.id] || 0,
+    })),
     message: "Your jobs fetched successfully.",
   });
 });
@@ -139,6 +322,13 @@ export const deleteJob = catchAsyncErrors(async (req, res, next) => {
     );
   }
 
+  // Applications are deleted with the job, so notify applicants first
+  await notifyApplicants(id, {
+    type: NOTIFICATION_TYPES.JOB_DELETED,
+    title: "Job removed",
+    message: `${job.title} at ${job.companyName} was removed by the employer.`,
+  });
+
   await JobModel.deleteById(id);
 
   res.status(200).json({
@@ -147,6 +337,118 @@ export const deleteJob = catchAsyncErrors(async (req, res, next) => {
   });
 });
 
+export const updateJob = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  const job = await JobModel.findById(id);
+
+  if (!job) {
+    return next(new ErrorHandler("Job not found.", 404));
+  }
+
+  if (job.postedBy !== req.user.id) {
+    return next(
+      new ErrorHandler("You are not authorized to update this job.", 403)
+    );
+  }
+
+  const {
+    title,
+    jobType,
+    workMode,
+    location,
+    introduction,
+    responsibilities,
+    qualifications,
+    offers,
+    salaryMin,
+    salaryMax,
+    salaryCurrency,
+    salaryPeriod,
+    hiringMultipleCandidates,
+    personalWebsiteTitle,
+    personalWebsiteUrl,
+    jobNiche,
+    applicationDeadline,
+  } = req.body;
+
+  // The company name follows the company profile and is not edited per job
+  const updateData = {
+    title,
+    jobType,
+    workMode,
+    location,
+    responsibilities,
+    qualifications,
+    salaryMin: parseSalaryAmount(salaryMin) ?? undefined,
+    salaryMax: parseSalaryAmount(salaryMax),
+    salaryCurrency: salaryCurrency || undefined,
+    salaryPeriod: salaryPeriod || undefined,
+    jobNiche,
+    hiringMultipleCandidates: hiringMultipleCandidates || undefined,
+    // Optional fields can be cleared by sending an empty value
+    introduction: introduction === undefined ? undefined : introduction || null,
+    offers: offers === undefined ? undefined : offers || null,
+    personalWebsiteTitle:
+      personalWebsiteTitle === undefined
+        ? undefined
+        : personalWebsiteTitle || null,
+    personalWebsiteUrl:
+      personalWebsiteUrl === undefined ? undefined : personalWebsiteUrl || null,
+    applicationDeadline:
+      applicationDeadline === undefined
+        ? undefined
+        : applicationDeadline || null,
+  };
+
+  if (Object.values(updateData).every((value) => value === undefined)) {
+    return next(new ErrorHandler("Please provide job details to update.", 400));
+  }
+
+  // Validate the job as it will look after the update
+  const mergedJob = { ...job };
+  for (const [key, value] of Object.entries(updateData)) {
+    if (value !== undefined) mergedJob[key] = value;
+  }
+
+  const validationErrors = JobModel.validateJobData(mergedJob);
+
+  if (validationErrors.length > 0) {
+    return next(new ErrorHandler(validationErrors.join(", "), 400));
+  }
+
+  // Keep the display string in step with the structured salary
+  const salaryFields = [
+    "salaryMin",
+    "salaryMax",
+    "salaryCurrency",
+    "salaryPeriod",
+  ];
+  if (salaryFields.some((field) => updateData[field] !== undefined)) {
+    updateData.salary = JobModel.formatSalaryRange(mergedJob);
+  }
+
+  // Only a newly set deadline has to be in the future
+  const deadlineChanged =
+    updateData.applicationDeadline &&
+    new Date(updateData.applicationDeadline).getTime() !==
+      new Date(job.applicationDeadline).getTime();
+
+  if (deadlineChanged && isPastDate(updateData.applicationDeadline)) {
+    return next(
+      new ErrorHandler("Application deadline must be in the future.", 400)
+    );
+  }
+
+  const updatedJob = await JobModel.updateById(id, updateData);
+
+  res.status(200).json({
+    success: true,
+    message: "Job updated successfully.",
+    job: updatedJob,
+  });
+});
+
 export const getASingleJob = catchAsyncErrors(async (req, res, next) => {
   const { id } = req.params;
 
@@ -161,3 +463,118 @@ export const getASingleJob = catchAsyncErrors(async (req, res, next) => {
     job,
   });
 });
+
+export const updateJobStatus = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  // Archiving is done by the expiry cron, employers only open or close jobs
+  if (!["open", "closed"].includes(status)) {
+    return next(
+      new ErrorHandler('Job status must be either "open" or "closed".', 400)
+    );
+  }
+
+  const job = await JobModel.findById(id);
+
+  if (!job) {
+    return next(new ErrorHandler("Job not found.", 404));
+  }
+
+  if (job.postedBy !== req.user.id) {
+    return next(
+      new ErrorHandler("You are not authorized to update this job.", 403)
+    );
+  }
+
+  if (job.status === "archived") {
+    return next(
+      new ErrorHandler("Archived jobs cannot be reopened or closed.", 400)
+    );
+  }
+
+  if (
+    status === "open" &&
+    job.applicationDeadline &&
+    isPastDate(job.applicationDeadline)
+  ) {
+    return next(
+      new ErrorHandler(
+        "The application deadline has passed. Extend it before reopening the job.",
+        400
+      )
+    );
+  }
+
+  const updatedJob = await JobModel.updateById(id, { status });
+
+  broadcast("job:status", {
+    id: updatedJob.id,
+    status: updatedJob.status,
+    acceptingApplications: updatedJob.acceptingApplications,
+  });
+
+  if (status === "closed" && job.status !== "closed") {
+    await notifyApplicants(id, {
+      type: NOTIFICATION_TYPES.JOB_CLOSED,
+      title: "Job closed",
+      message: `${job.title} at ${job.companyName} is no longer accepting applications.`,
+      link: "/dashboard",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: status === "open" ? "Job reopened." : "Job closed.",
+    job: updatedJob,
+  });
+});
+
+export const saveJob = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  const job = await JobModel.findById(id);
+
+  if (!job) {
+    return next(new ErrorHandler("Job not found.", 404));
+  }
+
+  if (!JobModel.isAcceptingApplications(job)) {
+    return next(
+      new ErrorHandler("This job is no longer accepting applications.", 400)
+    );
+  }
+
+  const savedJob = await SavedJobModel.save(req.user.id, job);
+
+  res.status(200).json({
+    success: true,
+    message: "Job saved.",
+    savedJob,
+  });
+});
+
+export const unsaveJob = catchAsyncErrors(async (req, res, next) => {
+  const { id } = req.params;
+
+  const removed = await SavedJobModel.remove(req.user.id, id);
+
+  if (!removed) {
+    return next(new ErrorHandler("Saved job not found.", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Job removed from saved jobs.",
+    id,
+  });
+});
+
+export const getSavedJobs = catchAsyncErrors(async (req, res) => {
+  const savedJobs = await SavedJobModel.findByUserId(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    savedJobs,
+  });
+});
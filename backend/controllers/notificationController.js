@@ -0,0 +1,78 @@
+import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
+import ErrorHandler from "../middlewares/error.js";
+import { NotificationModel } from "../models/notificationModel.js";
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+export const getNotifications = catchAsyncErrors(async (req, res, next) => {
+  const page = req.query.page ? parseInt(req.query.page) : 1;
+  const pageSize = req.query.pageSize
+    ? parseInt(req.query.pageSize)
+    : DEFAULT_PAGE_SIZE;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return next(new ErrorHandler("Page must be a positive integer.", 400));
+  }
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return next(
+      new ErrorHandler(
+        `Page size must be between 1 and ${MAX_PAGE_SIZE}.`,
+        400
+      )
+    );
+  }
+
+  const [notifications, { total, unread }] = await Promise.all([
+    NotificationModel.findByUserId(req.user.id, {
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+    }),
+    NotificationModel.countByUserId(req.user.id),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    notifications,
+    total,
+    unreadCount: unread,
+    page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize),
+  });
+});
+
+export const markNotificationRead = catchAsyncErrors(
+  async (req, res, next) => {
+    const notification = await NotificationModel.markRead(
+      req.params.id,
+      req.user.id
+    );
+
+    if (!notification) {
+      return next(new ErrorHandler("Notification not found.", 404));
+    }
+
+    const { unread } = await NotificationModel.countByUserId(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      notification,
+      unreadCount: unread,
+    });
+  }
+);
+
+export const markAllNotificationsRead = catchAsyncErrors(async (req, res) => {
+  const count = await NotificationModel.markAllRead(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message:
+      count === 0
+        ? "No unread notifications."
+        : `${count} notification${count === 1 ? "" : "s"} marked as read.`,
+    unreadCount: 0,
+  });
+});
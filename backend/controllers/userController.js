@@ -1,9 +1,38 @@
 import { catchAsyncErrors } from "../middlewares/catchAsyncErrors.js";
 import ErrorHandler from "../middlewares/error.js";
-import { UserModel } from "../models/userModel.js";
+import {
+  NOTIFICATION_PREFERENCES,
+  UserModel,
+} from "../models/userModel.js";
+import { SessionModel } from "../models/sessionModel.js";
 import { v2 as cloudinary } from "cloudinary";
-import { sendToken } from "../utils/jwtToken.js";
+import {
+  clearAuthCookies,
+  sendToken,
+  setAuthCookies,
+} from "../utils/jwtToken.js";
 import { convertPhoneToNumber } from "../utils/phoneUtils.js";
+import { closeStreams } from "../utils/realtime.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import {
+  passwordResetEmail,
+  verificationEmail,
+} from "../utils/emailTemplates.js";
+
+const UNSUBSCRIBE_LIST_NAMES = {
+  newsletter: "niche job newsletters",
+  jobAlerts: "job alert emails",
+};
+
+const sendVerificationEmail = async (user) => {
+  const verificationToken = UserModel.generateEmailVerificationToken(user);
+  const verificationUrl = `${process.env.FRONTEND_URL}/verify/${verificationToken}`;
+
+  await sendEmail({
+    email: user.email,
+    ...verificationEmail({ user, verificationUrl }),
+  });
+};
 
 export const register = catchAsyncErrors(async (req, res, next) => {
   try {
@@ -92,7 +121,18 @@ export const register = catchAsyncErrors(async (req, res, next) => {
     const user = await UserModel.create(userData);
     const userResponse = UserModel.formatUserResponse(user);
 
-    sendToken(userResponse, 201, res, "User Registered");
+    // Registration still succeeds if the email cannot be sent; the user can
+    // request a new verification email later
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error(
+        `Failed to send verification email to ${user.email}:`,
+        error.message
+      );
+    }
+
+    await sendToken(userResponse, 201, res, "User Registered");
   } catch (error) {
     next(new ErrorHandler(error.message || "Registration failed", 500));
   }
@@ -122,20 +162,63 @@ export const login = catchAsyncErrors(async (req, res, next) => {
   }
 
   const userResponse = UserModel.formatUserResponse(user);
-  sendToken(userResponse, 200, res, "User logged in successfully.");
+  await sendToken(userResponse, 200, res, "User logged in successfully.");
 });
 
 export const logout = catchAsyncErrors(async (req, res, next) => {
-  res
-    .status(200)
-    .cookie("token", "", {
-      httpOnly: true,
-      expires: new Date(Date.now()),
-    })
-    .json({
-      success: true,
-      message: "Logged out successfully.",
-    });
+  await SessionModel.revoke(req.sessionId);
+  closeStreams({ userId: req.user.id, sessionId: req.sessionId });
+
+  clearAuthCookies(res);
+  res.status(200).json({
+    success: true,
+    message: "Logged out successfully.",
+  });
+});
+
+export const logoutAllDevices = catchAsyncErrors(async (req, res, next) => {
+  await SessionModel.revokeAllForUser(req.user.id);
+  closeStreams({ userId: req.user.id });
+
+  clearAuthCookies(res);
+  res.status(200).json({
+    success: true,
+    message: "Logged out from all devices successfully.",
+  });
+});
+
+export const refreshAccessToken = catchAsyncErrors(async (req, res, next) => {
+  const { refreshToken } = req.cookies;
+
+  if (!refreshToken) {
+    return next(new ErrorHandler("Refresh token is missing.", 401));
+  }
+
+  const rotated = await SessionModel.rotate(refreshToken);
+
+  if (!rotated) {
+    clearAuthCookies(res);
+    return next(
+      new ErrorHandler("Refresh token is invalid or has expired.", 401)
+    );
+  }
+
+  const user = await UserModel.findById(rotated.session.userId);
+
+  if (!user) {
+    await SessionModel.revoke(rotated.session.id);
+    clearAuthCookies(res);
+    return next(new ErrorHandler("User not found.", 404));
+  }
+
+  const token = UserModel.generateJWTToken(user, rotated.session.id);
+  setAuthCookies(res, token, rotated.refreshToken, rotated.session);
+
+  res.status(200).json({
+    success: true,
+    user: UserModel.formatUserResponse(user),
+    token,
+  });
 });
 
 export const getUser = catchAsyncErrors(async (req, res, next) => {
@@ -204,12 +287,30 @@ export const updateProfile = catchAsyncErrors(async (req, res, next) => {
     }
   }
 
+  // A new email address has to be verified again
+  const emailChanged =
+    newUserData.email && newUserData.email !== req.user.email;
+  if (emailChanged) {
+    newUserData.emailVerified = false;
+  }
+
   const user = await UserModel.updateById(req.user.id, newUserData);
 
   if (!user) {
     return next(new ErrorHandler("Failed to update profile.", 500));
   }
 
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error(
+        `Failed to send verification email to ${user.email}:`,
+        error.message
+      );
+    }
+  }
+
   const userResponse = UserModel.formatUserResponse(user);
 
   res.status(200).json({
@@ -248,8 +349,191 @@ export const updatePassword = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler("Failed to update password.", 500));
   }
 
+  // Sign out every other device; this one stays logged in
+  await SessionModel.revokeAllForUser(req.user.id, req.sessionId);
+  closeStreams({ userId: req.user.id, exceptSessionId: req.sessionId });
+
   res.status(200).json({
     success: true,
     message: "Password updated successfully.",
   });
 });
+
+export const forgotPassword = catchAsyncErrors(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new ErrorHandler("Please provide your email address.", 400));
+  }
+
+  // Respond the same way whether or not the email is registered, so the
+  // endpoint cannot be used to discover accounts
+  const responseMessage =
+    "If an account exists for this email, a password reset link has been sent.";
+
+  const user = await UserModel.findByEmail(email);
+  if (!user) {
+    return res.status(200).json({
+      success: true,
+      message: responseMessage,
+    });
+  }
+
+  const resetToken = await UserModel.createPasswordResetToken(user.id);
+  const resetUrl = `${process.env.FRONTEND_URL}/password/reset/${resetToken}`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      ...passwordResetEmail({ user, resetUrl }),
+    });
+  } catch (error) {
+    await UserModel.clearPasswordResetToken(user.id);
+    return next(
+      new ErrorHandler("Failed to send password reset email. Try again.", 500)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: responseMessage,
+  });
+});
+
+export const resetPassword = catchAsyncErrors(async (req, res, next) => {
+  const { token } = req.params;
+  const { password, confirmPassword } = req.body;
+
+  if (!password || !confirmPassword) {
+    return next(
+      new ErrorHandler("Please provide password and confirm password.", 400)
+    );
+  }
+
+  if (password !== confirmPassword) {
+    return next(
+      new ErrorHandler("Password and confirm password do not match.", 400)
+    );
+  }
+
+  if (password.length < 8 || password.length > 32) {
+    return next(
+      new ErrorHandler("Password must be between 8 and 32 characters", 400)
+    );
+  }
+
+  const user = await UserModel.resetPasswordWithToken(token, password);
+
+  if (!user) {
+    return next(
+      new ErrorHandler("Reset password token is invalid or has expired.", 400)
+    );
+  }
+
+  await SessionModel.revokeAllForUser(user.id);
+  closeStreams({ userId: user.id });
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully. Please log in.",
+  });
+});
+
+export const verifyEmail = catchAsyncErrors(async (req, res, next) => {
+  const { token } = req.params;
+
+  const user = await UserModel.verifyEmailWithToken(token);
+
+  if (!user) {
+    return next(
+      new ErrorHandler("Verification link is invalid or has expired.", 400)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully.",
+  });
+});
+
+export const getNotificationPreferences = catchAsyncErrors(
+  async (req, res) => {
+    res.status(200).json({
+      success: true,
+      preferences: UserModel.getNotificationPreferences(req.user),
+    });
+  }
+);
+
+export const updateNotificationPreferences = catchAsyncErrors(
+  async (req, res, next) => {
+    // Ignore anything that is not a notification setting
+    const preferences = Object.fromEntries(
+      Object.keys(NOTIFICATION_PREFERENCES)
+        .filter((key) => req.body[key] !== undefined)
+        .map((key) => [key, req.body[key]])
+    );
+
+    if (Object.keys(preferences).length === 0) {
+      return next(
+        new ErrorHandler("Please provide the settings to update.", 400)
+      );
+    }
+
+    const validationErrors =
+      UserModel.validateNotificationPreferences(preferences);
+    if (validationErrors.length > 0) {
+      return next(new ErrorHandler(validationErrors.join(", "), 400));
+    }
+
+    const user = await UserModel.updateNotificationPreferences(
+      req.user.id,
+      preferences
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Notification settings updated.",
+      preferences: UserModel.getNotificationPreferences(user),
+    });
+  }
+);
+
+export const unsubscribe = catchAsyncErrors(async (req, res, next) => {
+  const { token } = req.params;
+
+  const result = await UserModel.unsubscribeWithToken(token);
+
+  if (!result) {
+    return next(new ErrorHandler("Unsubscribe link is invalid.", 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${result.user.email} has been unsubscribed from ${
+      UNSUBSCRIBE_LIST_NAMES[result.list]
+    }.`,
+    list: result.list,
+  });
+});
+
+export const resendVerificationEmail = catchAsyncErrors(
+  async (req, res, next) => {
+    if (req.user.emailVerified) {
+      return next(new ErrorHandler("Your email is already verified.", 400));
+    }
+
+    try {
+      await sendVerificationEmail(req.user);
+    } catch (error) {
+      return next(
+        new ErrorHandler("Failed to send verification email. Try again.", 500)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}.`,
+    });
+  }
+);
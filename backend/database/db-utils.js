@@ -1,4 +1,7 @@
 import { getConnectionPool, executeQuery } from "./pg-connection.js";
+import { runMigrations } from "./migration-utils.js";
+import { JOB_TYPES, WORK_MODES } from "../models/jobModel.js";
+import { EMAIL_STATUSES } from "../models/emailOutboxModel.js";
 
 /**
  * Database initialization utilities for raw PostgreSQL
@@ -6,135 +9,22 @@ import { getConnectionPool, executeQuery } from "./pg-connection.js";
  */
 
 /**
- * Initialize database schema by running SQL schema file
+ * Initialize database schema by applying pending migrations
  */
 export async function initializeDatabase() {
   try {
     console.log("Initializing database schema...");
 
-    // First, try migration approach
-    const { migrateFromSequelize } = await import("./migration-utils.js");
-    await migrateFromSequelize();
-
-    // Then finalize the migration
-    const { finalizeTableMigration } = await import("./migration-utils.js");
-    await finalizeTableMigration();
+    await runMigrations();
 
     console.log("Database schema initialized successfully");
     return true;
   } catch (error) {
     console.error("Error initializing database:", error);
-
-    // Fallback: try simple table creation
-    try {
-      console.log("Trying fallback table creation...");
-      await createBasicTables();
-      console.log("Basic tables created successfully");
-      return true;
-    } catch (fallbackError) {
-      console.error("Fallback also failed:", fallbackError);
-      throw error;
-    }
+    throw error;
   }
 }
 
-/**
- * Fallback function to create basic tables
- */
-async function createBasicTables() {
-  // Enable UUID extension
-  await executeQuery('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
-
-  // Create ENUM types
-  await executeQuery(`
-        DO $$ BEGIN
-            CREATE TYPE user_role_enum AS ENUM ('Job Seeker', 'Employer');
-        EXCEPTION
-            WHEN duplicate_object THEN null;
-        END $$
-    `);
-
-  await executeQuery(`
-        DO $$ BEGIN
-            CREATE TYPE job_type_enum AS ENUM ('Full-time', 'Part-time');
-        EXCEPTION
-            WHEN duplicate_object THEN null;
-        END $$
-    `);
-
-  // Create users table with simple structure
-  await executeQuery(`
-        CREATE TABLE IF NOT EXISTS users (
-            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-            name VARCHAR(255) NOT NULL,
-            email VARCHAR(255) NOT NULL UNIQUE,
-            phone BIGINT NOT NULL,
-            address TEXT NOT NULL,
-            first_niche VARCHAR(255),
-            second_niche VARCHAR(255), 
-            third_niche VARCHAR(255),
-            password VARCHAR(255) NOT NULL,
-            resume_public_id VARCHAR(255),
-            resume_url VARCHAR(255),
-            cover_letter TEXT,
-            role user_role_enum NOT NULL,
-            created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-            updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-        )
-    `);
-
-  // Create jobs table
-  await executeQuery(`
-        CREATE TABLE IF NOT EXISTS jobs (
-            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-            title VARCHAR(255) NOT NULL,
-            job_type job_type_enum NOT NULL,
-            location VARCHAR(255) NOT NULL,
-            company_name VARCHAR(255) NOT NULL,
-            introduction TEXT,
-            responsibilities TEXT NOT NULL,
-            qualifications TEXT NOT NULL,
-            offers TEXT,
-            salary VARCHAR(255) NOT NULL,
-            hiring_multiple_candidates VARCHAR(10) DEFAULT 'No',
-            personal_website_title VARCHAR(255),
-            personal_website_url VARCHAR(255),
-            job_niche VARCHAR(255) NOT NULL,
-            newsletters_sent BOOLEAN DEFAULT FALSE,
-            job_posted_on TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-            posted_by UUID NOT NULL,
-            created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-            updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-        )
-    `);
-
-  // Create applications table
-  await executeQuery(`
-        CREATE TABLE IF NOT EXISTS applications (
-            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-            job_seeker_user_id UUID NOT NULL,
-            job_seeker_name VARCHAR(255) NOT NULL,
-            job_seeker_email VARCHAR(255) NOT NULL,
-            job_seeker_phone BIGINT NOT NULL,
-            job_seeker_address TEXT NOT NULL,
-            resume_public_id VARCHAR(255),
-            resume_url VARCHAR(255),
-            cover_letter TEXT NOT NULL,
-            job_seeker_role VARCHAR(20) NOT NULL DEFAULT 'Job Seeker',
-            employer_user_id UUID NOT NULL,
-            employer_role VARCHAR(20) NOT NULL DEFAULT 'Employer',
-            job_id UUID NOT NULL,
-            job_title VARCHAR(255) NOT NULL,
-            deleted_by_job_seeker BOOLEAN DEFAULT FALSE,
-            deleted_by_employer BOOLEAN DEFAULT FALSE,
-            created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-            updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-        )
-    `);
-
-  console.log("Basic tables created");
-}
-
 /**
  * Check if all required tables exist
  */
@@ -179,13 +69,34 @@ export async function dropAllTables() {
     console.log("WARNING: Dropping all tables...");
 
     const dropSQL = `
+            DROP TABLE IF EXISTS company_join_requests CASCADE;
+            DROP TABLE IF EXISTS interview_slots CASCADE;
+            DROP TABLE IF EXISTS interviews CASCADE;
+            DROP TABLE IF EXISTS application_messages CASCADE;
+            DROP TABLE IF EXISTS notifications CASCADE;
+            DROP TABLE IF EXISTS email_outbox CASCADE;
+            DROP TABLE IF EXISTS job_alerts CASCADE;
+            DROP TABLE IF EXISTS saved_jobs CASCADE;
+            DROP TABLE IF EXISTS sessions CASCADE;
+            DROP TABLE IF EXISTS application_status_history CASCADE;
             DROP TABLE IF EXISTS applications CASCADE;
             DROP TABLE IF EXISTS jobs CASCADE;
             DROP TABLE IF EXISTS users CASCADE;
+            DROP TABLE IF EXISTS companies CASCADE;
+            DROP TABLE IF EXISTS schema_migrations CASCADE;
             DROP TYPE IF EXISTS user_role_enum CASCADE;
             DROP TYPE IF EXISTS job_type_enum CASCADE;
             DROP TYPE IF EXISTS hiring_multiple_enum CASCADE;
             DROP TYPE IF EXISTS application_role_enum CASCADE;
+            DROP TYPE IF EXISTS application_status_enum CASCADE;
+            DROP TYPE IF EXISTS job_status_enum CASCADE;
+            DROP TYPE IF EXISTS salary_period_enum CASCADE;
+            DROP TYPE IF EXISTS work_mode_enum CASCADE;
+            DROP TYPE IF EXISTS alert_frequency_enum CASCADE;
+            DROP TYPE IF EXISTS email_status_enum CASCADE;
+            DROP TYPE IF EXISTS interview_status_enum CASCADE;
+            DROP TYPE IF EXISTS company_role_enum CASCADE;
+            DROP TYPE IF EXISTS company_join_request_status_enum CASCADE;
         `;
 
     await executeQuery(dropSQL);
@@ -250,14 +161,32 @@ export async function getDatabaseStats() {
                 COUNT(CASE WHEN role = 'Job Seeker' THEN 1 END) as job_seekers,
                 COUNT(CASE WHEN role = 'Employer' THEN 1 END) as employers
              FROM users`,
-      `SELECT 
-                COUNT(CASE WHEN job_type = 'Full-time' THEN 1 END) as full_time_jobs,
-                COUNT(CASE WHEN job_type = 'Part-time' THEN 1 END) as part_time_jobs
-             FROM jobs`,
+      "SELECT job_type, COUNT(*) as count FROM jobs GROUP BY job_type",
+      "SELECT work_mode, COUNT(*) as count FROM jobs GROUP BY work_mode",
+      "SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status",
     ];
 
-    const [userStats, jobStats, appStats, userRoleStats, jobTypeStats] =
-      await Promise.all(queries.map((query) => executeQuery(query)));
+    const [
+      userStats,
+      jobStats,
+      appStats,
+      userRoleStats,
+      jobTypeStats,
+      workModeStats,
+      emailStats,
+    ] = await Promise.all(queries.map((query) => executeQuery(query)));
+
+    // Report every type and mode, including those with no jobs yet
+    const countBy = (rows, column, keys) => {
+      const counts = Object.fromEntries(keys.map((key) => [key, 0]));
+      for (const row of rows) {
+        counts[row[column]] = parseInt(row.count);
+      }
+      return counts;
+    };
+    const byType = countBy(jobTypeStats.rows, "job_type", JOB_TYPES);
+    const byWorkMode = countBy(workModeStats.rows, "work_mode", WORK_MODES);
+    const emailsByStatus = countBy(emailStats.rows, "status", EMAIL_STATUSES);
 
     return {
       users: {
@@ -267,12 +196,16 @@ export async function getDatabaseStats() {
       },
       jobs: {
         total: parseInt(jobStats.rows[0].job_count),
-        fullTime: parseInt(jobTypeStats.rows[0].full_time_jobs || 0),
-        partTime: parseInt(jobTypeStats.rows[0].part_time_jobs || 0),
+        fullTime: byType["Full-time"],
+        partTime: byType["Part-time"],
+        byType,
+        byWorkMode,
       },
       applications: {
         total: parseInt(appStats.rows[0].application_count),
       },
+      // Dead emails used up their retries and need looking into
+      emailOutbox: emailsByStatus,
     };
   } catch (error) {
     console.error("Error getting database stats:", error);
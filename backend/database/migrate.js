@@ -0,0 +1,65 @@
+import { config } from "dotenv";
+config({ path: "./config/config.env" });
+
+import { closePool } from "./pg-connection.js";
+import {
+  getMigrationStatus,
+  rollbackMigrations,
+  runMigrations,
+} from "./migration-utils.js";
+
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   node database/migrate.js up           Apply all pending migrations
+ *   node database/migrate.js down [steps] Roll back the last N migrations (default 1)
+ *   node database/migrate.js status       Show applied and pending migrations
+ */
+
+async function main() {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  switch (command) {
+    case "up":
+      await runMigrations();
+      break;
+
+    case "down": {
+      const steps = arg ? parseInt(arg) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("Steps must be a positive integer");
+      }
+      await rollbackMigrations(steps);
+      break;
+    }
+
+    case "status": {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const state = migration.applied
+          ? `applied ${new Date(migration.appliedAt).toISOString()}`
+          : "pending";
+        console.log(
+          `${String(migration.version).padStart(3, "0")}_${migration.name}  ${state}`
+        );
+      }
+      break;
+    }
+
+    default:
+      throw new Error(
+        `Unknown command "${command}". Use one of: up, down, status`
+      );
+  }
+}
+
+main()
+  .then(async () => {
+    await closePool();
+  })
+  .catch(async (error) => {
+    console.error(error.message);
+    await closePool();
+    process.exit(1);
+  });
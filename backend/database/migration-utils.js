@@ -0,0 +1,224 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getConnectionPool } from "./pg-connection.js";
+
+/**
+ * Versioned SQL migrations
+ *
+ * Migrations live in ./migrations as numbered pairs of files:
+ *   001_initial_schema.up.sql
+ *   001_initial_schema.down.sql
+ * Applied versions are recorded in the schema_migrations table.
+ */
+
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "migrations"
+);
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant identifying the migration lock among other advisory locks
+const MIGRATION_LOCK_KEY = 726354901;
+
+/**
+ * Read all migrations from disk, ordered by version
+ */
+export async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, versionString, name, direction] = match;
+    const version = parseInt(versionString);
+
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+
+    const migration = migrations.get(version);
+    if (migration.name !== name) {
+      throw new Error(
+        `Migration ${version} has mismatched names: "${migration.name}" and "${name}"`
+      );
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  const ordered = [...migrations.values()].sort(
+    (a, b) => a.version - b.version
+  );
+
+  for (const migration of ordered) {
+    if (!migration.up || !migration.down) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} needs both an up and a down file`
+      );
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Create the tracking table if it does not exist yet
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+    `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return result.rows;
+}
+
+/**
+ * Run a function on a dedicated client while holding the migration lock.
+ * pg_advisory_lock blocks until any other server instance migrating the same
+ * database has finished, so migrations never run concurrently.
+ */
+async function withMigrationLock(fn) {
+  const pool = await getConnectionPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run one migration file inside its own transaction and record the result
+ */
+async function applyMigrationFile(client, migration, direction) {
+  const sql = await fs.readFile(migration[direction], "utf8");
+
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+
+    if (direction === "up") {
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        migration.version,
+      ]);
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(
+      `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Apply all pending migrations in order
+ * @returns {Array} The migrations that were applied
+ */
+export async function runMigrations() {
+  const migrations = await loadMigrations();
+
+  return await withMigrationLock(async (client) => {
+    const applied = new Set(
+      (await getAppliedMigrations(client)).map((row) => row.version)
+    );
+    const pending = migrations.filter((m) => !applied.has(m.version));
+
+    if (pending.length === 0) {
+      console.log("Database schema is up to date");
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.version}_${migration.name}`);
+      await applyMigrationFile(client, migration, "up");
+    }
+
+    console.log(`Applied ${pending.length} migration(s)`);
+    return pending;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - Number of migrations to roll back
+ * @returns {Array} The migrations that were rolled back
+ */
+export async function rollbackMigrations(steps = 1) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  return await withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRollback = applied.reverse().slice(0, steps);
+
+    for (const row of toRollback) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(
+          `Cannot roll back migration ${row.version}_${row.name}: its files are missing`
+        );
+      }
+
+      console.log(
+        `Rolling back migration ${migration.version}_${migration.name}`
+      );
+      await applyMigrationFile(client, migration, "down");
+    }
+
+    console.log(`Rolled back ${toRollback.length} migration(s)`);
+    return toRollback;
+  });
+}
+
+/**
+ * List every known migration and whether it has been applied
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+
+  return await withMigrationLock(async (client) => {
+    const applied = new Map(
+      (await getAppliedMigrations(client)).map((row) => [row.version, row])
+    );
+
+    return migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version)?.applied_at || null,
+    }));
+  });
+}
+
+export default {
+  loadMigrations,
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+};
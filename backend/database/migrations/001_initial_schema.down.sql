@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS application_status_history CASCADE;
+DROP TABLE IF EXISTS applications CASCADE;
+DROP TABLE IF EXISTS jobs CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+DROP TYPE IF EXISTS application_status_enum CASCADE;
+DROP TYPE IF EXISTS job_type_enum CASCADE;
+DROP TYPE IF EXISTS user_role_enum CASCADE;
@@ -0,0 +1,111 @@
+-- Initial schema: users, jobs and applications with the application status
+-- pipeline and job full-text search. Written to be idempotent so databases
+-- created before migrations existed can adopt it without changes.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+DO $$ BEGIN
+    CREATE TYPE user_role_enum AS ENUM ('Job Seeker', 'Employer');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE job_type_enum AS ENUM ('Full-time', 'Part-time');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE application_status_enum AS ENUM (
+        'Applied', 'Shortlisted', 'Interviewing', 'Offered', 'Hired', 'Rejected'
+    );
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    phone BIGINT NOT NULL,
+    address TEXT NOT NULL,
+    first_niche VARCHAR(255),
+    second_niche VARCHAR(255),
+    third_niche VARCHAR(255),
+    password VARCHAR(255) NOT NULL,
+    resume_public_id VARCHAR(255),
+    resume_url VARCHAR(255),
+    cover_letter TEXT,
+    role user_role_enum NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255) NOT NULL,
+    job_type job_type_enum NOT NULL,
+    location VARCHAR(255) NOT NULL,
+    company_name VARCHAR(255) NOT NULL,
+    introduction TEXT,
+    responsibilities TEXT NOT NULL,
+    qualifications TEXT NOT NULL,
+    offers TEXT,
+    salary VARCHAR(255) NOT NULL,
+    hiring_multiple_candidates VARCHAR(10) DEFAULT 'No',
+    personal_website_title VARCHAR(255),
+    personal_website_url VARCHAR(255),
+    job_niche VARCHAR(255) NOT NULL,
+    newsletters_sent BOOLEAN DEFAULT FALSE,
+    job_posted_on TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    posted_by UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_seeker_user_id UUID NOT NULL,
+    job_seeker_name VARCHAR(255) NOT NULL,
+    job_seeker_email VARCHAR(255) NOT NULL,
+    job_seeker_phone BIGINT NOT NULL,
+    job_seeker_address TEXT NOT NULL,
+    resume_public_id VARCHAR(255),
+    resume_url VARCHAR(255),
+    cover_letter TEXT NOT NULL,
+    job_seeker_role VARCHAR(20) NOT NULL DEFAULT 'Job Seeker',
+    employer_user_id UUID NOT NULL,
+    employer_role VARCHAR(20) NOT NULL DEFAULT 'Employer',
+    job_id UUID NOT NULL,
+    job_title VARCHAR(255) NOT NULL,
+    deleted_by_job_seeker BOOLEAN DEFAULT FALSE,
+    deleted_by_employer BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Application status pipeline
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS status application_status_enum NOT NULL DEFAULT 'Applied';
+
+CREATE TABLE IF NOT EXISTS application_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    from_status application_status_enum,
+    to_status application_status_enum NOT NULL,
+    changed_by UUID NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Full-text search over all job text fields, weighted by importance
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(company_name, '') || ' ' || coalesce(job_niche, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(responsibilities, '') || ' ' || coalesce(qualifications, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(introduction, '') || ' ' || coalesce(offers, '') || ' ' || coalesce(location, '')), 'D')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_search_vector ON jobs USING GIN (search_vector);
@@ -0,0 +1,20 @@
+DROP INDEX IF EXISTS idx_users_third_niche;
+DROP INDEX IF EXISTS idx_users_second_niche;
+DROP INDEX IF EXISTS idx_users_first_niche;
+DROP INDEX IF EXISTS idx_application_status_history_application_id;
+DROP INDEX IF EXISTS idx_applications_job_id;
+DROP INDEX IF EXISTS idx_applications_employer_user_id;
+DROP INDEX IF EXISTS idx_applications_job_seeker_user_id;
+DROP INDEX IF EXISTS idx_jobs_created_at;
+DROP INDEX IF EXISTS idx_jobs_job_niche;
+DROP INDEX IF EXISTS idx_jobs_posted_by;
+DROP INDEX IF EXISTS idx_applications_active_unique;
+
+ALTER TABLE application_status_history DROP CONSTRAINT IF EXISTS fk_application_status_history_changed_by;
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS fk_applications_employer_user_id;
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS fk_applications_job_seeker_user_id;
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS fk_applications_job_id;
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS fk_jobs_posted_by;
+
+-- application_status_history.changed_by stays nullable: entries whose user
+-- was removed cannot be given a value back
@@ -0,0 +1,81 @@
+-- Foreign keys and indexes for users, jobs and applications.
+--
+-- Deleting a user removes their jobs and applications, and deleting a job
+-- removes its applications; status history outlives the user who made the
+-- change, so that reference is nulled instead.
+
+-- Remove rows that point at records which no longer exist, otherwise the
+-- constraints below cannot be created
+DELETE FROM jobs j
+WHERE NOT EXISTS (SELECT 1 FROM users u WHERE u.id = j.posted_by);
+
+DELETE FROM applications a
+WHERE NOT EXISTS (SELECT 1 FROM jobs j WHERE j.id = a.job_id)
+   OR NOT EXISTS (SELECT 1 FROM users u WHERE u.id = a.job_seeker_user_id)
+   OR NOT EXISTS (SELECT 1 FROM users u WHERE u.id = a.employer_user_id);
+
+UPDATE application_status_history h
+SET changed_by = NULL
+WHERE NOT EXISTS (SELECT 1 FROM users u WHERE u.id = h.changed_by);
+
+ALTER TABLE application_status_history ALTER COLUMN changed_by DROP NOT NULL;
+
+-- Databases created from the old schema.sql already have foreign keys on
+-- these columns under PostgreSQL's default names. Replace them rather than
+-- stacking a duplicate next to each.
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_posted_by_fkey;
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_job_id_fkey;
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_job_seeker_user_id_fkey;
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_employer_user_id_fkey;
+
+ALTER TABLE jobs
+    ADD CONSTRAINT fk_jobs_posted_by
+    FOREIGN KEY (posted_by) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE applications
+    ADD CONSTRAINT fk_applications_job_id
+    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE;
+
+ALTER TABLE applications
+    ADD CONSTRAINT fk_applications_job_seeker_user_id
+    FOREIGN KEY (job_seeker_user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE applications
+    ADD CONSTRAINT fk_applications_employer_user_id
+    FOREIGN KEY (employer_user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE application_status_history
+    ADD CONSTRAINT fk_application_status_history_changed_by
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- A job seeker may only have one active application per job. Keep the
+-- earliest of any existing duplicates and hide the rest from the seeker.
+UPDATE applications a
+SET deleted_by_job_seeker = true
+WHERE a.deleted_by_job_seeker = false
+  AND a.deleted_by_employer = false
+  AND EXISTS (
+      SELECT 1 FROM applications earlier
+      WHERE earlier.job_seeker_user_id = a.job_seeker_user_id
+        AND earlier.job_id = a.job_id
+        AND earlier.deleted_by_job_seeker = false
+        AND earlier.deleted_by_employer = false
+        AND (earlier.created_at, earlier.id) < (a.created_at, a.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_applications_active_unique
+    ON applications (job_seeker_user_id, job_id)
+    WHERE deleted_by_job_seeker = false AND deleted_by_employer = false;
+
+-- Lookup indexes for the columns the models filter on
+CREATE INDEX IF NOT EXISTS idx_jobs_posted_by ON jobs (posted_by);
+CREATE INDEX IF NOT EXISTS idx_jobs_job_niche ON jobs (job_niche);
+CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_applications_job_seeker_user_id ON applications (job_seeker_user_id);
+CREATE INDEX IF NOT EXISTS idx_applications_employer_user_id ON applications (employer_user_id);
+CREATE INDEX IF NOT EXISTS idx_applications_job_id ON applications (job_id);
+CREATE INDEX IF NOT EXISTS idx_application_status_history_application_id
+    ON application_status_history (application_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_users_first_niche ON users (first_niche);
+CREATE INDEX IF NOT EXISTS idx_users_second_niche ON users (second_niche);
+CREATE INDEX IF NOT EXISTS idx_users_third_niche ON users (third_niche);
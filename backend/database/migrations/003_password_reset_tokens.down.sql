@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_users_reset_password_token;
+ALTER TABLE users DROP COLUMN IF EXISTS reset_password_expire;
+ALTER TABLE users DROP COLUMN IF EXISTS reset_password_token;
@@ -0,0 +1,8 @@
+-- Single-use password reset tokens. Only a SHA-256 hash of the emailed token
+-- is stored, together with its expiry.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_password_token VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_password_expire TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_reset_password_token
+    ON users (reset_password_token)
+    WHERE reset_password_token IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Email address verification. Accounts created before verification existed
+-- are treated as verified so they are not locked out.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+UPDATE users SET email_verified = TRUE;
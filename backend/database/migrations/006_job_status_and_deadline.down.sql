@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_jobs_status_deadline;
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS application_deadline;
+ALTER TABLE jobs DROP COLUMN IF EXISTS status;
+
+DROP TYPE IF EXISTS job_status_enum;
@@ -0,0 +1,12 @@
+-- Job lifecycle. Open jobs accept applications until their deadline;
+-- employers can close them by hand, and expired postings are archived.
+DO $$ BEGIN
+    CREATE TYPE job_status_enum AS ENUM ('open', 'closed', 'archived');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS status job_status_enum NOT NULL DEFAULT 'open';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS application_deadline TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_deadline ON jobs (status, application_deadline);
@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS idx_jobs_salary_range;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_salary_range_check;
+ALTER TABLE jobs DROP COLUMN IF EXISTS salary_period;
+ALTER TABLE jobs DROP COLUMN IF EXISTS salary_currency;
+ALTER TABLE jobs DROP COLUMN IF EXISTS salary_max;
+ALTER TABLE jobs DROP COLUMN IF EXISTS salary_min;
+
+DROP TYPE IF EXISTS salary_period_enum;
@@ -0,0 +1,74 @@
+-- Structured salary ranges. The free-text salary column is kept as the
+-- display string and is now derived from these fields when jobs are saved.
+DO $$ BEGIN
+    CREATE TYPE salary_period_enum AS ENUM ('yearly', 'monthly', 'hourly');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_min NUMERIC(14, 2);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_max NUMERIC(14, 2);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_currency CHAR(3) NOT NULL DEFAULT 'INR';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_period salary_period_enum NOT NULL DEFAULT 'monthly';
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_salary_range_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_salary_range_check CHECK (
+    salary_min IS NULL OR (salary_min >= 0 AND (salary_max IS NULL OR salary_max >= salary_min))
+);
+
+-- Parse existing free-text salaries such as "50000 - 80000", "5,00,000",
+-- "10k-20k", "6-8 LPA" or "$40/hour". Amounts may carry a k (thousand) or
+-- lakh/L/LPA (hundred thousand) suffix; in a range a suffix on the upper
+-- amount also applies to the lower one. Values with more than two amounts
+-- are too ambiguous and keep only their free text.
+WITH matches AS (
+    SELECT
+        j.id,
+        array_agg(m[1]::numeric ORDER BY ordinality) AS numbers,
+        array_agg(
+            CASE
+                WHEN lower(m[2]) = 'k' THEN 1000
+                WHEN lower(m[2]) IN ('l', 'lac', 'lacs', 'lakh', 'lakhs', 'lpa') THEN 100000
+                ELSE 1
+            END
+            ORDER BY ordinality
+        ) AS multipliers
+    FROM jobs j
+    CROSS JOIN LATERAL regexp_matches(
+        replace(j.salary, ',', ''),
+        '(\d+(?:\.\d+)?)\s*(lpa|lakhs|lakh|lacs|lac|k|l)?\M',
+        'gi'
+    ) WITH ORDINALITY AS m
+    WHERE j.salary_min IS NULL
+    GROUP BY j.id
+),
+amounts AS (
+    SELECT
+        id,
+        numbers[1] * CASE
+            WHEN multipliers[1] = 1 AND array_length(numbers, 1) = 2 THEN multipliers[2]
+            ELSE multipliers[1]
+        END AS low,
+        COALESCE(numbers[2] * multipliers[2], numbers[1] * multipliers[1]) AS high
+    FROM matches
+    WHERE array_length(numbers, 1) BETWEEN 1 AND 2
+)
+UPDATE jobs j
+SET
+    salary_min = LEAST(a.low, a.high),
+    salary_max = GREATEST(a.low, a.high),
+    salary_currency = CASE
+        WHEN j.salary ~* '(\$|usd)' THEN 'USD'
+        WHEN j.salary ~* '(€|eur)' THEN 'EUR'
+        WHEN j.salary ~* '(£|gbp)' THEN 'GBP'
+        ELSE 'INR'
+    END,
+    salary_period = CASE
+        WHEN j.salary ~* '(hour|/\s*hr|per\s*hr)' THEN 'hourly'::salary_period_enum
+        WHEN j.salary ~* '(year|annum|annual|lpa|p\.?a\.?\M|/\s*yr)' THEN 'yearly'::salary_period_enum
+        ELSE 'monthly'::salary_period_enum
+    END
+FROM amounts a
+WHERE j.id = a.id;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_salary_range ON jobs (salary_min, salary_max);
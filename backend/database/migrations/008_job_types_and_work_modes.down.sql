@@ -0,0 +1,13 @@
+DROP INDEX IF EXISTS idx_jobs_work_mode;
+DROP INDEX IF EXISTS idx_jobs_job_type;
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS work_mode;
+DROP TYPE IF EXISTS work_mode_enum;
+
+-- Enum values cannot be removed, so the job type enum is rebuilt. Jobs using
+-- the newer types fall back to Full-time.
+ALTER TABLE jobs ALTER COLUMN job_type TYPE VARCHAR(20);
+UPDATE jobs SET job_type = 'Full-time' WHERE job_type NOT IN ('Full-time', 'Part-time');
+DROP TYPE job_type_enum;
+CREATE TYPE job_type_enum AS ENUM ('Full-time', 'Part-time');
+ALTER TABLE jobs ALTER COLUMN job_type TYPE job_type_enum USING job_type::job_type_enum;
@@ -0,0 +1,18 @@
+-- More employment types and a separate work mode (on-site/remote/hybrid).
+-- ALTER TYPE ... ADD VALUE runs inside the migration transaction, which
+-- PostgreSQL 12+ allows as long as the new values are not used before commit.
+ALTER TYPE job_type_enum ADD VALUE IF NOT EXISTS 'Internship';
+ALTER TYPE job_type_enum ADD VALUE IF NOT EXISTS 'Contract';
+ALTER TYPE job_type_enum ADD VALUE IF NOT EXISTS 'Temporary';
+ALTER TYPE job_type_enum ADD VALUE IF NOT EXISTS 'Freelance';
+
+DO $$ BEGIN
+    CREATE TYPE work_mode_enum AS ENUM ('On-site', 'Remote', 'Hybrid');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS work_mode work_mode_enum NOT NULL DEFAULT 'On-site';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_job_type ON jobs (job_type);
+CREATE INDEX IF NOT EXISTS idx_jobs_work_mode ON jobs (work_mode);
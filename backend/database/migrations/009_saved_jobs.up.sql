@@ -0,0 +1,15 @@
+-- Jobs bookmarked by job seekers. The job's title and company are copied at
+-- save time and the link is nulled when the job is deleted, so the seeker
+-- still sees which saved job disappeared.
+CREATE TABLE IF NOT EXISTS saved_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    job_title VARCHAR(255) NOT NULL,
+    company_name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_jobs_user_id ON saved_jobs (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_saved_jobs_job_id ON saved_jobs (job_id);
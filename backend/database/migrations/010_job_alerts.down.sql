@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS job_alerts CASCADE;
+DROP TYPE IF EXISTS alert_frequency_enum;
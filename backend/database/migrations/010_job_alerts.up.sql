@@ -0,0 +1,28 @@
+-- Saved searches that email job seekers when matching jobs are posted.
+-- last_checked_at is the cutoff for "new" jobs: each run only looks at jobs
+-- created after it and moves it forward once the alert has been handled.
+-- min_salary is a yearly amount in salary_currency, as in the job filters.
+DO $$ BEGIN
+    CREATE TYPE alert_frequency_enum AS ENUM ('instant', 'daily', 'weekly');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS job_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    keyword VARCHAR(255),
+    location VARCHAR(255),
+    job_niche VARCHAR(255),
+    job_type job_type_enum,
+    work_mode work_mode_enum,
+    min_salary NUMERIC(14, 2) CHECK (min_salary IS NULL OR min_salary >= 0),
+    salary_currency CHAR(3),
+    frequency alert_frequency_enum NOT NULL DEFAULT 'daily',
+    last_checked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_alerts_user_id ON job_alerts (user_id);
+CREATE INDEX IF NOT EXISTS idx_job_alerts_due ON job_alerts (frequency, last_checked_at);
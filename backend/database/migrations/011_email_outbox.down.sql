@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS email_outbox CASCADE;
+DROP TYPE IF EXISTS email_status_enum;
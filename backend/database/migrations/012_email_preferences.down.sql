@@ -0,0 +1,4 @@
+ALTER TABLE email_outbox DROP COLUMN IF EXISTS html_body;
+
+ALTER TABLE users DROP COLUMN IF EXISTS job_alert_emails;
+ALTER TABLE users DROP COLUMN IF EXISTS newsletter_emails;
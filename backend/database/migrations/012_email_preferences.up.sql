@@ -0,0 +1,6 @@
+-- Per-user opt-outs for bulk emails, flipped by the signed unsubscribe link
+-- in each email, and the HTML alternative of queued emails.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS newsletter_emails BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS job_alert_emails BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS html_body TEXT;
@@ -0,0 +1,4 @@
+ALTER TABLE users DROP COLUMN IF EXISTS marketing_emails;
+ALTER TABLE users DROP COLUMN IF EXISTS application_status_emails;
+ALTER TABLE users DROP COLUMN IF EXISTS last_newsletter_digest_at;
+ALTER TABLE users DROP COLUMN IF EXISTS newsletter_frequency;
@@ -0,0 +1,7 @@
+-- The rest of the per-user notification settings. Niche newsletters can now
+-- arrive as a daily or weekly digest; last_newsletter_digest_at is the
+-- cutoff for the jobs the next digest covers.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS newsletter_frequency alert_frequency_enum NOT NULL DEFAULT 'instant';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_newsletter_digest_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW();
+ALTER TABLE users ADD COLUMN IF NOT EXISTS application_status_emails BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS marketing_emails BOOLEAN NOT NULL DEFAULT FALSE;
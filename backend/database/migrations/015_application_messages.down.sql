@@ -0,0 +1,2 @@
+ALTER TABLE users DROP COLUMN IF EXISTS message_emails;
+DROP TABLE IF EXISTS application_messages;
@@ -0,0 +1,15 @@
+-- Conversation between a job seeker and the employer about an application.
+-- read_at is set once the other participant has opened the thread.
+CREATE TABLE IF NOT EXISTS application_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    sender_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_messages_application_id ON application_messages (application_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_application_messages_unread ON application_messages (application_id) WHERE read_at IS NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS message_emails BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,4 @@
+ALTER TABLE email_outbox DROP COLUMN IF EXISTS attachments;
+DROP TABLE IF EXISTS interview_slots;
+DROP TABLE IF EXISTS interviews;
+DROP TYPE IF EXISTS interview_status_enum;
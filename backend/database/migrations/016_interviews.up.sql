@@ -0,0 +1,39 @@
+-- Interviews an employer schedules with a candidate. The employer proposes
+-- one or more slots; the interview is scheduled once the job seeker accepts
+-- one of them. ics_sequence is the SEQUENCE of the calendar invite, bumped
+-- whenever a sent invite changes (e.g. it is cancelled).
+DO $$ BEGIN
+    CREATE TYPE interview_status_enum AS ENUM ('proposed', 'scheduled', 'cancelled');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS interviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    timezone VARCHAR(64) NOT NULL,
+    duration_minutes INTEGER NOT NULL DEFAULT 60 CHECK (duration_minutes BETWEEN 15 AND 480),
+    location VARCHAR(255),
+    meeting_link VARCHAR(500),
+    notes TEXT,
+    status interview_status_enum NOT NULL DEFAULT 'proposed',
+    scheduled_at TIMESTAMP WITH TIME ZONE,
+    ics_sequence INTEGER NOT NULL DEFAULT 0,
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (location IS NOT NULL OR meeting_link IS NOT NULL),
+    CHECK (status <> 'scheduled' OR scheduled_at IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_application_id ON interviews (application_id);
+
+CREATE TABLE IF NOT EXISTS interview_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (interview_id, starts_at)
+);
+
+-- Calendar invites travel as attachments of queued emails
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS attachments JSONB;
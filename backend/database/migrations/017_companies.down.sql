@@ -0,0 +1,3 @@
+ALTER TABLE jobs DROP COLUMN IF EXISTS company_id;
+ALTER TABLE users DROP COLUMN IF EXISTS company_id;
+DROP TABLE IF EXISTS companies;
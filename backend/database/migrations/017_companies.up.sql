@@ -0,0 +1,51 @@
+-- Companies employers belong to and post jobs for. jobs.company_name stays
+-- as a copy of the company name, kept in step on rename, so search, saved
+-- jobs and emails keep working unchanged.
+CREATE TABLE IF NOT EXISTS companies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    logo_public_id VARCHAR(255),
+    logo_url VARCHAR(255),
+    website VARCHAR(255),
+    description TEXT,
+    size VARCHAR(20) CHECK (size IN ('1-10', '11-50', '51-200', '201-500', '501-1000', '1001+')),
+    headquarters_city VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One company per name, whatever its capitalization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_name ON companies (lower(name));
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE SET NULL;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_company_id ON jobs (company_id);
+
+-- Turn the free-text company names of existing jobs into companies, merging
+-- names that only differ in case or surrounding spaces. The most recent
+-- spelling wins.
+INSERT INTO companies (name)
+SELECT DISTINCT ON (lower(trim(company_name))) trim(company_name)
+FROM jobs
+WHERE trim(company_name) <> ''
+ORDER BY lower(trim(company_name)), created_at DESC
+ON CONFLICT DO NOTHING;
+
+UPDATE jobs j
+SET company_id = c.id, company_name = c.name
+FROM companies c
+WHERE j.company_id IS NULL
+AND lower(c.name) = lower(trim(j.company_name));
+
+-- Employers belong to the company of their most recent job
+UPDATE users u
+SET company_id = latest.company_id
+FROM (
+    SELECT DISTINCT ON (posted_by) posted_by, company_id
+    FROM jobs
+    WHERE company_id IS NOT NULL
+    ORDER BY posted_by, created_at DESC
+) latest
+WHERE u.id = latest.posted_by
+AND u.company_id IS NULL;
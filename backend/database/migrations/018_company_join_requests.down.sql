@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS company_join_requests;
+ALTER TABLE users DROP COLUMN IF EXISTS company_role;
+DROP TYPE IF EXISTS company_join_request_status_enum;
+DROP TYPE IF EXISTS company_role_enum;
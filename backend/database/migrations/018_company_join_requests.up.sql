@@ -0,0 +1,43 @@
+-- Each company has one owner, the only member who can edit its profile.
+-- Other employers join by request, which the owner approves or rejects.
+DO $$ BEGIN
+    CREATE TYPE company_role_enum AS ENUM ('owner', 'member');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE company_join_request_status_enum AS ENUM ('pending', 'approved', 'rejected');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS company_role company_role_enum;
+
+-- The earliest registered member of an existing company becomes its owner
+UPDATE users u
+SET company_role = CASE WHEN u.id = first.id THEN 'owner' ELSE 'member' END::company_role_enum
+FROM (
+    SELECT DISTINCT ON (company_id) company_id, id
+    FROM users
+    WHERE company_id IS NOT NULL
+    ORDER BY company_id, created_at
+) first
+WHERE u.company_id = first.company_id;
+
+CREATE TABLE IF NOT EXISTS company_join_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status company_join_request_status_enum NOT NULL DEFAULT 'pending',
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- An employer has at most one open request per company
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_join_requests_pending
+ON company_join_requests (company_id, user_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_company_join_requests_user_id ON company_join_requests (user_id);
@@ -0,0 +1,2 @@
+-- Extra headers of queued emails, e.g. List-Unsubscribe on newsletters
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS headers JSONB;
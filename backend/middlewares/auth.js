@@ -2,27 +2,44 @@ import { catchAsyncErrors } from "./catchAsyncErrors.js";
 import ErrorHandler from "./error.js";
 import jwt from "jsonwebtoken";
 import { UserModel } from "../models/userModel.js";
+import { SessionModel } from "../models/sessionModel.js";
 
 export const isAuthenticated = catchAsyncErrors(async (req, res, next) => {
   const { token } = req.cookies;
   if (!token) {
-    return next(new ErrorHandler("User is not authenticated.", 400));
+    return next(new ErrorHandler("User is not authenticated.", 401));
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new ErrorHandler("Invalid or expired token.", 401));
+  }
 
-    const user = await UserModel.findById(decoded.id);
+  // Single-purpose tokens such as email verification links never log in
+  if (decoded.purpose) {
+    return next(new ErrorHandler("Invalid or expired token.", 401));
+  }
 
-    if (!user) {
-      return next(new ErrorHandler("User not found.", 404));
-    }
+  // Tokens are bound to a session so revoked sessions are rejected at once
+  const session = decoded.sid
+    ? await SessionModel.findActiveById(decoded.sid)
+    : null;
 
-    req.user = user;
-    next();
-  } catch (error) {
-    return next(new ErrorHandler("Invalid or expired token.", 401));
+  if (!session || session.userId !== decoded.id) {
+    return next(new ErrorHandler("Session has expired or was revoked.", 401));
+  }
+
+  const user = await UserModel.findById(decoded.id);
+
+  if (!user) {
+    return next(new ErrorHandler("User is not authenticated.", 401));
   }
+
+  req.user = user;
+  req.sessionId = session.id;
+  next();
 });
 
 export const isAuthorized = (...roles) => {
@@ -38,3 +55,15 @@ export const isAuthorized = (...roles) => {
     next();
   };
 };
+
+export const isVerified = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(
+      new ErrorHandler(
+        "Please verify your email address to access this resource.",
+        403
+      )
+    );
+  }
+  next();
+};
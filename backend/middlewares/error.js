@@ -36,11 +36,11 @@ export const errorMiddleware = (err, req, res, next) => {
   }
   if (err.name === "JsonWebTokenError") {
     const message = `Json Web Token is invalid, Try again.`;
-    err = new ErrorHandler(message, 400);
+    err = new ErrorHandler(message, 401);
   }
   if (err.name === "TokenExpiredError") {
     const message = `Json Web Token is expired, Try again.`;
-    err = new ErrorHandler(message, 400);
+    err = new ErrorHandler(message, 401);
   }
   if (
     err.code === "ECONNREFUSED" ||
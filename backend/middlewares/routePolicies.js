@@ -0,0 +1,116 @@
+import { isAuthenticated, isAuthorized, isVerified } from "./auth.js";
+
+/**
+ * Access policy for every API route, keyed by "METHOD /router/path".
+ *
+ * - public:   no login required
+ * - roles:    logged in users with one of these roles (403 otherwise)
+ * - verified: the user's email must also be verified
+ *
+ * Unauthenticated requests to non-public routes get 401.
+ */
+
+export const ROLES = {
+  JOB_SEEKER: "Job Seeker",
+  EMPLOYER: "Employer",
+};
+
+const ANY_ROLE = Object.values(ROLES);
+
+export const ROUTE_POLICIES = {
+  // User routes
+  "POST /user/register": { public: true },
+  "POST /user/login": { public: true },
+  "POST /user/refresh": { public: true },
+  "POST /user/password/forgot": { public: true },
+  "PUT /user/password/reset/:token": { public: true },
+  "GET /user/verify/:token": { public: true },
+  "POST /user/unsubscribe/:token": { public: true },
+  "GET /user/logout": { roles: ANY_ROLE },
+  "POST /user/logout/all": { roles: ANY_ROLE },
+  "GET /user/getuser": { roles: ANY_ROLE },
+  "PUT /user/update/profile": { roles: ANY_ROLE },
+  "PUT /user/update/password": { roles: ANY_ROLE },
+  "POST /user/verify/resend": { roles: ANY_ROLE },
+  "GET /user/notifications": { roles: ANY_ROLE },
+  "PUT /user/notifications": { roles: ANY_ROLE },
+
+  // Job routes
+  "GET /job/getall": { public: true },
+  "GET /job/get/:id": { roles: ANY_ROLE },
+  "POST /job/post": { roles: [ROLES.EMPLOYER], verified: true },
+  "GET /job/getmyjobs": { roles: [ROLES.EMPLOYER] },
+  "PUT /job/update/:id": { roles: [ROLES.EMPLOYER], verified: true },
+  "PUT /job/status/:id": { roles: [ROLES.EMPLOYER] },
+  "DELETE /job/delete/:id": { roles: [ROLES.EMPLOYER] },
+  "GET /job/saved": { roles: [ROLES.JOB_SEEKER] },
+  "POST /job/save/:id": { roles: [ROLES.JOB_SEEKER] },
+  "DELETE /job/save/:id": { roles: [ROLES.JOB_SEEKER] },
+  "GET /job/alerts": { roles: [ROLES.JOB_SEEKER] },
+  "POST /job/alerts": { roles: [ROLES.JOB_SEEKER] },
+  "PUT /job/alerts/:id": { roles: [ROLES.JOB_SEEKER] },
+  "DELETE /job/alerts/:id": { roles: [ROLES.JOB_SEEKER] },
+
+  // Company routes
+  "GET /company/getall": { public: true },
+  "POST /company/create": { roles: [ROLES.EMPLOYER], verified: true },
+  "PUT /company/update/:id": { roles: [ROLES.EMPLOYER], verified: true },
+  "PUT /company/join/:id": { roles: [ROLES.EMPLOYER] },
+  "PUT /company/requests/:id": { roles: [ROLES.EMPLOYER] },
+  "GET /company/:id/requests": { roles: [ROLES.EMPLOYER] },
+  "GET /company/:id": { public: true },
+
+  // Application routes
+  "POST /application/post/:id": { roles: [ROLES.JOB_SEEKER], verified: true },
+  "GET /application/employer/getall": { roles: [ROLES.EMPLOYER] },
+  "GET /application/jobseeker/getall": { roles: [ROLES.JOB_SEEKER] },
+  "DELETE /application/delete/:id": { roles: ANY_ROLE },
+  "PUT /application/status/:id": { roles: [ROLES.EMPLOYER] },
+  "GET /application/status/:id/history": { roles: ANY_ROLE },
+  "GET /application/job/:jobId": { roles: [ROLES.EMPLOYER] },
+  "GET /application/messages/threads": { roles: ANY_ROLE },
+  "GET /application/:id/messages": { roles: ANY_ROLE },
+  "POST /application/:id/messages": { roles: ANY_ROLE },
+  "PUT /application/:id/messages/read": { roles: ANY_ROLE },
+  "GET /application/:id/interviews": { roles: ANY_ROLE },
+  "POST /application/:id/interviews": { roles: [ROLES.EMPLOYER] },
+  "GET /application/:id": { roles: ANY_ROLE },
+
+  // Interview routes
+  "PUT /interview/:id/accept": { roles: [ROLES.JOB_SEEKER] },
+  "PUT /interview/:id/cancel": { roles: ANY_ROLE },
+
+  // Notification routes
+  "GET /notifications": { roles: ANY_ROLE },
+  "PUT /notifications/read-all": { roles: ANY_ROLE },
+  "PUT /notifications/:id/read": { roles: ANY_ROLE },
+
+  // Live update stream
+  "GET /events": { roles: ANY_ROLE },
+};
+
+/**
+ * Build the middleware chain enforcing a route's policy.
+ * Throws at startup if a route has no policy, so none can be left unguarded.
+ */
+export const authorize = (routeKey) => {
+  const policy = ROUTE_POLICIES[routeKey];
+
+  if (!policy) {
+    throw new Error(`No access policy defined for route "${routeKey}"`);
+  }
+
+  if (policy.public) {
+    return [];
+  }
+
+  const middlewares = [isAuthenticated, isAuthorized(...policy.roles)];
+
+  if (policy.verified) {
+    middlewares.push(isVerified);
+  }
+
+  return middlewares;
+};
+
+export default authorize;
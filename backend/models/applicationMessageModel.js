@@ -0,0 +1,164 @@
+import { executeQuery } from "../database/pg-connection.js";
+
+/**
+ * Application Message Model - conversation between a job seeker and the
+ * employer about an application
+ */
+
+export const MAX_MESSAGE_LENGTH = 5000;
+
+export const ApplicationMessageModel = {
+  /**
+   * Create a new message
+   */
+  async create({ applicationId, senderUserId, body }) {
+    const query = `
+            WITH message AS (
+                INSERT INTO application_messages (application_id, sender_user_id, body)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            )
+            SELECT m.*, u.name as sender_name
+            FROM message m
+            JOIN users u ON m.sender_user_id = u.id
+        `;
+    const result = await executeQuery(query, [
+      applicationId,
+      senderUserId,
+      body,
+    ]);
+    return this.formatMessage(result.rows[0]);
+  },
+
+  /**
+   * Find all messages of an application's thread, oldest first
+   */
+  async findByApplicationId(applicationId) {
+    const query = `
+            SELECT m.*, u.name as sender_name
+            FROM application_messages m
+            JOIN users u ON m.sender_user_id = u.id
+            WHERE m.application_id = $1
+            ORDER BY m.created_at
+        `;
+    const result = await executeQuery(query, [applicationId]);
+    return result.rows.map((message) => this.formatMessage(message));
+  },
+
+  /**
+   * Count the messages of a thread that a participant has not read yet
+   */
+  async countUnread(applicationId, readerUserId) {
+    const query = `
+            SELECT COUNT(*) as count FROM application_messages
+            WHERE application_id = $1 AND sender_user_id <> $2 AND read_at IS NULL
+        `;
+    const result = await executeQuery(query, [applicationId, readerUserId]);
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Mark the messages a participant received in a thread as read
+   * @returns {Array} The messages that were unread until now
+   */
+  async markRead(applicationId, readerUserId) {
+    const query = `
+            UPDATE application_messages
+            SET read_at = NOW()
+            WHERE application_id = $1 AND sender_user_id <> $2 AND read_at IS NULL
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [applicationId, readerUserId]);
+    return result.rows.map((message) => this.formatMessage(message));
+  },
+
+  /**
+   * Find the threads a user takes part in, with their latest message and
+   * unread count, most recently active first. Applications the user
+   * deleted are left out.
+   */
+  async findThreadsByUser(userId) {
+    const query = `
+            SELECT
+                a.id as application_id,
+                a.job_title,
+                a.job_seeker_name,
+                a.job_seeker_user_id,
+                a.employer_user_id,
+                a.status,
+                j.company_name,
+                last.body as last_message_body,
+                last.sender_user_id as last_message_sender_user_id,
+                last.created_at as last_message_at,
+                (
+                    SELECT COUNT(*) FROM application_messages m
+                    WHERE m.application_id = a.id
+                      AND m.sender_user_id <> $1
+                      AND m.read_at IS NULL
+                ) as unread_count
+            FROM applications a
+            JOIN jobs j ON a.job_id = j.id
+            JOIN LATERAL (
+                SELECT body, sender_user_id, created_at
+                FROM application_messages m
+                WHERE m.application_id = a.id
+                ORDER BY m.created_at DESC
+                LIMIT 1
+            ) last ON true
+            WHERE (a.job_seeker_user_id = $1 AND a.deleted_by_job_seeker = false)
+               OR (a.employer_user_id = $1 AND a.deleted_by_employer = false)
+            ORDER BY last.created_at DESC
+        `;
+    const result = await executeQuery(query, [userId]);
+    return result.rows.map((thread) => ({
+      applicationId: thread.application_id,
+      jobTitle: thread.job_title,
+      companyName: thread.company_name,
+      jobSeekerName: thread.job_seeker_name,
+      jobSeekerUserId: thread.job_seeker_user_id,
+      employerUserId: thread.employer_user_id,
+      status: thread.status,
+      lastMessage: {
+        body: thread.last_message_body,
+        senderUserId: thread.last_message_sender_user_id,
+        createdAt: thread.last_message_at,
+      },
+      unreadCount: parseInt(thread.unread_count),
+    }));
+  },
+
+  /**
+   * Format message data (convert snake_case to camelCase)
+   */
+  formatMessage(message) {
+    if (!message) return null;
+
+    return {
+      id: message.id,
+      applicationId: message.application_id,
+      senderUserId: message.sender_user_id,
+      senderName: message.sender_name,
+      body: message.body,
+      read: message.read_at !== null,
+      readAt: message.read_at,
+      createdAt: message.created_at,
+    };
+  },
+
+  /**
+   * Validate a message body
+   */
+  validateMessage(body) {
+    const errors = [];
+
+    if (typeof body !== "string" || !body.trim()) {
+      errors.push("Message cannot be empty");
+    } else if (body.trim().length > MAX_MESSAGE_LENGTH) {
+      errors.push(`Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    return errors;
+  },
+};
+
+export default ApplicationMessageModel;
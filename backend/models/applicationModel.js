@@ -5,6 +5,21 @@ import { convertPhoneToNumber } from "../utils/phoneUtils.js";
  * Application Model - Raw SQL implementation to replace Sequelize Application model
  */
 
+/**
+ * Hiring pipeline stages and the stages each one may move to.
+ * "Hired" and "Rejected" are terminal.
+ */
+export const APPLICATION_STATUS_TRANSITIONS = {
+  Applied: ["Shortlisted", "Rejected"],
+  Shortlisted: ["Interviewing", "Rejected"],
+  Interviewing: ["Offered", "Rejected"],
+  Offered: ["Hired", "Rejected"],
+  Hired: [],
+  Rejected: [],
+};
+
+export const APPLICATION_STATUSES = Object.keys(APPLICATION_STATUS_TRANSITIONS);
+
 export const ApplicationModel = {
   /**
    * Create a new job application
@@ -49,8 +64,19 @@ export const ApplicationModel = {
       jobTitle,
     ];
 
-    const result = await executeQuery(query, values);
-    return this.formatApplication(result.rows[0]);
+    return await executeTransaction(async (client) => {
+      const result = await client.query(query, values);
+      const application = result.rows[0];
+
+      // Record the initial stage so the history starts at submission
+      await client.query(
+        `INSERT INTO application_status_history (application_id, from_status, to_status, changed_by)
+         VALUES ($1, NULL, $2, $3)`,
+        [application.id, application.status, jobSeekerUserId]
+      );
+
+      return this.formatApplication(application);
+    });
   },
 
   /**
@@ -67,6 +93,7 @@ export const ApplicationModel = {
             SELECT 
                 a.*,
                 j.title as job_title_full,
+                j.company_id,
                 j.company_name,
                 j.location as job_location,
                 j.salary,
@@ -134,6 +161,59 @@ export const ApplicationModel = {
     return result.rows[0] ? this.formatApplication(result.rows[0]) : null;
   },
 
+  /**
+   * Check whether an application may move from one stage to another
+   */
+  canTransition(fromStatus, toStatus) {
+    const allowed = APPLICATION_STATUS_TRANSITIONS[fromStatus] || [];
+    return allowed.includes(toStatus);
+  },
+
+  /**
+   * Move an application to a new stage and record it in the status history.
+   * The update only applies if the application is still in `fromStatus`, so
+   * concurrent changes cannot skip a stage; returns null in that case.
+   */
+  async updateStatus(id, { fromStatus, toStatus, changedBy, note }) {
+    return await executeTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE applications 
+         SET status = $1, updated_at = NOW()
+         WHERE id = $2 AND status = $3
+         RETURNING *`,
+        [toStatus, id, fromStatus]
+      );
+
+      if (!result.rows[0]) return null;
+
+      await client.query(
+        `INSERT INTO application_status_history (application_id, from_status, to_status, changed_by, note)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [id, fromStatus, toStatus, changedBy, note || null]
+      );
+
+      return this.formatApplication(result.rows[0]);
+    });
+  },
+
+  /**
+   * Get the stage history of an application, oldest first
+   */
+  async findStatusHistory(applicationId) {
+    const query = `
+            SELECT 
+                h.*,
+                u.name as changed_by_name,
+                u.role as changed_by_role
+            FROM application_status_history h
+            LEFT JOIN users u ON h.changed_by = u.id
+            WHERE h.application_id = $1
+            ORDER BY h.created_at ASC
+        `;
+    const result = await executeQuery(query, [applicationId]);
+    return result.rows.map((entry) => this.formatStatusHistory(entry));
+  },
+
   /**
    * Soft delete application (mark as deleted by job seeker)
    */
@@ -179,6 +259,7 @@ export const ApplicationModel = {
             SELECT 
                 a.*,
                 j.title as job_title_full,
+                j.company_id,
                 j.company_name,
                 j.location as job_location,
                 j.salary,
@@ -225,6 +306,7 @@ export const ApplicationModel = {
             SELECT 
                 a.*,
                 j.title as job_title_full,
+                j.company_id,
                 j.company_name,
                 j.location as job_location,
                 js.name as job_seeker_name_full,
@@ -321,6 +403,25 @@ export const ApplicationModel = {
     return parseInt(result.rows[0].total);
   },
 
+  /**
+   * Count an employer's applications for each of several jobs in one query
+   * @returns {Object} Counts keyed by job ID; jobs without any are left out
+   */
+  async countApplicationsByJobIds(jobIds, employerUserId) {
+    if (jobIds.length === 0) return {};
+
+    const query = `
+            SELECT job_id, COUNT(*) as total FROM applications
+            WHERE job_id = ANY($1)
+            AND employer_user_id = $2 AND deleted_by_employer = false
+            GROUP BY job_id
+        `;
+    const result = await executeQuery(query, [jobIds, employerUserId]);
+    return Object.fromEntries(
+      result.rows.map((row) => [row.job_id, parseInt(row.total)])
+    );
+  },
+
   /**
    * Format application object (convert snake_case to camelCase)
    */
@@ -342,6 +443,8 @@ export const ApplicationModel = {
       employerRole: application.employer_role,
       jobId: application.job_id,
       jobTitle: application.job_title,
+      status: application.status,
+      nextStatuses: APPLICATION_STATUS_TRANSITIONS[application.status] || [],
       deletedByJobSeeker: application.deleted_by_job_seeker,
       deletedByEmployer: application.deleted_by_employer,
       createdAt: application.created_at,
@@ -360,6 +463,7 @@ export const ApplicationModel = {
       if (application.job_title_full) {
         formattedApp.job = {
           title: application.job_title_full,
+          companyId: application.company_id,
           companyName: application.company_name,
           location: application.job_location,
           salary: application.salary,
@@ -387,6 +491,27 @@ export const ApplicationModel = {
     return formattedApp;
   },
 
+  /**
+   * Format a status history entry
+   */
+  formatStatusHistory(entry) {
+    if (!entry) return null;
+
+    return {
+      id: entry.id,
+      applicationId: entry.application_id,
+      fromStatus: entry.from_status,
+      toStatus: entry.to_status,
+      changedBy: {
+        id: entry.changed_by,
+        name: entry.changed_by_name,
+        role: entry.changed_by_role,
+      },
+      note: entry.note,
+      createdAt: entry.created_at,
+    };
+  },
+
   /**
    * Convert camelCase to snake_case for database fields
    */
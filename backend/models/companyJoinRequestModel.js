@@ -0,0 +1,147 @@
+import { executeQuery, executeTransaction } from "../database/pg-connection.js";
+
+/**
+ * Company Join Request Model - employers asking to join a company, approved
+ * or rejected by its owner
+ */
+
+export const CompanyJoinRequestModel = {
+  /**
+   * Create a pending request
+   * @returns {Object|null} The request, or null if one is already pending
+   */
+  async create(companyId, userId) {
+    const query = `
+            INSERT INTO company_join_requests (company_id, user_id)
+            VALUES ($1, $2)
+            ON CONFLICT DO NOTHING
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [companyId, userId]);
+    return result.rows[0] ? this.formatJoinRequest(result.rows[0]) : null;
+  },
+
+  /**
+   * Find join request by ID
+   */
+  async findById(id) {
+    const query = "SELECT * FROM company_join_requests WHERE id = $1";
+    const result = await executeQuery(query, [id]);
+    return result.rows[0] ? this.formatJoinRequest(result.rows[0]) : null;
+  },
+
+  /**
+   * Find the pending requests of a company with the employers who sent
+   * them, oldest first
+   */
+  async findPendingByCompanyId(companyId) {
+    const query = `
+            SELECT r.*, u.name as user_name, u.email as user_email
+            FROM company_join_requests r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.company_id = $1 AND r.status = 'pending'
+            ORDER BY r.created_at
+        `;
+    const result = await executeQuery(query, [companyId]);
+    return result.rows.map((request) => this.formatJoinRequest(request));
+  },
+
+  /**
+   * Approve a pending request and make the employer a member. The
+   * employer's other pending requests are dropped.
+   * @returns {Object|null} The request, or null if it is no longer pending
+   * or the employer joined another company in the meantime
+   */
+  async approve(id, deciderUserId) {
+    return await executeTransaction(async (client) => {
+      const result = await client.query(
+        `
+            SELECT * FROM company_join_requests
+            WHERE id = $1 AND status = 'pending'
+            FOR UPDATE
+        `,
+        [id]
+      );
+      const request = result.rows[0];
+      if (!request) return null;
+
+      const member = await client.query(
+        `
+            UPDATE users
+            SET company_id = $1, company_role = 'member', updated_at = NOW()
+            WHERE id = $2 AND company_id IS NULL
+            RETURNING id
+        `,
+        [request.company_id, request.user_id]
+      );
+      if (member.rows.length === 0) return null;
+
+      const approved = await client.query(
+        `
+            UPDATE company_join_requests
+            SET status = 'approved', decided_by = $2, decided_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `,
+        [id, deciderUserId]
+      );
+
+      await client.query(
+        `
+            DELETE FROM company_join_requests
+            WHERE user_id = $1 AND status = 'pending'
+        `,
+        [request.user_id]
+      );
+
+      return this.formatJoinRequest(approved.rows[0]);
+    });
+  },
+
+  /**
+   * Reject a pending request
+   * @returns {Object|null} The request, or null if it is no longer pending
+   */
+  async reject(id, deciderUserId) {
+    const query = `
+            UPDATE company_join_requests
+            SET status = 'rejected', decided_by = $2, decided_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [id, deciderUserId]);
+    return result.rows[0] ? this.formatJoinRequest(result.rows[0]) : null;
+  },
+
+  /**
+   * Format join request object (convert snake_case to camelCase)
+   */
+  formatJoinRequest(request) {
+    if (!request) return null;
+
+    const formattedRequest = {
+      id: request.id,
+      companyId: request.company_id,
+      userId: request.user_id,
+      status: request.status,
+      decidedBy: request.decided_by,
+      decidedAt: request.decided_at,
+      createdAt: request.created_at,
+      updatedAt: request.updated_at,
+    };
+
+    if (request.user_name !== undefined) {
+      formattedRequest.user = {
+        id: request.user_id,
+        name: request.user_name,
+        email: request.user_email,
+      };
+    }
+
+    return formattedRequest;
+  },
+};
+
+export default CompanyJoinRequestModel;
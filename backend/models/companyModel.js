@@ -0,0 +1,245 @@
+import { executeQuery, executeTransaction } from "../database/pg-connection.js";
+
+/**
+ * Company Model - companies employers belong to and post jobs for
+ */
+
+export const COMPANY_SIZES = [
+  "1-10",
+  "11-50",
+  "51-200",
+  "201-500",
+  "501-1000",
+  "1001+",
+];
+
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+export const CompanyModel = {
+  /**
+   * Create a company and make the employer creating it its owner. The
+   * employer's pending requests to join other companies are dropped.
+   */
+  async create(companyData, employerUserId) {
+    const {
+      name,
+      logoPublicId,
+      logoUrl,
+      website,
+      description,
+      size,
+      headquartersCity,
+    } = companyData;
+
+    return await executeTransaction(async (client) => {
+      const result = await client.query(
+        `
+            INSERT INTO companies (
+                name, logo_public_id, logo_url, website, description, size,
+                headquarters_city
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `,
+        [
+          name,
+          logoPublicId || null,
+          logoUrl || null,
+          website || null,
+          description || null,
+          size || null,
+          headquartersCity || null,
+        ]
+      );
+      const company = result.rows[0];
+
+      await client.query(
+        `
+            UPDATE users
+            SET company_id = $1, company_role = 'owner', updated_at = NOW()
+            WHERE id = $2
+        `,
+        [company.id, employerUserId]
+      );
+
+      await client.query(
+        `
+            DELETE FROM company_join_requests
+            WHERE user_id = $1 AND status = 'pending'
+        `,
+        [employerUserId]
+      );
+
+      return this.formatCompany(company);
+    });
+  },
+
+  /**
+   * Find company by ID
+   */
+  async findById(id) {
+    const query = "SELECT * FROM companies WHERE id = $1";
+    const result = await executeQuery(query, [id]);
+    return result.rows[0] ? this.formatCompany(result.rows[0]) : null;
+  },
+
+  /**
+   * Find company by name, ignoring case and surrounding spaces
+   */
+  async findByName(name) {
+    const query = "SELECT * FROM companies WHERE lower(name) = lower($1)";
+    const result = await executeQuery(query, [name.trim()]);
+    return result.rows[0] ? this.formatCompany(result.rows[0]) : null;
+  },
+
+  /**
+   * Find companies whose name contains a search term, by name
+   */
+  async search(term, limit = 20) {
+    const query = `
+            SELECT * FROM companies
+            WHERE name ILIKE $1
+            ORDER BY name ASC
+            LIMIT $2
+        `;
+    const result = await executeQuery(query, [`%${term || ""}%`, limit]);
+    return result.rows.map((company) => this.formatCompany(company));
+  },
+
+  /**
+   * Update company by ID. A new name is copied to the company's jobs, which
+   * keep it for search and display.
+   */
+  async updateById(id, updateData) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (value !== undefined) {
+        fields.push(`${this.convertToSnakeCase(key)} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error("No fields to update");
+    }
+
+    values.push(id);
+
+    return await executeTransaction(async (client) => {
+      const result = await client.query(
+        `
+            UPDATE companies
+            SET ${fields.join(", ")}, updated_at = NOW()
+            WHERE id = $${paramCount}
+            RETURNING *
+        `,
+        values
+      );
+      const company = result.rows[0];
+      if (!company) return null;
+
+      if (updateData.name !== undefined) {
+        await client.query(
+          `
+              UPDATE jobs SET company_name = $1, updated_at = NOW()
+              WHERE company_id = $2 AND company_name <> $1
+          `,
+          [company.name, id]
+        );
+      }
+
+      return this.formatCompany(company);
+    });
+  },
+
+  /**
+   * Find the ID of a company's owner
+   */
+  async findOwnerId(id) {
+    const query = `
+            SELECT id FROM users
+            WHERE company_id = $1 AND company_role = 'owner'
+        `;
+    const result = await executeQuery(query, [id]);
+    return result.rows[0] ? result.rows[0].id : null;
+  },
+
+  /**
+   * Format company object (convert snake_case to camelCase)
+   */
+  formatCompany(company) {
+    if (!company) return null;
+
+    return {
+      id: company.id,
+      name: company.name,
+      logoPublicId: company.logo_public_id,
+      logoUrl: company.logo_url,
+      website: company.website,
+      description: company.description,
+      size: company.size,
+      headquartersCity: company.headquarters_city,
+      createdAt: company.created_at,
+      updatedAt: company.updated_at,
+    };
+  },
+
+  /**
+   * Convert camelCase to snake_case for database fields
+   */
+  convertToSnakeCase(str) {
+    const conversions = {
+      logoPublicId: "logo_public_id",
+      logoUrl: "logo_url",
+      headquartersCity: "headquarters_city",
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    };
+    return conversions[str] || str;
+  },
+
+  /**
+   * Validate company data
+   */
+  validateCompanyData(companyData) {
+    const errors = [];
+    const { name, website, description, size, headquartersCity } = companyData;
+
+    if (!name || name.trim().length < 2 || name.trim().length > 255) {
+      errors.push("Company name must be between 2 and 255 characters");
+    }
+
+    if (website && (website.length > 255 || !isHttpUrl(website))) {
+      errors.push("Website must be a valid http(s) URL");
+    }
+
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(
+        `Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`
+      );
+    }
+
+    if (size && !COMPANY_SIZES.includes(size)) {
+      errors.push(`Company size must be one of: ${COMPANY_SIZES.join(", ")}`);
+    }
+
+    if (headquartersCity && headquartersCity.length > 255) {
+      errors.push("Headquarters city cannot exceed 255 characters");
+    }
+
+    return errors;
+  },
+};
+
+export default CompanyModel;
@@ -0,0 +1,170 @@
+import { executeQuery } from "../database/pg-connection.js";
+
+/**
+ * Email Outbox Model - queued emails delivered by the outbox worker
+ */
+
+export const EMAIL_STATUSES = ["pending", "sending", "sent", "dead"];
+
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Retry delays double from one minute up to six hours
+const BASE_RETRY_DELAY_SECONDS = 60;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// A message left in "sending" this long belongs to a worker that died
+// mid-send and is picked up again
+const STALE_SENDING_INTERVAL = "10 minutes";
+
+export const EmailOutboxModel = {
+  /**
+   * Queue an email. Enqueuing an idempotency key that already exists is a
+   * no-op, so producers can safely retry. `attachments` must be JSON
+   * serializable, so their content is text such as a calendar invite.
+   * `headers` are extra email headers, e.g. List-Unsubscribe.
+   * @returns {Object|null} The queued email, or null if it was a duplicate
+   */
+  async enqueue({
+    idempotencyKey,
+    email,
+    subject,
+    message,
+    html,
+    attachments,
+    headers,
+    maxAttempts,
+  }) {
+    const query = `
+            INSERT INTO email_outbox (
+                idempotency_key, to_email, subject, text_body, html_body,
+                attachments, headers, max_attempts
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (idempotency_key) DO NOTHING
+            RETURNING *
+        `;
+
+    const result = await executeQuery(query, [
+      idempotencyKey,
+      email,
+      subject,
+      message,
+      html || null,
+      attachments ? JSON.stringify(attachments) : null,
+      headers ? JSON.stringify(headers) : null,
+      maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    ]);
+    return result.rows[0] ? this.formatEmail(result.rows[0]) : null;
+  },
+
+  /**
+   * Claim a batch of due emails for sending and count the attempt.
+   * SKIP LOCKED keeps concurrent workers from claiming the same email.
+   * Stale emails that already used all their attempts are dead-lettered
+   * instead of being sent again.
+   */
+  async claimDue(limit) {
+    const deadLetterQuery = `
+            UPDATE email_outbox
+            SET status = 'dead',
+                last_error = COALESCE(last_error, 'Worker stopped while sending'),
+                updated_at = NOW()
+            WHERE status = 'sending'
+              AND attempts >= max_attempts
+              AND updated_at <= NOW() - INTERVAL '${STALE_SENDING_INTERVAL}'
+        `;
+    await executeQuery(deadLetterQuery);
+
+    const query = `
+            UPDATE email_outbox
+            SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+            WHERE id IN (
+                SELECT id FROM email_outbox
+                WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                   OR (status = 'sending'
+                       AND attempts < max_attempts
+                       AND updated_at <= NOW() - INTERVAL '${STALE_SENDING_INTERVAL}')
+                ORDER BY next_attempt_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [limit]);
+    return result.rows.map((email) => this.formatEmail(email));
+  },
+
+  /**
+   * Record a successful delivery
+   */
+  async markSent(id) {
+    const query = `
+            UPDATE email_outbox
+            SET status = 'sent', sent_at = NOW(), last_error = NULL, updated_at = NOW()
+            WHERE id = $1
+        `;
+    await executeQuery(query, [id]);
+  },
+
+  /**
+   * Record a failed delivery. The email is retried after an exponential
+   * backoff, or dead-lettered once it has used all its attempts.
+   * @returns {string} The new status
+   */
+  async markFailed(email, errorMessage) {
+    const status = email.attempts >= email.maxAttempts ? "dead" : "pending";
+
+    const query = `
+            UPDATE email_outbox
+            SET status = $1,
+                last_error = $2,
+                next_attempt_at = NOW() + make_interval(secs => $3),
+                updated_at = NOW()
+            WHERE id = $4
+        `;
+    await executeQuery(query, [
+      status,
+      errorMessage,
+      this.getRetryDelaySeconds(email.attempts),
+      email.id,
+    ]);
+    return status;
+  },
+
+  /**
+   * Seconds to wait before the next attempt after `attempts` failures
+   */
+  getRetryDelaySeconds(attempts) {
+    return Math.min(
+      BASE_RETRY_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0),
+      MAX_RETRY_DELAY_SECONDS
+    );
+  },
+
+  /**
+   * Format outbox row (convert snake_case to camelCase)
+   */
+  formatEmail(email) {
+    if (!email) return null;
+
+    return {
+      id: email.id,
+      idempotencyKey: email.idempotency_key,
+      email: email.to_email,
+      subject: email.subject,
+      message: email.text_body,
+      html: email.html_body,
+      attachments: email.attachments,
+      headers: email.headers,
+      status: email.status,
+      attempts: email.attempts,
+      maxAttempts: email.max_attempts,
+      nextAttemptAt: email.next_attempt_at,
+      lastError: email.last_error,
+      sentAt: email.sent_at,
+      createdAt: email.created_at,
+      updatedAt: email.updated_at,
+    };
+  },
+};
+
+export default EmailOutboxModel;
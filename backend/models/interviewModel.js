@@ -0,0 +1,282 @@
+import {
+  executeQuery,
+  executeTransaction,
+} from "../database/pg-connection.js";
+
+/**
+ * Interview Model - interviews employers schedule with job seekers, and the
+ * time slots proposed for them
+ */
+
+export const INTERVIEW_STATUSES = ["proposed", "scheduled", "cancelled"];
+
+export const MAX_INTERVIEW_SLOTS = 5;
+
+export const MIN_INTERVIEW_MINUTES = 15;
+export const MAX_INTERVIEW_MINUTES = 480;
+
+const MAX_NOTES_LENGTH = 2000;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The URL parser silently drops line breaks, so they are rejected first
+const isHttpUrl = (value) => {
+  if (/[\u0000-\u001f\u007f]/.test(value)) return false;
+
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+export const InterviewModel = {
+  /**
+   * Create an interview together with its proposed slots
+   */
+  async create(interviewData) {
+    const {
+      applicationId,
+      timezone,
+      durationMinutes,
+      location,
+      meetingLink,
+      notes,
+      slots,
+    } = interviewData;
+
+    const interviewId = await executeTransaction(async (client) => {
+      const result = await client.query(
+        `
+            INSERT INTO interviews (
+                application_id, timezone, duration_minutes, location,
+                meeting_link, notes
+            ) VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id
+        `,
+        [
+          applicationId,
+          timezone,
+          durationMinutes || 60,
+          location || null,
+          meetingLink || null,
+          notes || null,
+        ]
+      );
+      const id = result.rows[0].id;
+
+      await client.query(
+        `
+            INSERT INTO interview_slots (interview_id, starts_at)
+            SELECT $1, unnest($2::timestamptz[])
+        `,
+        [id, slots]
+      );
+
+      return id;
+    });
+
+    return await this.findById(interviewId);
+  },
+
+  /**
+   * Find interview by ID, with its slots and the application it belongs to
+   */
+  async findById(id) {
+    const query = `
+            SELECT
+                i.*,
+                a.job_title,
+                a.job_seeker_user_id,
+                a.employer_user_id
+            FROM interviews i
+            JOIN applications a ON i.application_id = a.id
+            WHERE i.id = $1
+        `;
+    const result = await executeQuery(query, [id]);
+    if (!result.rows[0]) return null;
+
+    const slots = await this.findSlots([id]);
+    return this.formatInterview(result.rows[0], slots);
+  },
+
+  /**
+   * Find all interviews of an application with their slots, newest first
+   */
+  async findByApplicationId(applicationId) {
+    const query = `
+            SELECT
+                i.*,
+                a.job_title,
+                a.job_seeker_user_id,
+                a.employer_user_id
+            FROM interviews i
+            JOIN applications a ON i.application_id = a.id
+            WHERE i.application_id = $1
+            ORDER BY i.created_at DESC
+        `;
+    const result = await executeQuery(query, [applicationId]);
+    if (result.rows.length === 0) return [];
+
+    const slots = await this.findSlots(result.rows.map((row) => row.id));
+    return result.rows.map((interview) =>
+      this.formatInterview(interview, slots)
+    );
+  },
+
+  /**
+   * Find the slots of some interviews, earliest first
+   */
+  async findSlots(interviewIds) {
+    const query = `
+            SELECT * FROM interview_slots
+            WHERE interview_id = ANY($1)
+            ORDER BY starts_at
+        `;
+    const result = await executeQuery(query, [interviewIds]);
+    return result.rows;
+  },
+
+  /**
+   * Schedule a proposed interview at one of its slots. Only applies while
+   * the interview is still proposed and the slot has not started.
+   * @returns {Object|null} The scheduled interview, or null if it could not
+   * be scheduled at that slot
+   */
+  async accept(id, slotId) {
+    const query = `
+            UPDATE interviews i
+            SET status = 'scheduled', scheduled_at = s.starts_at, updated_at = NOW()
+            FROM interview_slots s
+            WHERE i.id = $1
+              AND s.id = $2
+              AND s.interview_id = i.id
+              AND i.status = 'proposed'
+              AND s.starts_at > NOW()
+            RETURNING i.id
+        `;
+    const result = await executeQuery(query, [id, slotId]);
+    return result.rows[0] ? await this.findById(id) : null;
+  },
+
+  /**
+   * Cancel an interview that is still in `fromStatus`. Cancelling a
+   * scheduled interview bumps the invite sequence, so calendars apply the
+   * cancellation to the invite they already have.
+   * @returns {Object|null} The cancelled interview, or null if its status
+   * changed in the meantime
+   */
+  async cancel(id, cancelledBy, fromStatus) {
+    const query = `
+            UPDATE interviews
+            SET status = 'cancelled',
+                cancelled_by = $2,
+                ics_sequence = ics_sequence + CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END,
+                updated_at = NOW()
+            WHERE id = $1 AND status = $3
+            RETURNING id
+        `;
+    const result = await executeQuery(query, [id, cancelledBy, fromStatus]);
+    return result.rows[0] ? await this.findById(id) : null;
+  },
+
+  /**
+   * Format interview data (convert snake_case to camelCase)
+   * @param {Array} slots Slot rows, of this and possibly other interviews
+   */
+  formatInterview(interview, slots = []) {
+    if (!interview) return null;
+
+    return {
+      id: interview.id,
+      applicationId: interview.application_id,
+      jobTitle: interview.job_title,
+      jobSeekerUserId: interview.job_seeker_user_id,
+      employerUserId: interview.employer_user_id,
+      timezone: interview.timezone,
+      durationMinutes: interview.duration_minutes,
+      location: interview.location,
+      meetingLink: interview.meeting_link,
+      notes: interview.notes,
+      status: interview.status,
+      scheduledAt: interview.scheduled_at,
+      icsSequence: interview.ics_sequence,
+      cancelledBy: interview.cancelled_by,
+      slots: slots
+        .filter((slot) => slot.interview_id === interview.id)
+        .map((slot) => ({ id: slot.id, startsAt: slot.starts_at })),
+      createdAt: interview.created_at,
+      updatedAt: interview.updated_at,
+    };
+  },
+
+  /**
+   * Validate interview data
+   */
+  validateInterviewData(interviewData) {
+    const errors = [];
+    const { slots, timezone, durationMinutes, location, meetingLink, notes } =
+      interviewData;
+
+    if (
+      !Array.isArray(slots) ||
+      slots.length === 0 ||
+      slots.length > MAX_INTERVIEW_SLOTS
+    ) {
+      errors.push(
+        `Propose between 1 and ${MAX_INTERVIEW_SLOTS} interview time slots`
+      );
+    } else {
+      const times = slots.map((slot) => new Date(slot).getTime());
+      if (times.some((time) => Number.isNaN(time))) {
+        errors.push("Every time slot must be a valid date and time");
+      } else if (times.some((time) => time <= Date.now())) {
+        errors.push("Time slots must be in the future");
+      } else if (new Set(times).size !== times.length) {
+        errors.push("Time slots must be different from each other");
+      }
+    }
+
+    if (!timezone || !isValidTimezone(timezone)) {
+      errors.push("Timezone must be a valid IANA timezone, e.g. Asia/Kolkata");
+    }
+
+    if (
+      durationMinutes !== undefined &&
+      (!Number.isInteger(durationMinutes) ||
+        durationMinutes < MIN_INTERVIEW_MINUTES ||
+        durationMinutes > MAX_INTERVIEW_MINUTES)
+    ) {
+      errors.push(
+        `Duration must be between ${MIN_INTERVIEW_MINUTES} and ${MAX_INTERVIEW_MINUTES} minutes`
+      );
+    }
+
+    if (!location && !meetingLink) {
+      errors.push("A location or a meeting link is required");
+    }
+
+    if (location && location.length > 255) {
+      errors.push("Location cannot exceed 255 characters");
+    }
+
+    if (meetingLink && (meetingLink.length > 500 || !isHttpUrl(meetingLink))) {
+      errors.push("Meeting link must be a valid http(s) URL");
+    }
+
+    if (notes && notes.length > MAX_NOTES_LENGTH) {
+      errors.push(`Notes cannot exceed ${MAX_NOTES_LENGTH} characters`);
+    }
+
+    return errors;
+  },
+};
+
+export default InterviewModel;
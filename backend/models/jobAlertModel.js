@@ -0,0 +1,310 @@
+import { executeQuery } from "../database/pg-connection.js";
+import { JOB_TYPES, SALARY_CURRENCIES, WORK_MODES } from "./jobModel.js";
+
+/**
+ * Job Alert Model - saved searches that email job seekers about new jobs
+ */
+
+export const ALERT_FREQUENCIES = ["instant", "daily", "weekly"];
+
+// How long each frequency waits between digests. Instant alerts are
+// evaluated on every run of the alert cron.
+export const ALERT_FREQUENCY_INTERVALS = {
+  daily: "1 day",
+  weekly: "7 days",
+};
+
+export const MAX_ALERTS_PER_USER = 10;
+
+// Search criteria columns, at least one of which must be set
+const ALERT_CRITERIA = [
+  "keyword",
+  "location",
+  "jobNiche",
+  "jobType",
+  "workMode",
+  "minSalary",
+];
+
+export const JobAlertModel = {
+  /**
+   * Create a new job alert
+   */
+  async create(alertData) {
+    const {
+      userId,
+      keyword,
+      location,
+      jobNiche,
+      jobType,
+      workMode,
+      minSalary,
+      salaryCurrency,
+      frequency,
+    } = alertData;
+
+    const query = `
+            INSERT INTO job_alerts (
+                user_id, keyword, location, job_niche, job_type, work_mode,
+                min_salary, salary_currency, frequency
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `;
+
+    const values = [
+      userId,
+      keyword || null,
+      location || null,
+      jobNiche || null,
+      jobType || null,
+      workMode || null,
+      minSalary ?? null,
+      minSalary !== undefined && minSalary !== null
+        ? salaryCurrency || "INR"
+        : null,
+      frequency || "daily",
+    ];
+
+    const result = await executeQuery(query, values);
+    return this.formatJobAlert(result.rows[0]);
+  },
+
+  /**
+   * Find job alert by ID
+   */
+  async findById(id) {
+    const query = "SELECT * FROM job_alerts WHERE id = $1";
+    const result = await executeQuery(query, [id]);
+    return result.rows[0] ? this.formatJobAlert(result.rows[0]) : null;
+  },
+
+  /**
+   * Find all job alerts of a user, newest first
+   */
+  async findByUserId(userId) {
+    const query = `
+            SELECT * FROM job_alerts
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `;
+    const result = await executeQuery(query, [userId]);
+    return result.rows.map((alert) => this.formatJobAlert(alert));
+  },
+
+  /**
+   * Count the job alerts of a user
+   */
+  async countByUserId(userId) {
+    const query = "SELECT COUNT(*) as count FROM job_alerts WHERE user_id = $1";
+    const result = await executeQuery(query, [userId]);
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Update the frequency of a job alert
+   */
+  async updateFrequency(id, frequency) {
+    const query = `
+            UPDATE job_alerts
+            SET frequency = $1, updated_at = NOW()
+            WHERE id = $2
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [frequency, id]);
+    return result.rows[0] ? this.formatJobAlert(result.rows[0]) : null;
+  },
+
+  /**
+   * Delete job alert by ID
+   */
+  async deleteById(id) {
+    const query = "DELETE FROM job_alerts WHERE id = $1 RETURNING *";
+    const result = await executeQuery(query, [id]);
+    return result.rows[0] ? this.formatJobAlert(result.rows[0]) : null;
+  },
+
+  /**
+   * Find the alerts that are due to be evaluated, with their owner. Alerts
+   * of users who unsubscribed from job alert emails or have not verified
+   * their email are skipped.
+   * `checkedAt` is the database time of the query; it becomes the alert's
+   * new cutoff once it has been handled, so no job falls between two runs.
+   */
+  async findDue() {
+    const query = `
+            SELECT
+                a.*,
+                u.name as user_name,
+                u.email as user_email,
+                NOW() as checked_at
+            FROM job_alerts a
+            JOIN users u ON a.user_id = u.id
+            WHERE u.job_alert_emails
+              AND u.email_verified
+              AND (a.frequency = 'instant'
+                OR (a.frequency = 'daily'
+                    AND a.last_checked_at <= NOW() - INTERVAL '${ALERT_FREQUENCY_INTERVALS.daily}')
+                OR (a.frequency = 'weekly'
+                    AND a.last_checked_at <= NOW() - INTERVAL '${ALERT_FREQUENCY_INTERVALS.weekly}'))
+            ORDER BY a.user_id, a.created_at
+        `;
+    const result = await executeQuery(query);
+    return result.rows.map((alert) => ({
+      ...this.formatJobAlert(alert),
+      checkedAt: alert.checked_at,
+      user: {
+        id: alert.user_id,
+        name: alert.user_name,
+        email: alert.user_email,
+      },
+    }));
+  },
+
+  /**
+   * Move the cutoff of handled alerts forward
+   */
+  async markChecked(alertIds, checkedAt) {
+    if (alertIds.length === 0) return;
+
+    const query = `
+            UPDATE job_alerts
+            SET last_checked_at = $1
+            WHERE id = ANY($2)
+        `;
+    await executeQuery(query, [checkedAt, alertIds]);
+  },
+
+  /**
+   * Translate an alert into JobModel.findAll filters for jobs posted since
+   * it was last checked
+   */
+  toJobFilters(alert) {
+    const filters = {
+      acceptingApplications: true,
+      createdAfter: alert.lastCheckedAt,
+      sort: "newest",
+    };
+
+    if (alert.keyword) filters.search = alert.keyword;
+    if (alert.location) filters.location = alert.location;
+    if (alert.jobNiche) filters.jobNiche = alert.jobNiche;
+    if (alert.jobType) filters.jobType = alert.jobType;
+    if (alert.workMode) filters.workMode = alert.workMode;
+    if (alert.minSalary !== null) {
+      filters.minSalary = alert.minSalary;
+      filters.salaryCurrency = alert.salaryCurrency;
+    }
+
+    return filters;
+  },
+
+  /**
+   * Short human readable summary of an alert's criteria,
+   * e.g. "React, Pune, Remote, Full-time, INR 1,000,000+ a year"
+   */
+  describe(alert) {
+    const parts = [
+      alert.keyword,
+      alert.location,
+      alert.jobNiche,
+      alert.workMode,
+      alert.jobType,
+    ].filter(Boolean);
+
+    if (alert.minSalary !== null) {
+      parts.push(
+        `${alert.salaryCurrency} ${alert.minSalary.toLocaleString("en-US")}+ a year`
+      );
+    }
+
+    return parts.join(", ");
+  },
+
+  /**
+   * Format job alert data (convert snake_case to camelCase)
+   */
+  formatJobAlert(alert) {
+    if (!alert) return null;
+
+    return {
+      id: alert.id,
+      userId: alert.user_id,
+      keyword: alert.keyword,
+      location: alert.location,
+      jobNiche: alert.job_niche,
+      jobType: alert.job_type,
+      workMode: alert.work_mode,
+      minSalary: alert.min_salary === null ? null : Number(alert.min_salary),
+      salaryCurrency: alert.salary_currency,
+      frequency: alert.frequency,
+      lastCheckedAt: alert.last_checked_at,
+      createdAt: alert.created_at,
+      updatedAt: alert.updated_at,
+    };
+  },
+
+  /**
+   * Validate job alert data
+   */
+  validateAlertData(alertData) {
+    const errors = [];
+
+    const hasCriteria = ALERT_CRITERIA.some(
+      (field) =>
+        alertData[field] !== undefined &&
+        alertData[field] !== null &&
+        alertData[field] !== ""
+    );
+    if (!hasCriteria) {
+      errors.push(
+        "At least one of keyword, location, niche, job type, work mode or minimum salary is required"
+      );
+    }
+
+    for (const field of ["keyword", "location", "jobNiche"]) {
+      if (alertData[field] && alertData[field].length > 255) {
+        errors.push(`${field} cannot exceed 255 characters`);
+      }
+    }
+
+    if (alertData.jobType && !JOB_TYPES.includes(alertData.jobType)) {
+      errors.push(`Job type must be one of: ${JOB_TYPES.join(", ")}`);
+    }
+
+    if (alertData.workMode && !WORK_MODES.includes(alertData.workMode)) {
+      errors.push(`Work mode must be one of: ${WORK_MODES.join(", ")}`);
+    }
+
+    if (
+      alertData.minSalary !== undefined &&
+      alertData.minSalary !== null &&
+      (typeof alertData.minSalary !== "number" ||
+        !Number.isFinite(alertData.minSalary) ||
+        alertData.minSalary < 0)
+    ) {
+      errors.push("Minimum salary must be a non-negative number");
+    }
+
+    if (
+      alertData.salaryCurrency &&
+      !SALARY_CURRENCIES.includes(alertData.salaryCurrency)
+    ) {
+      errors.push(
+        `Salary currency must be one of: ${SALARY_CURRENCIES.join(", ")}`
+      );
+    }
+
+    if (
+      alertData.frequency &&
+      !ALERT_FREQUENCIES.includes(alertData.frequency)
+    ) {
+      errors.push(
+        `Frequency must be one of: ${ALERT_FREQUENCIES.join(", ")}`
+      );
+    }
+
+    return errors;
+  },
+};
+
+export default JobAlertModel;
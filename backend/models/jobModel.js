@@ -5,6 +5,59 @@ import { v4 as uuidv4 } from "uuid";
  * Job Model - Raw SQL implementation to replace Sequelize Job model
  */
 
+export const JOB_TYPES = [
+  "Full-time",
+  "Part-time",
+  "Internship",
+  "Contract",
+  "Temporary",
+  "Freelance",
+];
+export const WORK_MODES = ["On-site", "Remote", "Hybrid"];
+
+export const SALARY_CURRENCIES = ["INR", "USD", "EUR", "GBP"];
+export const SALARY_PERIODS = ["yearly", "monthly", "hourly"];
+
+const SALARY_PERIOD_LABELS = {
+  yearly: "a year",
+  monthly: "a month",
+  hourly: "an hour",
+};
+
+// Salaries are compared per year so ranges with different periods line up.
+// Hourly pay assumes a 40 hour week.
+const ANNUAL_SALARY_FACTOR =
+  "CASE j.salary_period WHEN 'hourly' THEN 2080 WHEN 'monthly' THEN 12 ELSE 1 END";
+
+/**
+ * Supported listing sort orders, mapped to their ORDER BY clause
+ */
+export const JOB_SORT_OPTIONS = {
+  relevance: "search_rank DESC, j.created_at DESC",
+  newest: "j.created_at DESC",
+  oldest: "j.created_at ASC",
+  title: "j.title ASC, j.created_at DESC",
+  company: "j.company_name ASC, j.created_at DESC",
+  salary: `COALESCE(j.salary_max, j.salary_min) * ${ANNUAL_SALARY_FACTOR} DESC NULLS LAST, j.created_at DESC`,
+};
+
+/**
+ * Job lifecycle states. Only open jobs whose deadline has not passed accept
+ * applications; archived jobs are expired postings retired by the archive cron.
+ */
+export const JOB_STATUSES = ["open", "closed", "archived"];
+
+// Jobs that are open and still before their application deadline
+const ACCEPTING_APPLICATIONS_CONDITION =
+  "j.status = 'open' AND (j.application_deadline IS NULL OR j.application_deadline > NOW())";
+
+// Markers wrapped around matched terms by ts_headline. Control characters
+// cannot appear in job text typed into the form, so splitting on them is safe
+// and no HTML ever reaches the client.
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_STOP = "\u0003";
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "`;
+
 export const JobModel = {
   /**
    * Create a new job posting
@@ -13,45 +66,62 @@ export const JobModel = {
     const {
       title,
       jobType,
+      workMode,
       location,
+      companyId,
       companyName,
       introduction,
       responsibilities,
       qualifications,
       offers,
-      salary,
+      salaryMin,
+      salaryMax,
+      salaryCurrency,
+      salaryPeriod,
       hiringMultipleCandidates,
       personalWebsiteTitle,
       personalWebsiteUrl,
       jobNiche,
+      applicationDeadline,
       postedBy,
     } = jobData;
 
     const query = `
             INSERT INTO jobs (
-                title, job_type, location, company_name, introduction,
+                title, job_type, work_mode, location, company_name, introduction,
                 responsibilities, qualifications, offers, salary,
+                salary_min, salary_max, salary_currency, salary_period,
                 hiring_multiple_candidates, personal_website_title, personal_website_url,
-                job_niche, posted_by
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                job_niche, application_deadline, posted_by, company_id
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+                $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21
+            )
             RETURNING *
         `;
 
     const values = [
       title,
       jobType,
+      workMode || "On-site",
       location,
       companyName,
       introduction || null,
       responsibilities,
       qualifications,
       offers || null,
-      salary,
+      this.formatSalaryRange(jobData),
+      salaryMin,
+      salaryMax ?? null,
+      salaryCurrency || "INR",
+      salaryPeriod || "monthly",
       hiringMultipleCandidates || "No",
       personalWebsiteTitle || null,
       personalWebsiteUrl || null,
       jobNiche,
+      applicationDeadline || null,
       postedBy,
+      companyId || null,
     ];
 
     const result = await executeQuery(query, values);
@@ -76,9 +146,11 @@ export const JobModel = {
                 j.*,
                 u.name as poster_name,
                 u.email as poster_email,
-                u.role as poster_role
+                u.role as poster_role,
+                c.logo_url as company_logo_url
             FROM jobs j
             JOIN users u ON j.posted_by = u.id
+            LEFT JOIN companies c ON j.company_id = c.id
             WHERE j.id = $1
         `;
     const result = await executeQuery(query, [id]);
@@ -129,64 +201,162 @@ export const JobModel = {
   },
 
   /**
-   * Find all jobs with optional filtering
+   * Build the WHERE conditions shared by findAll and countJobs.
+   * Columns are referenced through the `j` alias for the jobs table.
    */
-  async findAll(filters = {}) {
-    let query = `
-            SELECT 
-                j.*,
-                u.name as poster_name,
-                u.email as poster_email
-            FROM jobs j
-            JOIN users u ON j.posted_by = u.id
-            WHERE 1=1
-        `;
+  buildFilterConditions(filters = {}, startParam = 1) {
+    const conditions = [];
     const values = [];
-    let paramCount = 1;
+    let paramCount = startParam;
 
-    // Add filters
     if (filters.jobNiche) {
-      query += ` AND j.job_niche = $${paramCount}`;
+      conditions.push(`j.job_niche = $${paramCount}`);
       values.push(filters.jobNiche);
       paramCount++;
     }
 
+    if (filters.jobNiches) {
+      conditions.push(`j.job_niche = ANY($${paramCount})`);
+      values.push(filters.jobNiches);
+      paramCount++;
+    }
+
     if (filters.jobType) {
-      query += ` AND j.job_type = $${paramCount}`;
+      conditions.push(`j.job_type = $${paramCount}`);
       values.push(filters.jobType);
       paramCount++;
     }
 
+    if (filters.workMode) {
+      conditions.push(`j.work_mode = $${paramCount}`);
+      values.push(filters.workMode);
+      paramCount++;
+    }
+
     if (filters.location) {
-      query += ` AND j.location ILIKE $${paramCount}`;
+      conditions.push(`j.location ILIKE $${paramCount}`);
       values.push(`%${filters.location}%`);
       paramCount++;
     }
 
     if (filters.companyName) {
-      query += ` AND j.company_name ILIKE $${paramCount}`;
+      conditions.push(`j.company_name ILIKE $${paramCount}`);
       values.push(`%${filters.companyName}%`);
       paramCount++;
     }
 
+    if (filters.companyId) {
+      conditions.push(`j.company_id = $${paramCount}`);
+      values.push(filters.companyId);
+      paramCount++;
+    }
+
     if (filters.postedBy) {
-      query += ` AND j.posted_by = $${paramCount}`;
+      conditions.push(`j.posted_by = $${paramCount}`);
       values.push(filters.postedBy);
       paramCount++;
     }
 
+    // Jobs whose pay range overlaps the requested one, compared per year
+    if (filters.minSalary !== undefined) {
+      conditions.push(
+        `COALESCE(j.salary_max, j.salary_min) * ${ANNUAL_SALARY_FACTOR} >= $${paramCount}`
+      );
+      values.push(filters.minSalary);
+      paramCount++;
+    }
+
+    if (filters.maxSalary !== undefined) {
+      conditions.push(
+        `j.salary_min * ${ANNUAL_SALARY_FACTOR} <= $${paramCount}`
+      );
+      values.push(filters.maxSalary);
+      paramCount++;
+    }
+
+    if (filters.salaryCurrency) {
+      conditions.push(`j.salary_currency = $${paramCount}`);
+      values.push(filters.salaryCurrency);
+      paramCount++;
+    }
+
+    if (filters.acceptingApplications) {
+      conditions.push(`(${ACCEPTING_APPLICATIONS_CONDITION})`);
+    }
+
+    if (filters.createdAfter) {
+      conditions.push(`j.created_at > $${paramCount}`);
+      values.push(filters.createdAfter);
+      paramCount++;
+    }
+
+    let searchParam = null;
     if (filters.search) {
-      query += ` AND (
-                j.title ILIKE $${paramCount} OR 
-                j.company_name ILIKE $${paramCount} OR 
-                j.job_niche ILIKE $${paramCount}
-            )`;
-      values.push(`%${filters.search}%`);
+      // Full-text match on every text field, plus a substring match on the
+      // title and company so partially typed words still find something
+      searchParam = paramCount;
+      conditions.push(`(
+                j.search_vector @@ websearch_to_tsquery('english', $${paramCount}) OR 
+                j.title ILIKE $${paramCount + 1} OR 
+                j.company_name ILIKE $${paramCount + 1}
+            )`);
+      values.push(filters.search, `%${filters.search}%`);
+      paramCount += 2;
+    }
+
+    return { conditions, values, paramCount, searchParam };
+  },
+
+  /**
+   * Find all jobs with optional filtering
+   */
+  async findAll(filters = {}) {
+    const {
+      conditions,
+      values,
+      paramCount: nextParam,
+      searchParam,
+    } = this.buildFilterConditions(filters);
+    let paramCount = nextParam;
+
+    // Rank and highlight matches when searching
+    let searchColumns = "";
+    if (searchParam) {
+      const tsQuery = `websearch_to_tsquery('english', $${searchParam})`;
+      searchColumns = `,
+                ts_rank(j.search_vector, ${tsQuery}) as search_rank,
+                ts_headline(
+                    'english',
+                    concat_ws(' ', j.introduction, j.responsibilities, j.qualifications, j.offers),
+                    ${tsQuery},
+                    $${paramCount}
+                ) as search_headline`;
+      values.push(HEADLINE_OPTIONS);
       paramCount++;
     }
 
-    // Add ordering
-    query += " ORDER BY j.created_at DESC";
+    let query = `
+            SELECT 
+                j.*,
+                u.name as poster_name,
+                u.email as poster_email,
+                c.logo_url as company_logo_url${searchColumns}
+            FROM jobs j
+            JOIN users u ON j.posted_by = u.id
+            LEFT JOIN companies c ON j.company_id = c.id
+            WHERE 1=1
+        `;
+
+    for (const condition of conditions) {
+      query += ` AND ${condition}`;
+    }
+
+    // Add ordering (relevance only makes sense when searching)
+    let sort = JOB_SORT_OPTIONS[filters.sort] ? filters.sort : "newest";
+    if (sort === "relevance" && !searchParam) {
+      sort = "newest";
+    }
+    query += ` ORDER BY ${JOB_SORT_OPTIONS[sort]}`;
 
     // Add pagination
     if (filters.limit) {
@@ -201,7 +371,7 @@ export const JobModel = {
     }
 
     const result = await executeQuery(query, values);
-    return result.rows.map((job) => this.formatJobWithPoster(job));
+    return result.rows.map((job) => this.formatJobWithSearch(job));
   },
 
   /**
@@ -237,23 +407,20 @@ export const JobModel = {
   },
 
   /**
-   * Count jobs with filters
+   * Count jobs with filters (accepts the same filters as findAll)
    */
   async countJobs(filters = {}) {
-    let query = "SELECT COUNT(*) as total FROM jobs WHERE 1=1";
-    const values = [];
-    let paramCount = 1;
+    let query = `
+            SELECT COUNT(*) as total
+            FROM jobs j
+            JOIN users u ON j.posted_by = u.id
+            WHERE 1=1
+        `;
 
-    if (filters.jobNiche) {
-      query += ` AND job_niche = $${paramCount}`;
-      values.push(filters.jobNiche);
-      paramCount++;
-    }
+    const { conditions, values } = this.buildFilterConditions(filters);
 
-    if (filters.postedBy) {
-      query += ` AND posted_by = $${paramCount}`;
-      values.push(filters.postedBy);
-      paramCount++;
+    for (const condition of conditions) {
+      query += ` AND ${condition}`;
     }
 
     const result = await executeQuery(query, values);
@@ -285,6 +452,7 @@ export const JobModel = {
             FROM jobs j
             JOIN users u ON j.posted_by = u.id
             WHERE j.newsletters_sent = false
+            AND ${ACCEPTING_APPLICATIONS_CONDITION}
             AND j.created_at >= NOW() - INTERVAL '24 hours'
             ORDER BY j.created_at DESC
         `;
@@ -293,33 +461,74 @@ export const JobModel = {
     return result.rows.map((job) => this.formatJobWithPoster(job));
   },
 
+  /**
+   * Archive every job whose application deadline has passed.
+   * Each job is returned once, with its poster, so the employer can be told.
+   */
+  async archiveExpiredJobs() {
+    const query = `
+            UPDATE jobs j
+            SET status = 'archived', updated_at = NOW()
+            FROM users u
+            WHERE j.posted_by = u.id
+            AND j.status <> 'archived'
+            AND j.application_deadline <= NOW()
+            RETURNING j.*, u.name as poster_name, u.email as poster_email
+        `;
+
+    const result = await executeQuery(query);
+    return result.rows.map((job) => this.formatJobWithPoster(job));
+  },
+
+  /**
+   * Whether a formatted job can still receive applications
+   */
+  isAcceptingApplications(job) {
+    if (!job || job.status !== "open") return false;
+    return (
+      !job.applicationDeadline ||
+      new Date(job.applicationDeadline).getTime() > Date.now()
+    );
+  },
+
   /**
    * Format job object (convert snake_case to camelCase)
    */
   formatJob(job) {
     if (!job) return null;
 
-    return {
+    const formattedJob = {
       id: job.id,
       title: job.title,
       jobType: job.job_type,
+      workMode: job.work_mode,
       location: job.location,
+      companyId: job.company_id,
       companyName: job.company_name,
       introduction: job.introduction,
       responsibilities: job.responsibilities,
       qualifications: job.qualifications,
       offers: job.offers,
       salary: job.salary,
+      salaryMin: job.salary_min === null ? null : parseFloat(job.salary_min),
+      salaryMax: job.salary_max === null ? null : parseFloat(job.salary_max),
+      salaryCurrency: job.salary_currency,
+      salaryPeriod: job.salary_period,
       hiringMultipleCandidates: job.hiring_multiple_candidates,
       personalWebsiteTitle: job.personal_website_title,
       personalWebsiteUrl: job.personal_website_url,
       jobNiche: job.job_niche,
+      status: job.status,
+      applicationDeadline: job.application_deadline,
       newsLettersSent: job.newsletters_sent,
       jobPostedOn: job.job_posted_on,
       postedBy: job.posted_by,
       createdAt: job.created_at,
       updatedAt: job.updated_at,
     };
+    formattedJob.acceptingApplications =
+      this.isAcceptingApplications(formattedJob);
+    return formattedJob;
   },
 
   /**
@@ -334,20 +543,77 @@ export const JobModel = {
         role: job.poster_role,
       };
     }
+    if (formattedJob && job.company_logo_url !== undefined) {
+      formattedJob.companyLogoUrl = job.company_logo_url;
+    }
+    return formattedJob;
+  },
+
+  /**
+   * Format job with poster information and, for search results, its
+   * relevance rank and highlighted snippet
+   */
+  formatJobWithSearch(job) {
+    const formattedJob = this.formatJobWithPoster(job);
+    if (formattedJob && job.search_rank !== undefined) {
+      formattedJob.searchRank = parseFloat(job.search_rank);
+      formattedJob.searchSnippet = this.parseHeadline(job.search_headline);
+    }
     return formattedJob;
   },
 
+  /**
+   * Split a ts_headline result into text segments, flagging matched terms.
+   * Returns null when the snippet contains no match.
+   */
+  parseHeadline(headline) {
+    if (!headline || !headline.includes(HIGHLIGHT_START)) return null;
+
+    const segments = [];
+    for (const part of headline.split(HIGHLIGHT_START)) {
+      const [matched, rest] = part.includes(HIGHLIGHT_STOP)
+        ? part.split(HIGHLIGHT_STOP)
+        : [null, part];
+      if (matched) segments.push({ text: matched, highlight: true });
+      if (rest) segments.push({ text: rest, highlight: false });
+    }
+    return segments;
+  },
+
+  /**
+   * Human readable salary, e.g. "INR 50,000 - 80,000 a month".
+   * Stored in the salary column for display and the newsletter.
+   */
+  formatSalaryRange({ salaryMin, salaryMax, salaryCurrency, salaryPeriod }) {
+    const format = (amount) => Number(amount).toLocaleString("en-US");
+    const amount =
+      salaryMax === null || salaryMax === undefined || salaryMax === salaryMin
+        ? format(salaryMin)
+        : `${format(salaryMin)} - ${format(salaryMax)}`;
+
+    return `${salaryCurrency || "INR"} ${amount} ${
+      SALARY_PERIOD_LABELS[salaryPeriod || "monthly"]
+    }`;
+  },
+
   /**
    * Convert camelCase to snake_case for database fields
    */
   convertToSnakeCase(str) {
     const conversions = {
       jobType: "job_type",
+      workMode: "work_mode",
+      companyId: "company_id",
       companyName: "company_name",
       hiringMultipleCandidates: "hiring_multiple_candidates",
       personalWebsiteTitle: "personal_website_title",
       personalWebsiteUrl: "personal_website_url",
       jobNiche: "job_niche",
+      salaryMin: "salary_min",
+      salaryMax: "salary_max",
+      salaryCurrency: "salary_currency",
+      salaryPeriod: "salary_period",
+      applicationDeadline: "application_deadline",
       newsLettersSent: "newsletters_sent",
       jobPostedOn: "job_posted_on",
       postedBy: "posted_by",
@@ -367,11 +633,12 @@ export const JobModel = {
       errors.push("Job title is required");
     }
 
-    if (
-      !jobData.jobType ||
-      !["Full-time", "Part-time"].includes(jobData.jobType)
-    ) {
-      errors.push('Job type must be either "Full-time" or "Part-time"');
+    if (!jobData.jobType || !JOB_TYPES.includes(jobData.jobType)) {
+      errors.push(`Job type must be one of: ${JOB_TYPES.join(", ")}`);
+    }
+
+    if (jobData.workMode && !WORK_MODES.includes(jobData.workMode)) {
+      errors.push(`Work mode must be one of: ${WORK_MODES.join(", ")}`);
     }
 
     if (!jobData.location || jobData.location.trim().length === 0) {
@@ -393,14 +660,55 @@ export const JobModel = {
       errors.push("Job qualifications are required");
     }
 
-    if (!jobData.salary || jobData.salary.trim().length === 0) {
-      errors.push("Salary information is required");
+    const isAmount = (value) =>
+      typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+    if (!isAmount(jobData.salaryMin)) {
+      errors.push("Minimum salary must be a non-negative number");
+    }
+
+    if (
+      jobData.salaryMax !== null &&
+      jobData.salaryMax !== undefined &&
+      (!isAmount(jobData.salaryMax) ||
+        (isAmount(jobData.salaryMin) && jobData.salaryMax < jobData.salaryMin))
+    ) {
+      errors.push(
+        "Maximum salary must be a number no lower than the minimum salary"
+      );
+    }
+
+    if (
+      jobData.salaryCurrency &&
+      !SALARY_CURRENCIES.includes(jobData.salaryCurrency)
+    ) {
+      errors.push(
+        `Salary currency must be one of: ${SALARY_CURRENCIES.join(", ")}`
+      );
+    }
+
+    if (
+      jobData.salaryPeriod &&
+      !SALARY_PERIODS.includes(jobData.salaryPeriod)
+    ) {
+      errors.push(`Salary period must be one of: ${SALARY_PERIODS.join(", ")}`);
     }
 
     if (!jobData.jobNiche || jobData.jobNiche.trim().length === 0) {
       errors.push("Job niche is required");
     }
 
+    if (
+      jobData.applicationDeadline &&
+      Number.isNaN(new Date(jobData.applicationDeadline).getTime())
+    ) {
+      errors.push("Application deadline must be a valid date");
+    }
+
+    if (jobData.status && !JOB_STATUSES.includes(jobData.status)) {
+      errors.push(`Job status must be one of: ${JOB_STATUSES.join(", ")}`);
+    }
+
     if (!jobData.postedBy) {
       errors.push("Posted by user ID is required");
     }
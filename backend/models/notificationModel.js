@@ -0,0 +1,153 @@
+import { executeQuery } from "../database/pg-connection.js";
+
+/**
+ * Notification Model - in-app notifications about applications and jobs
+ */
+
+export const NOTIFICATION_TYPES = {
+  APPLICATION_RECEIVED: "application_received",
+  APPLICATION_WITHDRAWN: "application_withdrawn",
+  APPLICATION_REMOVED: "application_removed",
+  APPLICATION_STATUS_CHANGED: "application_status_changed",
+  NEW_MESSAGE: "new_message",
+  INTERVIEW_PROPOSED: "interview_proposed",
+  INTERVIEW_SCHEDULED: "interview_scheduled",
+  INTERVIEW_CANCELLED: "interview_cancelled",
+  JOB_CLOSED: "job_closed",
+  JOB_DELETED: "job_deleted",
+  JOB_ARCHIVED: "job_archived",
+  COMPANY_JOIN_REQUESTED: "company_join_requested",
+  COMPANY_JOIN_APPROVED: "company_join_approved",
+  COMPANY_JOIN_REJECTED: "company_join_rejected",
+};
+
+export const NotificationModel = {
+  /**
+   * Create notifications, one per `{ userId, type, title, message, link }`
+   * @returns {Array} The created notifications
+   */
+  async createMany(notifications) {
+    if (notifications.length === 0) return [];
+
+    const values = [];
+    const rows = notifications.map((notification, index) => {
+      const base = index * 5;
+      values.push(
+        notification.userId,
+        notification.type,
+        notification.title,
+        notification.message,
+        notification.link || null
+      );
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`;
+    });
+
+    const query = `
+            INSERT INTO notifications (user_id, type, title, message, link)
+            VALUES ${rows.join(", ")}
+            RETURNING *
+        `;
+    const result = await executeQuery(query, values);
+    return result.rows.map((notification) =>
+      this.formatNotification(notification)
+    );
+  },
+
+  /**
+   * Find a user's notifications, newest first
+   */
+  async findByUserId(userId, { limit, offset } = {}) {
+    let query = `
+            SELECT * FROM notifications
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `;
+    const values = [userId];
+    let paramCount = 2;
+
+    if (limit) {
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+      paramCount++;
+    }
+
+    if (offset) {
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+
+    const result = await executeQuery(query, values);
+    return result.rows.map((notification) =>
+      this.formatNotification(notification)
+    );
+  },
+
+  /**
+   * Count a user's notifications, in total and unread
+   */
+  async countByUserId(userId) {
+    const query = `
+            SELECT
+                COUNT(*) as total,
+                COUNT(*) FILTER (WHERE read_at IS NULL) as unread
+            FROM notifications
+            WHERE user_id = $1
+        `;
+    const result = await executeQuery(query, [userId]);
+    return {
+      total: parseInt(result.rows[0].total),
+      unread: parseInt(result.rows[0].unread),
+    };
+  },
+
+  /**
+   * Mark one of a user's notifications as read
+   * @returns {Object|null} The notification, or null if the user has none
+   * with this ID
+   */
+  async markRead(id, userId) {
+    const query = `
+            UPDATE notifications
+            SET read_at = COALESCE(read_at, NOW())
+            WHERE id = $1 AND user_id = $2
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [id, userId]);
+    return result.rows[0] ? this.formatNotification(result.rows[0]) : null;
+  },
+
+  /**
+   * Mark all of a user's notifications as read
+   * @returns {number} How many notifications were unread
+   */
+  async markAllRead(userId) {
+    const query = `
+            UPDATE notifications
+            SET read_at = NOW()
+            WHERE user_id = $1 AND read_at IS NULL
+        `;
+    const result = await executeQuery(query, [userId]);
+    return result.rowCount;
+  },
+
+  /**
+   * Format notification data (convert snake_case to camelCase)
+   */
+  formatNotification(notification) {
+    if (!notification) return null;
+
+    return {
+      id: notification.id,
+      userId: notification.user_id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      link: notification.link,
+      read: notification.read_at !== null,
+      readAt: notification.read_at,
+      createdAt: notification.created_at,
+    };
+  },
+};
+
+export default NotificationModel;
@@ -0,0 +1,117 @@
+import { executeQuery } from "../database/pg-connection.js";
+import { JobModel } from "./jobModel.js";
+
+/**
+ * Saved Job Model - jobs bookmarked by job seekers to apply to later
+ */
+
+export const SavedJobModel = {
+  /**
+   * Bookmark a job for a user. Saving the same job twice is a no-op.
+   * @returns {Object} The saved job entry
+   */
+  async save(userId, job) {
+    const query = `
+            INSERT INTO saved_jobs (user_id, job_id, job_title, company_name)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id, job_id) DO UPDATE
+            SET job_title = EXCLUDED.job_title, company_name = EXCLUDED.company_name
+            RETURNING id
+        `;
+    const result = await executeQuery(query, [
+      userId,
+      job.id,
+      job.title,
+      job.companyName,
+    ]);
+    return this.findById(result.rows[0].id);
+  },
+
+  /**
+   * Remove a bookmark. Accepts the job ID or, for jobs that have since been
+   * deleted, the saved entry's own ID.
+   * @returns {boolean} Whether a bookmark was removed
+   */
+  async remove(userId, id) {
+    const query = `
+            DELETE FROM saved_jobs
+            WHERE user_id = $1 AND (job_id = $2 OR id = $2)
+        `;
+    const result = await executeQuery(query, [userId, id]);
+    return result.rowCount > 0;
+  },
+
+  /**
+   * Find a saved job entry with its current job details
+   */
+  async findById(id) {
+    const query = `
+            SELECT
+                s.id as saved_id,
+                s.job_id as saved_job_id,
+                s.job_title as saved_job_title,
+                s.company_name as saved_company_name,
+                s.created_at as saved_at,
+                j.*
+            FROM saved_jobs s
+            LEFT JOIN jobs j ON s.job_id = j.id
+            WHERE s.id = $1
+        `;
+    const result = await executeQuery(query, [id]);
+    return result.rows[0] ? this.formatSavedJob(result.rows[0]) : null;
+  },
+
+  /**
+   * All jobs saved by a user, newest first. Jobs that were deleted are
+   * included with a null job so they can be flagged.
+   */
+  async findByUserId(userId) {
+    const query = `
+            SELECT
+                s.id as saved_id,
+                s.job_id as saved_job_id,
+                s.job_title as saved_job_title,
+                s.company_name as saved_company_name,
+                s.created_at as saved_at,
+                j.*
+            FROM saved_jobs s
+            LEFT JOIN jobs j ON s.job_id = j.id
+            WHERE s.user_id = $1
+            ORDER BY s.created_at DESC
+        `;
+    const result = await executeQuery(query, [userId]);
+    return result.rows.map((row) => this.formatSavedJob(row));
+  },
+
+  /**
+   * Describe whether a saved job can still be applied to:
+   * open, expired, closed, archived or deleted
+   */
+  getAvailability(job) {
+    if (!job) return "deleted";
+    if (job.status !== "open") return job.status;
+    return JobModel.isAcceptingApplications(job) ? "open" : "expired";
+  },
+
+  /**
+   * Format a saved job row (convert snake_case to camelCase)
+   */
+  formatSavedJob(row) {
+    if (!row) return null;
+
+    // The jobs columns are all null when the job has been deleted
+    const job = row.id ? JobModel.formatJob(row) : null;
+
+    return {
+      id: row.saved_id,
+      jobId: row.saved_job_id,
+      jobTitle: row.saved_job_title,
+      companyName: row.saved_company_name,
+      savedAt: row.saved_at,
+      availability: this.getAvailability(job),
+      job,
+    };
+  },
+};
+
+export default SavedJobModel;
@@ -0,0 +1,144 @@
+import { executeQuery } from "../database/pg-connection.js";
+import crypto from "crypto";
+
+/**
+ * Session Model - login sessions backing rotating refresh tokens
+ */
+
+export const SessionModel = {
+  /**
+   * Number of days a refresh token (and its session) stays valid
+   */
+  getRefreshTokenLifetimeDays() {
+    return parseInt(process.env.COOKIE_EXPIRE) || 7;
+  },
+
+  /**
+   * Create a session for a user. Returns the session together with the raw
+   * refresh token; only its hash is stored.
+   */
+  async create({ userId, userAgent, ipAddress }) {
+    const refreshToken = this.generateRefreshToken();
+
+    const query = `
+            INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+            VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+            RETURNING *
+        `;
+
+    const values = [
+      userId,
+      this.hashToken(refreshToken),
+      userAgent || null,
+      ipAddress || null,
+      this.getRefreshTokenLifetimeDays(),
+    ];
+
+    const result = await executeQuery(query, values);
+    return { session: this.formatSession(result.rows[0]), refreshToken };
+  },
+
+  /**
+   * Find a session that has not been revoked or expired
+   */
+  async findActiveById(id) {
+    const query = `
+            SELECT * FROM sessions 
+            WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+        `;
+    const result = await executeQuery(query, [id]);
+    return result.rows[0] ? this.formatSession(result.rows[0]) : null;
+  },
+
+  /**
+   * Exchange a refresh token for a new one. The old token stops working and
+   * the session lifetime is extended. Returns null if the token is unknown,
+   * revoked or expired.
+   */
+  async rotate(refreshToken) {
+    const newRefreshToken = this.generateRefreshToken();
+
+    const query = `
+            UPDATE sessions 
+            SET refresh_token_hash = $1,
+                expires_at = NOW() + make_interval(days => $2),
+                last_used_at = NOW()
+            WHERE refresh_token_hash = $3
+            AND revoked_at IS NULL
+            AND expires_at > NOW()
+            RETURNING *
+        `;
+
+    const result = await executeQuery(query, [
+      this.hashToken(newRefreshToken),
+      this.getRefreshTokenLifetimeDays(),
+      this.hashToken(refreshToken),
+    ]);
+
+    return result.rows[0]
+      ? {
+          session: this.formatSession(result.rows[0]),
+          refreshToken: newRefreshToken,
+        }
+      : null;
+  },
+
+  /**
+   * Revoke a single session
+   */
+  async revoke(id) {
+    const query = `
+            UPDATE sessions SET revoked_at = NOW()
+            WHERE id = $1 AND revoked_at IS NULL
+        `;
+    await executeQuery(query, [id]);
+  },
+
+  /**
+   * Revoke every session of a user, optionally keeping one (the current device)
+   * @returns {number} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, exceptSessionId = null) {
+    let query = `
+            UPDATE sessions SET revoked_at = NOW()
+            WHERE user_id = $1 AND revoked_at IS NULL
+        `;
+    const values = [userId];
+
+    if (exceptSessionId) {
+      query += " AND id <> $2";
+      values.push(exceptSessionId);
+    }
+
+    const result = await executeQuery(query, values);
+    return result.rowCount;
+  },
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString("hex");
+  },
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  },
+
+  /**
+   * Format session object (convert snake_case to camelCase)
+   */
+  formatSession(session) {
+    if (!session) return null;
+
+    return {
+      id: session.id,
+      userId: session.user_id,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      expiresAt: session.expires_at,
+      revokedAt: session.revoked_at,
+      lastUsedAt: session.last_used_at,
+      createdAt: session.created_at,
+    };
+  },
+};
+
+export default SessionModel;
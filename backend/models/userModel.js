@@ -1,13 +1,39 @@
 import { executeQuery, executeTransaction } from "../database/pg-connection.js";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
+import {
+  ALERT_FREQUENCIES,
+  ALERT_FREQUENCY_INTERVALS,
+} from "./jobAlertModel.js";
 import { convertPhoneToNumber } from "../utils/phoneUtils.js";
 
 /**
  * User Model - Raw SQL implementation to replace Sequelize User model
  */
 
+/**
+ * Bulk email lists a user can unsubscribe from, and the column that
+ * stores whether they receive it
+ */
+export const EMAIL_LISTS = {
+  newsletter: "newsletter_emails",
+  jobAlerts: "job_alert_emails",
+};
+
+/**
+ * Notification settings a user can change, and their columns
+ */
+export const NOTIFICATION_PREFERENCES = {
+  newsletterEmails: "newsletter_emails",
+  newsletterFrequency: "newsletter_frequency",
+  jobAlertEmails: "job_alert_emails",
+  applicationStatusEmails: "application_status_emails",
+  messageEmails: "message_emails",
+  marketingEmails: "marketing_emails",
+};
+
 export const UserModel = {
   /**
    * Create a new user
@@ -169,19 +195,280 @@ export const UserModel = {
   },
 
   /**
-   * Find users by job niche (for newsletter)
+   * Find verified users by job niche (for newsletter). Passing a newsletter
+   * frequency only returns users subscribed to the newsletter at it.
    */
-  async findByJobNiche(jobNiche) {
-    const query = `
+  async findByJobNiche(jobNiche, { newsletterFrequency } = {}) {
+    let query = `
             SELECT * FROM users 
             WHERE role = 'Job Seeker'
+            AND email_verified
             AND (first_niche = $1 OR second_niche = $1 OR third_niche = $1)
-            ORDER BY created_at DESC
         `;
-    const result = await executeQuery(query, [jobNiche]);
+    const values = [jobNiche];
+
+    if (newsletterFrequency) {
+      query += " AND newsletter_emails AND newsletter_frequency = $2";
+      values.push(newsletterFrequency);
+    }
+
+    query += " ORDER BY created_at DESC";
+
+    const result = await executeQuery(query, values);
     return result.rows.map((user) => this.formatUserResponse(user));
   },
 
+  /**
+   * Find verified job seekers whose daily or weekly newsletter digest is due.
+   * `checkedAt` is the database time of the query and becomes the cutoff
+   * for their next digest.
+   */
+  async findNewsletterDigestsDue() {
+    const query = `
+            SELECT *, NOW() as checked_at FROM users
+            WHERE role = 'Job Seeker'
+            AND email_verified
+            AND newsletter_emails
+            AND (
+                (newsletter_frequency = 'daily'
+                 AND last_newsletter_digest_at <= NOW() - INTERVAL '${ALERT_FREQUENCY_INTERVALS.daily}')
+                OR (newsletter_frequency = 'weekly'
+                 AND last_newsletter_digest_at <= NOW() - INTERVAL '${ALERT_FREQUENCY_INTERVALS.weekly}')
+            )
+        `;
+    const result = await executeQuery(query);
+    return result.rows.map((user) => ({
+      ...this.formatUserResponse(user),
+      checkedAt: user.checked_at,
+    }));
+  },
+
+  /**
+   * Move a user's newsletter digest cutoff forward
+   */
+  async markNewsletterDigestSent(userId, checkedAt) {
+    const query = `
+            UPDATE users SET last_newsletter_digest_at = $1 WHERE id = $2
+        `;
+    await executeQuery(query, [checkedAt, userId]);
+  },
+
+  /**
+   * Pick a user's notification settings
+   */
+  getNotificationPreferences(user) {
+    return Object.fromEntries(
+      Object.keys(NOTIFICATION_PREFERENCES).map((key) => [key, user[key]])
+    );
+  },
+
+  /**
+   * Update a user's notification settings. Turning the newsletter on or
+   * changing its frequency restarts the digest cutoff, so the first digest
+   * does not cover jobs from before the change.
+   */
+  async updateNotificationPreferences(id, preferences) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, column] of Object.entries(NOTIFICATION_PREFERENCES)) {
+      if (preferences[key] !== undefined) {
+        fields.push(`${column} = $${paramCount}`);
+        values.push(preferences[key]);
+        paramCount++;
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error("No fields to update");
+    }
+
+    if (
+      preferences.newsletterEmails !== undefined ||
+      preferences.newsletterFrequency !== undefined
+    ) {
+      fields.push("last_newsletter_digest_at = NOW()");
+    }
+
+    values.push(id);
+
+    const query = `
+            UPDATE users 
+            SET ${fields.join(", ")}, updated_at = NOW() 
+            WHERE id = $${paramCount}
+            RETURNING *
+        `;
+    const result = await executeQuery(query, values);
+    return result.rows[0] ? this.formatUserResponse(result.rows[0]) : null;
+  },
+
+  /**
+   * Validate notification settings
+   */
+  validateNotificationPreferences(preferences) {
+    const errors = [];
+
+    for (const key of Object.keys(NOTIFICATION_PREFERENCES)) {
+      if (key === "newsletterFrequency" || preferences[key] === undefined) {
+        continue;
+      }
+      if (typeof preferences[key] !== "boolean") {
+        errors.push(`${key} must be true or false`);
+      }
+    }
+
+    if (
+      preferences.newsletterFrequency !== undefined &&
+      !ALERT_FREQUENCIES.includes(preferences.newsletterFrequency)
+    ) {
+      errors.push(
+        `Newsletter frequency must be one of: ${ALERT_FREQUENCIES.join(", ")}`
+      );
+    }
+
+    return errors;
+  },
+
+  /**
+   * Generate a password reset token for a user. The raw token is returned
+   * for emailing; only its hash is stored, valid for 15 minutes.
+   */
+  async createPasswordResetToken(userId) {
+    const resetToken = crypto.randomBytes(32).toString("hex");
+
+    const query = `
+            UPDATE users 
+            SET reset_password_token = $1,
+                reset_password_expire = NOW() + INTERVAL '15 minutes',
+                updated_at = NOW()
+            WHERE id = $2
+        `;
+    await executeQuery(query, [this.hashResetToken(resetToken), userId]);
+
+    return resetToken;
+  },
+
+  /**
+   * Set a new password using an unexpired reset token. The token is consumed
+   * in the same statement, so it can only ever be used once.
+   * Returns null if the token is invalid or expired.
+   */
+  async resetPasswordWithToken(resetToken, newPassword) {
+    const query = `
+            UPDATE users 
+            SET password = $1,
+                reset_password_token = NULL,
+                reset_password_expire = NULL,
+                updated_at = NOW()
+            WHERE reset_password_token = $2
+            AND reset_password_expire > NOW()
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [
+      await bcrypt.hash(newPassword, 10),
+      this.hashResetToken(resetToken),
+    ]);
+    return result.rows[0] ? this.formatUser(result.rows[0]) : null;
+  },
+
+  /**
+   * Invalidate any outstanding password reset token
+   */
+  async clearPasswordResetToken(userId) {
+    const query = `
+            UPDATE users 
+            SET reset_password_token = NULL, reset_password_expire = NULL
+            WHERE id = $1
+        `;
+    await executeQuery(query, [userId]);
+  },
+
+  hashResetToken(resetToken) {
+    return crypto.createHash("sha256").update(resetToken).digest("hex");
+  },
+
+  /**
+   * Generate a signed email verification token, valid for 24 hours.
+   * The email is part of the payload so links stop working if it changes.
+   * Its audience keeps it from being accepted anywhere else.
+   */
+  generateEmailVerificationToken(user) {
+    return jwt.sign(
+      { id: user.id, email: user.email, purpose: "email-verification" },
+      process.env.JWT_SECRET,
+      { expiresIn: "24h", audience: "email-verification" }
+    );
+  },
+
+  /**
+   * Mark a user's email as verified using a verification token.
+   * Returns null if the token is invalid, expired or for another email.
+   */
+  async verifyEmailWithToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        audience: "email-verification",
+      });
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.purpose !== "email-verification") return null;
+
+    const query = `
+            UPDATE users 
+            SET email_verified = true, updated_at = NOW()
+            WHERE id = $1 AND email = $2
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [decoded.id, decoded.email]);
+    return result.rows[0] ? this.formatUser(result.rows[0]) : null;
+  },
+
+  /**
+   * Generate a signed link token that opts a user out of an email list.
+   * It does not expire, so links in old emails keep working; its audience
+   * keeps it from being accepted anywhere else.
+   */
+  generateUnsubscribeToken(user, list) {
+    return jwt.sign(
+      { id: user.id, list, purpose: "unsubscribe" },
+      process.env.JWT_SECRET,
+      { audience: "unsubscribe" }
+    );
+  },
+
+  /**
+   * Opt a user out of the email list named in an unsubscribe token.
+   * Returns the list and user, or null if the token is invalid.
+   */
+  async unsubscribeWithToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        audience: "unsubscribe",
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const column = EMAIL_LISTS[decoded.list];
+    if (decoded.purpose !== "unsubscribe" || !column) return null;
+
+    const query = `
+            UPDATE users 
+            SET ${column} = false, updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `;
+    const result = await executeQuery(query, [decoded.id]);
+    return result.rows[0]
+      ? { list: decoded.list, user: this.formatUserResponse(result.rows[0]) }
+      : null;
+  },
+
   /**
    * Compare password for authentication
    */
@@ -190,11 +477,11 @@ export const UserModel = {
   },
 
   /**
-   * Generate JWT token for user
+   * Generate a short-lived JWT access token for a user's session
    */
-  generateJWTToken(user) {
-    return jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE,
+  generateJWTToken(user, sessionId) {
+    return jwt.sign({ id: user.id, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRE || "15m",
     });
   },
 
@@ -218,17 +505,20 @@ export const UserModel = {
       resumeUrl: user.resume_url,
       coverLetter: user.cover_letter,
       role: user.role,
+      companyId: user.company_id,
+      companyRole: user.company_role,
+      emailVerified: user.email_verified,
+      newsletterEmails: user.newsletter_emails,
+      newsletterFrequency: user.newsletter_frequency,
+      lastNewsletterDigestAt: user.last_newsletter_digest_at,
+      jobAlertEmails: user.job_alert_emails,
+      applicationStatusEmails: user.application_status_emails,
+      messageEmails: user.message_emails,
+      marketingEmails: user.marketing_emails,
       createdAt: user.created_at,
       updatedAt: user.updated_at,
     };
 
-    // Add the getJWTToken method to the user object
-    formattedUser.getJWTToken = function () {
-      return jwt.sign({ id: this.id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE,
-      });
-    };
-
     return formattedUser;
   },
 
@@ -254,6 +544,9 @@ export const UserModel = {
       resumePublicId: "resume_public_id",
       resumeUrl: "resume_url",
       coverLetter: "cover_letter",
+      companyId: "company_id",
+      companyRole: "company_role",
+      emailVerified: "email_verified",
       createdAt: "created_at",
       updatedAt: "updated_at",
     };
@@ -2,16 +2,92 @@ import express from "express";
 import {
   deleteApplication,
   employerGetAllApplication,
+  getApplicationDetails,
+  getApplicationStatusHistory,
+  getJobApplications,
   jobSeekerGetAllApplication,
   postApplication,
+  updateApplicationStatus,
 } from "../controllers/applicationController.js";
-import { isAuthenticated } from "../middlewares/auth.js";
+import {
+  getApplicationMessages,
+  getMessageThreads,
+  markApplicationMessagesRead,
+  postApplicationMessage,
+} from "../controllers/applicationMessageController.js";
+import {
+  getApplicationInterviews,
+  proposeInterview,
+} from "../controllers/interviewController.js";
+import { authorize } from "../middlewares/routePolicies.js";
 
 const router = express.Router();
 
-router.post("/post/:id", isAuthenticated, postApplication);
-router.get("/employer/getall", isAuthenticated, employerGetAllApplication);
-router.get("/jobseeker/getall", isAuthenticated, jobSeekerGetAllApplication);
-router.delete("/delete/:id", isAuthenticated, deleteApplication);
+router.post(
+  "/post/:id",
+  authorize("POST /application/post/:id"),
+  postApplication
+);
+router.get(
+  "/employer/getall",
+  authorize("GET /application/employer/getall"),
+  employerGetAllApplication
+);
+router.get(
+  "/jobseeker/getall",
+  authorize("GET /application/jobseeker/getall"),
+  jobSeekerGetAllApplication
+);
+router.delete(
+  "/delete/:id",
+  authorize("DELETE /application/delete/:id"),
+  deleteApplication
+);
+router.put(
+  "/status/:id",
+  authorize("PUT /application/status/:id"),
+  updateApplicationStatus
+);
+router.get(
+  "/status/:id/history",
+  authorize("GET /application/status/:id/history"),
+  getApplicationStatusHistory
+);
+router.get(
+  "/job/:jobId",
+  authorize("GET /application/job/:jobId"),
+  getJobApplications
+);
+router.get(
+  "/messages/threads",
+  authorize("GET /application/messages/threads"),
+  getMessageThreads
+);
+router.get(
+  "/:id/messages",
+  authorize("GET /application/:id/messages"),
+  getApplicationMessages
+);
+router.post(
+  "/:id/messages",
+  authorize("POST /application/:id/messages"),
+  postApplicationMessage
+);
+router.put(
+  "/:id/messages/read",
+  authorize("PUT /application/:id/messages/read"),
+  markApplicationMessagesRead
+);
+router.get(
+  "/:id/interviews",
+  authorize("GET /application/:id/interviews"),
+  getApplicationInterviews
+);
+router.post(
+  "/:id/interviews",
+  authorize("POST /application/:id/interviews"),
+  proposeInterview
+);
+router.get("/:id", authorize("GET /application/:id"), getApplicationDetails);
 
 export default router;
@@ -0,0 +1,31 @@
+import express from "express";
+import {
+  createCompany,
+  getCompanies,
+  getCompany,
+  getJoinRequests,
+  joinCompany,
+  respondToJoinRequest,
+  updateCompany,
+} from "../controllers/companyController.js";
+import { authorize } from "../middlewares/routePolicies.js";
+
+const router = express.Router();
+
+router.get("/getall", authorize("GET /company/getall"), getCompanies);
+router.post("/create", authorize("POST /company/create"), createCompany);
+router.put("/update/:id", authorize("PUT /company/update/:id"), updateCompany);
+router.put("/join/:id", authorize("PUT /company/join/:id"), joinCompany);
+router.put(
+  "/requests/:id",
+  authorize("PUT /company/requests/:id"),
+  respondToJoinRequest
+);
+router.get(
+  "/:id/requests",
+  authorize("GET /company/:id/requests"),
+  getJoinRequests
+);
+router.get("/:id", authorize("GET /company/:id"), getCompany);
+
+export default router;
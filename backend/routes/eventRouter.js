@@ -0,0 +1,9 @@
+import express from "express";
+import { streamEvents } from "../controllers/eventController.js";
+import { authorize } from "../middlewares/routePolicies.js";
+
+const router = express.Router();
+
+router.get("/", authorize("GET /events"), streamEvents);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  acceptInterview,
+  cancelInterview,
+} from "../controllers/interviewController.js";
+import { authorize } from "../middlewares/routePolicies.js";
+
+const router = express.Router();
+
+router.put(
+  "/:id/accept",
+  authorize("PUT /interview/:id/accept"),
+  acceptInterview
+);
+router.put(
+  "/:id/cancel",
+  authorize("PUT /interview/:id/cancel"),
+  cancelInterview
+);
+
+export default router;
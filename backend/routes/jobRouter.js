@@ -4,16 +4,40 @@ import {
   getAllJobs,
   getASingleJob,
   getMyJobs,
+  getSavedJobs,
   postJob,
+  saveJob,
+  unsaveJob,
+  updateJob,
+  updateJobStatus,
 } from "../controllers/jobController.js";
-import { isAuthenticated } from "../middlewares/auth.js";
+import {
+  createJobAlert,
+  deleteJobAlert,
+  getMyJobAlerts,
+  updateJobAlert,
+} from "../controllers/jobAlertController.js";
+import { authorize } from "../middlewares/routePolicies.js";
 
 const router = express.Router();
 
-router.post("/post", isAuthenticated, postJob);
-router.get("/getall", getAllJobs);
-router.get("/getmyjobs", isAuthenticated, getMyJobs);
-router.delete("/delete/:id", isAuthenticated, deleteJob);
-router.get("/get/:id", isAuthenticated, getASingleJob);
+router.post("/post", authorize("POST /job/post"), postJob);
+router.get("/getall", authorize("GET /job/getall"), getAllJobs);
+router.get("/getmyjobs", authorize("GET /job/getmyjobs"), getMyJobs);
+router.put("/update/:id", authorize("PUT /job/update/:id"), updateJob);
+router.put("/status/:id", authorize("PUT /job/status/:id"), updateJobStatus);
+router.delete("/delete/:id", authorize("DELETE /job/delete/:id"), deleteJob);
+router.get("/get/:id", authorize("GET /job/get/:id"), getASingleJob);
+router.get("/saved", authorize("GET /job/saved"), getSavedJobs);
+router.post("/save/:id", authorize("POST /job/save/:id"), saveJob);
+router.delete("/save/:id", authorize("DELETE /job/save/:id"), unsaveJob);
+router.get("/alerts", authorize("GET /job/alerts"), getMyJobAlerts);
+router.post("/alerts", authorize("POST /job/alerts"), createJobAlert);
+router.put("/alerts/:id", authorize("PUT /job/alerts/:id"), updateJobAlert);
+router.delete(
+  "/alerts/:id",
+  authorize("DELETE /job/alerts/:id"),
+  deleteJobAlert
+);
 
 export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+} from "../controllers/notificationController.js";
+import { authorize } from "../middlewares/routePolicies.js";
+
+const router = express.Router();
+
+router.get("/", authorize("GET /notifications"), getNotifications);
+router.put(
+  "/read-all",
+  authorize("PUT /notifications/read-all"),
+  markAllNotificationsRead
+);
+router.put(
+  "/:id/read",
+  authorize("PUT /notifications/:id/read"),
+  markNotificationRead
+);
+
+export default router;
@@ -1,21 +1,75 @@
 import express from "express";
 import {
+  forgotPassword,
+  getNotificationPreferences,
   getUser,
   login,
   logout,
+  logoutAllDevices,
+  refreshAccessToken,
   register,
+  resendVerificationEmail,
+  resetPassword,
+  unsubscribe,
+  updateNotificationPreferences,
   updatePassword,
   updateProfile,
+  verifyEmail,
 } from "../controllers/userController.js";
-import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/routePolicies.js";
 
 const router = express.Router();
 
-router.post("/register", register);
-router.post("/login", login);
-router.get("/logout", isAuthenticated, logout);
-router.get("/getuser", isAuthenticated, getUser);
-router.put("/update/profile", isAuthenticated, updateProfile);
-router.put("/update/password", isAuthenticated, updatePassword);
+router.post("/register", authorize("POST /user/register"), register);
+router.post("/login", authorize("POST /user/login"), login);
+router.get("/logout", authorize("GET /user/logout"), logout);
+router.post(
+  "/logout/all",
+  authorize("POST /user/logout/all"),
+  logoutAllDevices
+);
+router.post("/refresh", authorize("POST /user/refresh"), refreshAccessToken);
+router.get("/getuser", authorize("GET /user/getuser"), getUser);
+router.put(
+  "/update/profile",
+  authorize("PUT /user/update/profile"),
+  updateProfile
+);
+router.put(
+  "/update/password",
+  authorize("PUT /user/update/password"),
+  updatePassword
+);
+router.post(
+  "/password/forgot",
+  authorize("POST /user/password/forgot"),
+  forgotPassword
+);
+router.put(
+  "/password/reset/:token",
+  authorize("PUT /user/password/reset/:token"),
+  resetPassword
+);
+router.get("/verify/:token", authorize("GET /user/verify/:token"), verifyEmail);
+router.post(
+  "/verify/resend",
+  authorize("POST /user/verify/resend"),
+  resendVerificationEmail
+);
+router.get(
+  "/notifications",
+  authorize("GET /user/notifications"),
+  getNotificationPreferences
+);
+router.put(
+  "/notifications",
+  authorize("PUT /user/notifications"),
+  updateNotificationPreferences
+);
+router.post(
+  "/unsubscribe/:token",
+  authorize("POST /user/unsubscribe/:token"),
+  unsubscribe
+);
 
 export default router;
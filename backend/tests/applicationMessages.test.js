@@ -0,0 +1,65 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestDatabase } from "./helpers/database.js";
+import {
+  insertApplication,
+  insertJob,
+  insertUser,
+} from "./helpers/fixtures.js";
+import { runController } from "./helpers/middleware.js";
+import {
+  getApplicationMessages,
+  markApplicationMessagesRead,
+  postApplicationMessage,
+} from "../controllers/applicationMessageController.js";
+import { UserModel } from "../models/userModel.js";
+
+describe("messages of a deleted application", () => {
+  let db;
+  let application;
+  let jobSeeker;
+  let employer;
+
+  before(async () => {
+    db = await setupTestDatabase();
+
+    const employerRow = await insertUser(db, { role: "Employer" });
+    const jobSeekerRow = await insertUser(db);
+    const job = await insertJob(db, employerRow);
+    application = await insertApplication(db, job, jobSeekerRow, {
+      deleted_by_job_seeker: true,
+    });
+
+    jobSeeker = await UserModel.findById(jobSeekerRow.id);
+    employer = await UserModel.findById(employerRow.id);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  for (const [name, controller] of Object.entries({
+    getApplicationMessages,
+    postApplicationMessage,
+    markApplicationMessagesRead,
+  })) {
+    test(`${name} hides it from the participant who deleted it`, async () => {
+      const { error } = await runController(controller, {
+        params: { id: application.id },
+        user: jobSeeker,
+        body: { body: "Hello" },
+      });
+
+      assert.equal(error.statusCode, 404);
+    });
+  }
+
+  test("the other participant can still read the thread", async () => {
+    const { statusCode } = await runController(getApplicationMessages, {
+      params: { id: application.id },
+      user: employer,
+    });
+
+    assert.equal(statusCode, 200);
+  });
+});
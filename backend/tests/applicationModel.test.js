@@ -0,0 +1,42 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestDatabase } from "./helpers/database.js";
+import {
+  insertApplication,
+  insertJob,
+  insertUser,
+} from "./helpers/fixtures.js";
+import { ApplicationModel } from "../models/applicationModel.js";
+
+describe("ApplicationModel.countApplicationsByJobIds", () => {
+  let db;
+
+  before(async () => {
+    db = await setupTestDatabase();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  test("counts the employer's applications per job", async () => {
+    const employer = await insertUser(db, { role: "Employer" });
+    const busyJob = await insertJob(db, employer);
+    const quietJob = await insertJob(db, employer);
+    const emptyJob = await insertJob(db, employer);
+
+    await insertApplication(db, busyJob, await insertUser(db));
+    await insertApplication(db, busyJob, await insertUser(db));
+    await insertApplication(db, quietJob, await insertUser(db));
+    await insertApplication(db, quietJob, await insertUser(db), {
+      deleted_by_employer: true,
+    });
+
+    const counts = await ApplicationModel.countApplicationsByJobIds(
+      [busyJob.id, quietJob.id, emptyJob.id],
+      employer.id
+    );
+
+    assert.deepEqual(counts, { [busyJob.id]: 2, [quietJob.id]: 1 });
+  });
+});
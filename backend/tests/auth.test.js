@@ -0,0 +1,43 @@
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { isAuthenticated } from "../middlewares/auth.js";
+import { UserModel } from "../models/userModel.js";
+import { runMiddleware } from "./helpers/middleware.js";
+
+describe("isAuthenticated", () => {
+  const user = { id: "2b0c5a7e-3f1d-4c59-9a4e-0d6f1b2c3d4e" };
+
+  before(() => {
+    process.env.JWT_SECRET = "test-secret";
+  });
+
+  test("rejects requests without a token", async () => {
+    const error = await runMiddleware(isAuthenticated, { cookies: {} });
+    assert.equal(error.statusCode, 401);
+  });
+
+  test("rejects email verification tokens", async () => {
+    const token = UserModel.generateEmailVerificationToken({
+      ...user,
+      email: "seeker@example.com",
+    });
+    const error = await runMiddleware(isAuthenticated, { cookies: { token } });
+    assert.equal(error.statusCode, 401);
+  });
+
+  test("rejects unsubscribe tokens", async () => {
+    const token = UserModel.generateUnsubscribeToken(user, "newsletter");
+    const error = await runMiddleware(isAuthenticated, { cookies: { token } });
+    assert.equal(error.statusCode, 401);
+  });
+
+  test("login tokens do not verify an email", async () => {
+    const token = UserModel.generateJWTToken(user, user.id);
+    assert.equal(await UserModel.verifyEmailWithToken(token), null);
+  });
+
+  test("login tokens do not unsubscribe", async () => {
+    const token = UserModel.generateJWTToken(user, user.id);
+    assert.equal(await UserModel.unsubscribeWithToken(token), null);
+  });
+});
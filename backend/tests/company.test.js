@@ -0,0 +1,124 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestDatabase } from "./helpers/database.js";
+import { runController } from "./helpers/middleware.js";
+import {
+  createCompany,
+  joinCompany,
+  respondToJoinRequest,
+  updateCompany,
+} from "../controllers/companyController.js";
+import { UserModel } from "../models/userModel.js";
+
+describe("company membership", () => {
+  let db;
+  let company;
+  let otherCompany;
+
+  const insertEmployer = async (email) => {
+    const result = await db.query(
+      `
+        INSERT INTO users (name, email, phone, address, password, role)
+        VALUES ($1, $2, 9876543210, 'Somewhere', 'hash', 'Employer')
+        RETURNING id
+      `,
+      [email.split("@")[0], email]
+    );
+    return result.rows[0].id;
+  };
+
+  // Reload the user, as isAuthenticated does on every request
+  const asUser = (id) => UserModel.findById(id);
+
+  const createCompanyAs = async (userId, name) => {
+    const { body } = await runController(createCompany, {
+      user: await asUser(userId),
+      body: { name },
+    });
+    return body.company;
+  };
+
+  const ids = {};
+
+  before(async () => {
+    db = await setupTestDatabase();
+
+    for (const name of ["owner", "stranger", "otherOwner"]) {
+      ids[name] = await insertEmployer(`${name}@example.com`);
+    }
+
+    company = await createCompanyAs(ids.owner, "Acme");
+    otherCompany = await createCompanyAs(ids.otherOwner, "Globex");
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  test("joining sends a request instead of adding the employer", async () => {
+    const { statusCode, body } = await runController(joinCompany, {
+      params: { id: company.id },
+      user: await asUser(ids.stranger),
+    });
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.joinRequest.status, "pending");
+    assert.equal((await asUser(ids.stranger)).companyId, null);
+
+    ids.joinRequest = body.joinRequest.id;
+  });
+
+  test("employers cannot leave their company by joining another", async () => {
+    const { error } = await runController(joinCompany, {
+      params: { id: company.id },
+      user: await asUser(ids.otherOwner),
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal((await asUser(ids.otherOwner)).companyId, otherCompany.id);
+  });
+
+  test("only the owner can answer a join request", async () => {
+    const { error } = await runController(respondToJoinRequest, {
+      params: { id: ids.joinRequest },
+      user: await asUser(ids.otherOwner),
+      body: { status: "approved" },
+    });
+
+    assert.equal(error.statusCode, 403);
+  });
+
+  test("an approved employer becomes a member", async () => {
+    const { statusCode } = await runController(respondToJoinRequest, {
+      params: { id: ids.joinRequest },
+      user: await asUser(ids.owner),
+      body: { status: "approved" },
+    });
+
+    assert.equal(statusCode, 200);
+    const member = await asUser(ids.stranger);
+    assert.equal(member.companyId, company.id);
+    assert.equal(member.companyRole, "member");
+  });
+
+  test("members cannot update the company profile", async () => {
+    const { error } = await runController(updateCompany, {
+      params: { id: company.id },
+      user: await asUser(ids.stranger),
+      body: { name: "Not Acme" },
+    });
+
+    assert.equal(error.statusCode, 403);
+  });
+
+  test("the owner can update the company profile", async () => {
+    const { statusCode, body } = await runController(updateCompany, {
+      params: { id: company.id },
+      user: await asUser(ids.owner),
+      body: { name: "Acme Corp" },
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.company.name, "Acme Corp");
+  });
+});
@@ -0,0 +1,78 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestDatabase } from "./helpers/database.js";
+import { EmailOutboxModel } from "../models/emailOutboxModel.js";
+
+describe("EmailOutboxModel.claimDue", () => {
+  let db;
+
+  // An email a worker claimed an hour ago and never finished
+  const insertStaleEmail = async (idempotencyKey, attempts) => {
+    const result = await db.query(
+      `
+        INSERT INTO email_outbox (
+            idempotency_key, to_email, subject, text_body, status,
+            attempts, max_attempts, updated_at
+        ) VALUES (
+            $1, 'seeker@example.com', 'Subject', 'Body', 'sending',
+            $2, 3, NOW() - INTERVAL '1 hour'
+        )
+        RETURNING id
+      `,
+      [idempotencyKey, attempts]
+    );
+    return result.rows[0].id;
+  };
+
+  const getStatus = async (id) => {
+    const result = await db.query(
+      "SELECT status FROM email_outbox WHERE id = $1",
+      [id]
+    );
+    return result.rows[0].status;
+  };
+
+  before(async () => {
+    db = await setupTestDatabase();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  test("claims stale emails with attempts left", async () => {
+    const id = await insertStaleEmail("retry", 1);
+
+    const emails = await EmailOutboxModel.claimDue(10);
+
+    assert.deepEqual(
+      emails.map((email) => email.id),
+      [id]
+    );
+    assert.equal(emails[0].attempts, 2);
+  });
+
+  test("keeps the headers of queued emails", async () => {
+    const headers = { "List-Unsubscribe": "<https://example.com/u/token>" };
+    await EmailOutboxModel.enqueue({
+      idempotencyKey: "with-headers",
+      email: "seeker@example.com",
+      subject: "Subject",
+      message: "Body",
+      headers,
+    });
+
+    const emails = await EmailOutboxModel.claimDue(10);
+
+    assert.deepEqual(emails[0].headers, headers);
+  });
+
+  test("dead-letters stale emails without attempts left", async () => {
+    const id = await insertStaleEmail("exhausted", 3);
+
+    const emails = await EmailOutboxModel.claimDue(10);
+
+    assert.equal(emails.length, 0);
+    assert.equal(await getStatus(id), "dead");
+  });
+});
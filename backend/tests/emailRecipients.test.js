@@ -0,0 +1,70 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestDatabase } from "./helpers/database.js";
+import { UserModel } from "../models/userModel.js";
+import { JobAlertModel } from "../models/jobAlertModel.js";
+
+describe("email recipients", () => {
+  let db;
+  let verified;
+  let unverified;
+
+  const insertJobSeeker = async (email, emailVerified) => {
+    const result = await db.query(
+      `
+        INSERT INTO users (
+            name, email, phone, address, password, role, first_niche,
+            email_verified, newsletter_frequency, last_newsletter_digest_at
+        ) VALUES (
+            $1, $2, 9876543210, 'Somewhere', 'hash', 'Job Seeker',
+            'Software Development', $3, 'daily', NOW() - INTERVAL '2 days'
+        )
+        RETURNING id
+      `,
+      [email.split("@")[0], email, emailVerified]
+    );
+    const { id } = result.rows[0];
+
+    await db.query(
+      `
+        INSERT INTO job_alerts (user_id, frequency, last_checked_at)
+        VALUES ($1, 'daily', NOW() - INTERVAL '2 days')
+      `,
+      [id]
+    );
+    return id;
+  };
+
+  before(async () => {
+    db = await setupTestDatabase();
+    verified = await insertJobSeeker("verified@example.com", true);
+    unverified = await insertJobSeeker("unverified@example.com", false);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  test("newsletter skips unverified job seekers", async () => {
+    const users = await UserModel.findByJobNiche("Software Development");
+    assert.deepEqual(
+      users.map((user) => user.id),
+      [verified]
+    );
+  });
+
+  test("newsletter digests skip unverified job seekers", async () => {
+    const users = await UserModel.findNewsletterDigestsDue();
+    assert.deepEqual(
+      users.map((user) => user.id),
+      [verified]
+    );
+  });
+
+  test("job alerts skip unverified owners", async () => {
+    const alerts = await JobAlertModel.findDue();
+    const owners = alerts.map((alert) => alert.user.id);
+    assert.ok(owners.includes(verified));
+    assert.ok(!owners.includes(unverified));
+  });
+});
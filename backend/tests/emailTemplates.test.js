@@ -0,0 +1,44 @@
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  jobAlertDigestEmail,
+  newsletterEmail,
+} from "../utils/emailTemplates.js";
+
+describe("unsubscribe headers", () => {
+  const user = { name: "Seeker" };
+  const job = { id: "job-1", title: "Backend Developer", jobNiche: "IT" };
+
+  before(() => {
+    process.env.FRONTEND_URL = "https://jobs.example.com";
+    process.env.BACKEND_URL = "https://api.example.com";
+  });
+
+  test("newsletters offer one-click unsubscribe", () => {
+    const email = newsletterEmail({ user, job, unsubscribeToken: "token" });
+
+    assert.deepEqual(email.headers, {
+      "List-Unsubscribe":
+        "<https://api.example.com/api/v1/user/unsubscribe/token>",
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    });
+    assert.ok(
+      email.message.includes("https://jobs.example.com/unsubscribe/token")
+    );
+  });
+
+  test("job alert digests offer one-click unsubscribe", () => {
+    const email = jobAlertDigestEmail({
+      user,
+      title: "Your daily job alerts",
+      jobGroups: [],
+      jobCount: 0,
+      unsubscribeToken: "token",
+    });
+
+    assert.equal(
+      email.headers["List-Unsubscribe-Post"],
+      "List-Unsubscribe=One-Click"
+    );
+  });
+});
@@ -0,0 +1,41 @@
+import { PGlite } from "@electric-sql/pglite";
+import { uuid_ossp } from "@electric-sql/pglite/contrib/uuid_ossp";
+import pg from "pg";
+import { runMigrations } from "../../database/migration-utils.js";
+
+/**
+ * In-process PostgreSQL for tests. The pg pool used by the models is pointed
+ * at a fresh PGlite database with every migration applied, so queries run
+ * against the real schema without a database server.
+ */
+export const setupTestDatabase = async () => {
+  const db = new PGlite({ extensions: { uuid_ossp } });
+
+  const client = {
+    async query(text, params = []) {
+      // Migrations are several statements, which only run without params
+      if (params.length === 0) {
+        const results = await db.exec(text);
+        const last = results[results.length - 1] || { rows: [] };
+        return { rows: last.rows, rowCount: last.affectedRows ?? 0 };
+      }
+      const result = await db.query(text, params);
+      return {
+        rows: result.rows,
+        rowCount: result.affectedRows ?? result.rows.length,
+      };
+    },
+    release() {},
+  };
+  pg.Pool.prototype.connect = async () => client;
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await runMigrations();
+  } finally {
+    console.log = log;
+  }
+
+  return db;
+};
@@ -0,0 +1,61 @@
+/**
+ * Rows for tests, inserted straight into the database. Every helper fills
+ * the required columns and takes snake_case overrides for the rest.
+ */
+
+let rowCount = 0;
+
+const insertRow = async (db, table, columns) => {
+  const names = Object.keys(columns);
+  const result = await db.query(
+    `
+      INSERT INTO ${table} (${names.join(", ")})
+      VALUES (${names.map((name, index) => `$${index + 1}`).join(", ")})
+      RETURNING *
+    `,
+    Object.values(columns)
+  );
+  return result.rows[0];
+};
+
+export const insertUser = (db, overrides = {}) => {
+  rowCount++;
+  return insertRow(db, "users", {
+    name: `User ${rowCount}`,
+    email: `user${rowCount}@example.com`,
+    phone: 9876543210,
+    address: "Somewhere",
+    password: "hash",
+    role: "Job Seeker",
+    email_verified: true,
+    ...overrides,
+  });
+};
+
+export const insertJob = (db, employer, overrides = {}) =>
+  insertRow(db, "jobs", {
+    title: "Backend Developer",
+    job_type: "Full-time",
+    location: "Pune",
+    company_name: "Acme",
+    responsibilities: "Build APIs",
+    qualifications: "Node.js",
+    salary: "50000",
+    job_niche: "Software Development",
+    posted_by: employer.id,
+    ...overrides,
+  });
+
+export const insertApplication = (db, job, jobSeeker, overrides = {}) =>
+  insertRow(db, "applications", {
+    job_seeker_user_id: jobSeeker.id,
+    job_seeker_name: jobSeeker.name,
+    job_seeker_email: jobSeeker.email,
+    job_seeker_phone: jobSeeker.phone,
+    job_seeker_address: jobSeeker.address,
+    cover_letter: "Hello",
+    employer_user_id: job.posted_by,
+    job_id: job.id,
+    job_title: job.title,
+    ...overrides,
+  });
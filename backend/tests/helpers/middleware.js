@@ -0,0 +1,25 @@
+/**
+ * Run a middleware and resolve with the error it passed to next, if any
+ */
+export const runMiddleware = (middleware, req) =>
+  new Promise((resolve) => {
+    middleware(req, {}, (error) => resolve(error));
+  });
+
+/**
+ * Run a controller and resolve with the error it passed to next, or with
+ * the status and body of its response
+ */
+export const runController = (controller, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(statusCode) {
+        this.statusCode = statusCode;
+        return this;
+      },
+      json(body) {
+        resolve({ statusCode: this.statusCode, body });
+      },
+    };
+    controller(req, res, (error) => resolve({ error }));
+  });
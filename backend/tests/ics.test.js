@@ -0,0 +1,59 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendarInvite } from "../utils/ics.js";
+import { InterviewModel } from "../models/interviewModel.js";
+
+describe("calendar invites", () => {
+  const injectedLink =
+    "https://meet.example.com/a\r\nATTENDEE:mailto:evil@example.com";
+
+  const buildInvite = (overrides) =>
+    buildCalendarInvite({
+      uid: "interview-1@example.com",
+      start: new Date("2030-01-01T10:00:00Z"),
+      end: new Date("2030-01-01T10:30:00Z"),
+      summary: "Interview",
+      organizer: { name: "Employer", email: "employer@example.com" },
+      attendees: [{ name: "Seeker", email: "seeker@example.com" }],
+      ...overrides,
+    });
+
+  const getLines = (invite) => invite.replace(/\r\n$/, "").split("\r\n");
+
+  test("line breaks in a meeting link cannot add properties", () => {
+    const lines = getLines(buildInvite({ url: injectedLink }));
+
+    assert.ok(lines.every((line) => !/[\r\n]/.test(line)));
+    assert.ok(lines.every((line) => !line.startsWith("ATTENDEE:mailto:evil")));
+    assert.ok(
+      lines.includes(
+        "URL:https://meet.example.com/aATTENDEE:mailto:evil@example.com"
+      )
+    );
+  });
+
+  test("line breaks in text and names cannot add properties", () => {
+    const lines = getLines(
+      buildInvite({
+        location: "Office\r\nATTENDEE:mailto:evil@example.com",
+        organizer: {
+          name: "Employer\r\nATTENDEE:mailto:evil@example.com",
+          email: "employer@example.com",
+        },
+      })
+    );
+
+    assert.ok(lines.every((line) => !/[\r\n]/.test(line)));
+    assert.ok(lines.every((line) => !line.startsWith("ATTENDEE:mailto:evil")));
+  });
+
+  test("meeting links with control characters are rejected", () => {
+    const errors = InterviewModel.validateInterviewData({
+      slots: ["2030-01-01T10:00:00Z"],
+      timezone: "Asia/Kolkata",
+      meetingLink: injectedLink,
+    });
+
+    assert.deepEqual(errors, ["Meeting link must be a valid http(s) URL"]);
+  });
+});
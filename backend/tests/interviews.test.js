@@ -0,0 +1,77 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestDatabase } from "./helpers/database.js";
+import {
+  insertApplication,
+  insertJob,
+  insertUser,
+} from "./helpers/fixtures.js";
+import { runController } from "./helpers/middleware.js";
+import { acceptInterview } from "../controllers/interviewController.js";
+import { InterviewModel } from "../models/interviewModel.js";
+import { UserModel } from "../models/userModel.js";
+
+describe("accepting an interview", () => {
+  let db;
+  let employer;
+  let jobSeekerRow;
+  let jobSeeker;
+
+  /**
+   * Propose an interview for a new application and try to accept its slot
+   */
+  const acceptFor = async (applicationOverrides) => {
+    const job = await insertJob(db, employer);
+    const application = await insertApplication(
+      db,
+      job,
+      jobSeekerRow,
+      applicationOverrides
+    );
+    const interview = await InterviewModel.create({
+      applicationId: application.id,
+      timezone: "Asia/Kolkata",
+      meetingLink: "https://meet.example.com/interview",
+      slots: [new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()],
+    });
+
+    return await runController(acceptInterview, {
+      params: { id: interview.id },
+      body: { slotId: interview.slots[0].id },
+      user: jobSeeker,
+    });
+  };
+
+  before(async () => {
+    db = await setupTestDatabase();
+
+    employer = await insertUser(db, { role: "Employer" });
+    jobSeekerRow = await insertUser(db);
+    jobSeeker = await UserModel.findById(jobSeekerRow.id);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  test("schedules the interview of an open application", async () => {
+    const { statusCode, body } = await acceptFor();
+    assert.equal(statusCode, 200);
+    assert.equal(body.interview.status, "scheduled");
+  });
+
+  test("is refused once the application is rejected", async () => {
+    const { error } = await acceptFor({ status: "Rejected" });
+    assert.equal(error.statusCode, 409);
+  });
+
+  test("is refused once the job seeker deleted the application", async () => {
+    const { error } = await acceptFor({ deleted_by_job_seeker: true });
+    assert.equal(error.statusCode, 404);
+  });
+
+  test("is refused once the employer deleted the application", async () => {
+    const { error } = await acceptFor({ deleted_by_employer: true });
+    assert.equal(error.statusCode, 404);
+  });
+});
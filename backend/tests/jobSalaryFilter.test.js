@@ -0,0 +1,55 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestDatabase } from "./helpers/database.js";
+import { insertJob, insertUser } from "./helpers/fixtures.js";
+import { runController } from "./helpers/middleware.js";
+import { getAllJobs } from "../controllers/jobController.js";
+
+describe("getAllJobs salary filter", () => {
+  let db;
+  let rupeeJob;
+  let dollarJob;
+
+  before(async () => {
+    db = await setupTestDatabase();
+
+    // The same yearly amount in two currencies
+    const employer = await insertUser(db, { role: "Employer" });
+    const salary = {
+      salary_min: 600000,
+      salary_max: 600000,
+      salary_period: "yearly",
+    };
+    rupeeJob = await insertJob(db, employer, {
+      ...salary,
+      salary_currency: "INR",
+    });
+    dollarJob = await insertJob(db, employer, {
+      ...salary,
+      salary_currency: "USD",
+    });
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  test("requires a currency with salary bounds", async () => {
+    const { error } = await runController(getAllJobs, {
+      query: { minSalary: "500000" },
+    });
+
+    assert.equal(error.statusCode, 400);
+  });
+
+  test("only matches jobs paid in the requested currency", async () => {
+    const { statusCode, body } = await runController(getAllJobs, {
+      query: { minSalary: "500000", currency: "USD" },
+    });
+
+    assert.equal(statusCode, 200);
+    const ids = body.jobs.map((job) => job.id);
+    assert.ok(ids.includes(dollarJob.id));
+    assert.ok(!ids.includes(rupeeJob.id));
+  });
+});
@@ -0,0 +1,150 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { setupTestDatabase } from "./helpers/database.js";
+import { runMiddleware } from "./helpers/middleware.js";
+import { ROUTE_POLICIES, authorize } from "../middlewares/routePolicies.js";
+import { SessionModel } from "../models/sessionModel.js";
+import { UserModel } from "../models/userModel.js";
+
+/**
+ * Read the routers mounted in app.js and their prefixes, without importing
+ * app.js itself, which schedules the cron jobs
+ */
+const getMountedRouters = async () => {
+  const source = await readFile(new URL("../app.js", import.meta.url), "utf8");
+
+  const files = Object.fromEntries(
+    [...source.matchAll(/import (\w+) from "\.\/routes\/(\w+\.js)"/g)].map(
+      ([, name, file]) => [name, file]
+    )
+  );
+
+  return [...source.matchAll(/app\.use\("\/api\/v1\/([\w-]+)", (\w+)\)/g)].map(
+    ([, prefix, name]) => ({ prefix, file: files[name] })
+  );
+};
+
+/**
+ * List every route as its ROUTE_POLICIES key, "METHOD /router/path"
+ */
+const getRouteKeys = async () => {
+  const keys = [];
+
+  for (const { prefix, file } of await getMountedRouters()) {
+    const { default: router } = await import(`../routes/${file}`);
+
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const path = layer.route.path === "/" ? "" : layer.route.path;
+      for (const method of Object.keys(layer.route.methods)) {
+        keys.push(`${method.toUpperCase()} /${prefix}${path}`);
+      }
+    }
+  }
+
+  return keys;
+};
+
+describe("ROUTE_POLICIES", () => {
+  test("has exactly one policy per mounted route", async () => {
+    const routeKeys = await getRouteKeys();
+    const policyKeys = Object.keys(ROUTE_POLICIES);
+
+    assert.ok(routeKeys.length > 0);
+    assert.deepEqual(
+      routeKeys.filter((key) => !policyKeys.includes(key)),
+      [],
+      "routes without a policy"
+    );
+    assert.deepEqual(
+      policyKeys.filter((key) => !routeKeys.includes(key)),
+      [],
+      "policies without a route"
+    );
+  });
+});
+
+describe("authorize", () => {
+  let db;
+
+  /**
+   * Run a route's policy chain, resolving with the first error, if any
+   */
+  const runPolicy = async (routeKey, req) => {
+    for (const middleware of authorize(routeKey)) {
+      const error = await runMiddleware(middleware, req);
+      if (error) return error;
+    }
+    return null;
+  };
+
+  let userCount = 0;
+
+  const loginAs = async (role, { emailVerified = false } = {}) => {
+    userCount++;
+    const result = await db.query(
+      `
+        INSERT INTO users (
+            name, email, phone, address, password, role, email_verified
+        ) VALUES ('Test User', $1, 9876543210, 'Somewhere', 'hash', $2, $3)
+        RETURNING *
+      `,
+      [`user${userCount}@example.com`, role, emailVerified]
+    );
+    const user = UserModel.formatUser(result.rows[0]);
+    const { session } = await SessionModel.create({ userId: user.id });
+    return { cookies: { token: UserModel.generateJWTToken(user, session.id) } };
+  };
+
+  before(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    db = await setupTestDatabase();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  test("lets anyone through public routes", async () => {
+    assert.deepEqual(authorize("GET /job/getall"), []);
+  });
+
+  test("throws for a route without a policy", () => {
+    assert.throws(() => authorize("GET /job/unknown"));
+  });
+
+  test("returns 401 without a logged in user", async () => {
+    const error = await runPolicy("GET /job/getmyjobs", { cookies: {} });
+    assert.equal(error.statusCode, 401);
+  });
+
+  test("returns 403 for the wrong role", async () => {
+    const req = await loginAs("Job Seeker");
+    const error = await runPolicy("GET /job/getmyjobs", req);
+    assert.equal(error.statusCode, 403);
+  });
+
+  test("lets the right role through", async () => {
+    const req = await loginAs("Employer");
+    assert.equal(await runPolicy("GET /job/getmyjobs", req), null);
+    assert.equal(req.user.role, "Employer");
+  });
+
+  for (const routeKey of [
+    "POST /job/post",
+    "PUT /job/update/:id",
+    "POST /company/create",
+    "PUT /company/update/:id",
+  ]) {
+    test(`${routeKey} requires a verified email`, async () => {
+      const unverified = await loginAs("Employer");
+      const error = await runPolicy(routeKey, unverified);
+      assert.equal(error.statusCode, 403);
+
+      const verified = await loginAs("Employer", { emailVerified: true });
+      assert.equal(await runPolicy(routeKey, verified), null);
+    });
+  }
+});
@@ -0,0 +1,389 @@
+/**
+ * Email templates. Each template takes the variables it personalizes and
+ * returns `{ subject, message, html }`: a plain text body for clients that
+ * do not render HTML, and an HTML alternative built on a shared layout.
+ * Emails users can unsubscribe from also return the `headers` that let mail
+ * clients offer one-click unsubscribe.
+ */
+
+const BRAND = "JobSphere";
+const BRAND_COLOR = "#dfba00";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Render an email from content blocks. Every block is optional:
+ * - `paragraphs`: lines of text
+ * - `details`: [label, value] pairs, e.g. of a job
+ * - `jobGroups`: job listings, each group under an optional heading
+ * - `action`: a `{ label, url }` button
+ * - `note`: small print below the button
+ * - `unsubscribe`: a `{ label, token }` opt-out link in the footer, for a
+ *   token from UserModel.generateUnsubscribeToken
+ */
+/**
+ * One-click unsubscribe page for a token from
+ * UserModel.generateUnsubscribeToken
+ */
+const getUnsubscribeUrl = (token) =>
+  `${process.env.FRONTEND_URL}/unsubscribe/${token}`;
+
+/**
+ * List-Unsubscribe headers (RFC 8058). Mail clients POST straight to the
+ * API, as the frontend page only unsubscribes once it is opened.
+ */
+const getUnsubscribeHeaders = (token) => ({
+  "List-Unsubscribe": `<${process.env.BACKEND_URL}/api/v1/user/unsubscribe/${token}>`,
+  "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+});
+
+const renderEmail = ({
+  name,
+  paragraphs = [],
+  details = [],
+  jobGroups = [],
+  action,
+  note,
+  unsubscribe,
+}) => {
+  const text = [`Hi ${name},`, ...paragraphs];
+  const html = [
+    `<p>Hi ${escapeHtml(name)},</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+  ];
+
+  if (details.length > 0) {
+    text.push(details.map(([label, value]) => `${label}: ${value}`).join("\n"));
+    html.push(
+      `<table cellpadding="4" style="border-collapse:collapse">${details
+        .map(
+          ([label, value]) =>
+            `<tr><td style="color:#666">${escapeHtml(label)}</td><td><strong>${escapeHtml(value)}</strong></td></tr>`
+        )
+        .join("")}</table>`
+    );
+  }
+
+  for (const group of jobGroups) {
+    const jobLines = group.jobs.map(
+      (job) =>
+        `- ${job.title} at ${job.companyName}, ${job.location} (${job.workMode}, ${job.jobType}) - ${job.salary}`
+    );
+    text.push([group.heading, ...jobLines].filter(Boolean).join("\n"));
+    html.push(
+      `${group.heading ? `<h3 style="margin-bottom:4px">${escapeHtml(group.heading)}</h3>` : ""}<ul>${group.jobs
+        .map(
+          (job) =>
+            `<li><strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.companyName)}, ${escapeHtml(job.location)}<br><span style="color:#666">${escapeHtml(`${job.workMode} · ${job.jobType} · ${job.salary}`)}</span></li>`
+        )
+        .join("")}</ul>`
+    );
+  }
+
+  if (action) {
+    text.push(`${action.label}: ${action.url}`);
+    html.push(
+      `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:${BRAND_COLOR};color:#111;text-decoration:none;border-radius:6px">${escapeHtml(action.label)}</a></p>`
+    );
+  }
+
+  if (note) {
+    text.push(note);
+    html.push(`<p style="color:#666;font-size:13px">${escapeHtml(note)}</p>`);
+  }
+
+  text.push(`Best Regards,\n${BRAND} Team`);
+  html.push(`<p>Best Regards,<br>${BRAND} Team</p>`);
+
+  if (unsubscribe) {
+    const unsubscribeUrl = getUnsubscribeUrl(unsubscribe.token);
+    text.push(`${unsubscribe.label}: ${unsubscribeUrl}`);
+    html.push(
+      `<p style="color:#999;font-size:12px;border-top:1px solid #eee;padding-top:12px"><a href="${escapeHtml(unsubscribeUrl)}" style="color:#999">${escapeHtml(unsubscribe.label)}</a></p>`
+    );
+  }
+
+  return {
+    message: text.join("\n\n"),
+    html: `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;color:#111;line-height:1.5;max-width:600px;margin:0 auto;padding:20px"><h2 style="color:${BRAND_COLOR}">${BRAND}</h2>${html.join("")}</body></html>`,
+    ...(unsubscribe && { headers: getUnsubscribeHeaders(unsubscribe.token) }),
+  };
+};
+
+const getJobDetails = (job) => [
+  ["Position", job.title],
+  ["Company", job.companyName],
+  ["Location", job.location],
+  ["Salary", job.salary],
+];
+
+const getJobsUrl = () => `${process.env.FRONTEND_URL}/jobs`;
+const getDashboardUrl = () => `${process.env.FRONTEND_URL}/dashboard`;
+
+/**
+ * A new job in one of the user's niches
+ */
+export const newsletterEmail = ({ user, job, unsubscribeToken }) => ({
+  subject: `Hot Job Alert: ${job.title} in ${job.jobNiche} Available Now`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `Great news! A new job that fits your niche has just been posted. The position is for a ${job.title} with ${job.companyName}, and they are looking to hire immediately.`,
+    ],
+    details: getJobDetails(job),
+    action: {
+      label: "View Job",
+      url: `${process.env.FRONTEND_URL}/post/application/${job.id}`,
+    },
+    note: "Don't wait too long! Job openings like these are filled quickly. We're here to support you in your job search. Best of luck!",
+    unsubscribe: {
+      label: "Unsubscribe from niche job newsletters",
+      token: unsubscribeToken,
+    },
+  }),
+});
+
+/**
+ * Daily or weekly round-up of new jobs in the user's niches
+ */
+export const newsletterDigestEmail = ({
+  user,
+  frequency,
+  jobs,
+  unsubscribeToken,
+}) => ({
+  subject: `Your ${frequency} job digest: ${jobs.length} new ${
+    jobs.length === 1 ? "job" : "jobs"
+  } in your niches`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `Here are the jobs posted in ${[
+        user.firstNiche,
+        user.secondNiche,
+        user.thirdNiche,
+      ]
+        .filter(Boolean)
+        .join(", ")} since your last digest.`,
+    ],
+    jobGroups: [{ jobs }],
+    action: { label: "Browse Jobs", url: getJobsUrl() },
+    note: "You can change how often you get these emails in the Notification Settings of your dashboard.",
+    unsubscribe: {
+      label: "Unsubscribe from niche job newsletters",
+      token: unsubscribeToken,
+    },
+  }),
+});
+
+/**
+ * New jobs matching the user's saved searches, grouped by alert
+ */
+export const jobAlertDigestEmail = ({
+  user,
+  title,
+  jobGroups,
+  jobCount,
+  unsubscribeToken,
+}) => ({
+  subject: `${title} (${jobCount} new)`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: ["New jobs matching your saved searches have been posted."],
+    jobGroups,
+    action: { label: "Browse Jobs", url: getJobsUrl() },
+    note: "You can change or delete your job alerts from your dashboard.",
+    unsubscribe: {
+      label: "Unsubscribe from job alert emails",
+      token: unsubscribeToken,
+    },
+  }),
+});
+
+/**
+ * Tells an employer that their job passed its deadline and was archived
+ */
+export const jobArchivedEmail = ({ user, job }) => ({
+  subject: `Your job posting "${job.title}" has been archived`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      "The application deadline for your job posting has passed, so it has been archived and is no longer visible to job seekers.",
+      "You can still review the applications you received from your dashboard.",
+    ],
+    details: [
+      ...getJobDetails(job).slice(0, 3),
+      ["Deadline", new Date(job.applicationDeadline).toDateString()],
+    ],
+    action: { label: "Review Applications", url: getDashboardUrl() },
+  }),
+});
+
+/**
+ * Confirms to a job seeker that their application was submitted
+ */
+export const applicationConfirmationEmail = ({ user, job }) => ({
+  subject: `Application received: ${job.title} at ${job.companyName}`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `Your application for ${job.title} at ${job.companyName} has been submitted. The employer will review it and you'll see every status change on your dashboard.`,
+    ],
+    details: getJobDetails(job),
+    action: { label: "Track Your Application", url: getDashboardUrl() },
+  }),
+});
+
+/**
+ * Tells a job seeker that an employer moved their application to a new stage
+ */
+export const applicationStatusEmail = ({ user, application }) => ({
+  subject: `Application update: ${application.jobTitle} is now ${application.status}`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `There is an update on your application for ${application.jobTitle}. The employer has moved it to the "${application.status}" stage.`,
+    ],
+    action: {
+      label: "View Application",
+      url: `${process.env.FRONTEND_URL}/application/${application.id}`,
+    },
+    note: "You can turn off application update emails in the Notification Settings of your dashboard.",
+  }),
+});
+
+/**
+ * Tells one side of an application that the other sent them a message
+ */
+export const applicationMessageEmail = ({
+  user,
+  sender,
+  application,
+  body,
+}) => ({
+  subject: `New message about ${application.jobTitle}`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `${sender.name} sent you a message about the application for ${application.jobTitle}:`,
+      body,
+    ],
+    action: {
+      label: "Reply",
+      url: `${process.env.FRONTEND_URL}/application/${application.id}`,
+    },
+    note: "You can turn off message emails in the Notification Settings of your dashboard.",
+  }),
+});
+
+/**
+ * Date and time of an interview in its own timezone,
+ * e.g. "Tuesday, October 20, 2026 at 3:00 PM (Asia/Kolkata)"
+ */
+export const formatInterviewTime = (date, timezone) =>
+  `${new Date(date).toLocaleString("en-US", {
+    timeZone: timezone,
+    dateStyle: "full",
+    timeStyle: "short",
+  })} (${timezone})`;
+
+const getInterviewDetails = (interview) =>
+  [
+    ["Duration", `${interview.durationMinutes} minutes`],
+    ["Location", interview.location],
+    ["Meeting link", interview.meetingLink],
+    ["Notes", interview.notes],
+  ].filter(([, value]) => value);
+
+const getApplicationUrl = (interview) =>
+  `${process.env.FRONTEND_URL}/application/${interview.applicationId}`;
+
+/**
+ * Asks a job seeker to pick one of the interview slots an employer proposed
+ */
+export const interviewProposedEmail = ({ user, employer, interview }) => ({
+  subject: `Interview request: ${interview.jobTitle}`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `${employer.name} would like to interview you for ${interview.jobTitle}. Please choose one of these times:`,
+    ],
+    details: [
+      ...interview.slots.map((slot, index) => [
+        `Option ${index + 1}`,
+        formatInterviewTime(slot.startsAt, interview.timezone),
+      ]),
+      ...getInterviewDetails(interview),
+    ],
+    action: { label: "Choose A Time", url: getApplicationUrl(interview) },
+  }),
+});
+
+/**
+ * Confirms a scheduled interview to one of its participants. Sent with the
+ * calendar invite attached.
+ */
+export const interviewScheduledEmail = ({ user, interview }) => ({
+  subject: `Interview scheduled: ${interview.jobTitle}`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `The interview for ${interview.jobTitle} is scheduled for ${formatInterviewTime(interview.scheduledAt, interview.timezone)}.`,
+      "The attached invite adds it to your calendar.",
+    ],
+    details: getInterviewDetails(interview),
+    action: { label: "View Application", url: getApplicationUrl(interview) },
+  }),
+});
+
+/**
+ * Tells a participant that a scheduled interview was cancelled. Sent with
+ * a calendar cancellation attached.
+ */
+export const interviewCancelledEmail = ({ user, cancelledBy, interview }) => ({
+  subject: `Interview cancelled: ${interview.jobTitle}`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `${cancelledBy.name} cancelled the interview for ${interview.jobTitle} on ${formatInterviewTime(interview.scheduledAt, interview.timezone)}.`,
+      "The attached update removes it from your calendar.",
+    ],
+    action: { label: "View Application", url: getApplicationUrl(interview) },
+  }),
+});
+
+/**
+ * Email address verification after registering or changing the address
+ */
+export const verificationEmail = ({ user, verificationUrl }) => ({
+  subject: `Verify your ${BRAND} email address`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `Welcome to ${BRAND}! Please confirm your email address by opening the link below.`,
+    ],
+    action: { label: "Verify Email", url: verificationUrl },
+    note: "This link expires in 24 hours. Until your email is verified you will not be able to post jobs or apply for them.",
+  }),
+});
+
+/**
+ * Password reset link
+ */
+export const passwordResetEmail = ({ user, resetUrl }) => ({
+  subject: `${BRAND} Password Reset`,
+  ...renderEmail({
+    name: user.name,
+    paragraphs: [
+      `We received a request to reset the password for your ${BRAND} account. Use the link below to choose a new password.`,
+    ],
+    action: { label: "Reset Password", url: resetUrl },
+    note: "This link expires in 15 minutes and can only be used once. If you did not request a password reset, you can safely ignore this email.",
+  }),
+});
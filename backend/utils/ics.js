@@ -0,0 +1,136 @@
+/**
+ * Minimal RFC 5545 (iCalendar) writer for single-event calendar invites
+ */
+
+const PRODUCT_ID = "-//JobSphere//Interviews//EN";
+
+// Content lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * UTC date-time in the iCalendar basic format, e.g. 20261019T093000Z
+ */
+export const formatIcsDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Control characters other than line breaks are not allowed in values
+const stripControls = (value) =>
+  String(value).replace(/[\u0000-\u0009\u000b\u000c\u000e-\u001f\u007f]/g, "");
+
+// TEXT values escape backslashes, semicolons, commas and line breaks
+const escapeText = (value) =>
+  stripControls(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+
+// Parameter values are quoted, and quoted strings cannot contain quotes or
+// line breaks
+const quoteParam = (value) =>
+  `"${stripControls(value)
+    .replace(/[\r\n]/g, " ")
+    .replace(/"/g, "'")}"`;
+
+// URI values are written as parsed, which drops or encodes any characters
+// that could end the line
+const formatUri = (value) => new URL(value).href;
+
+/**
+ * Fold a content line into chunks of at most 75 octets, each continuation
+ * starting with a space. Multi-byte characters are never split.
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = "";
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join("\r\n ");
+};
+
+const person = (property, { name, email }, params = []) =>
+  `${[property, `CN=${quoteParam(name)}`, ...params].join(";")}:mailto:${email}`;
+
+/**
+ * Build a calendar with one event.
+ *
+ * - `method`: "REQUEST" for a new or updated invite, "CANCEL" to withdraw it
+ * - `uid` and `sequence`: identify the event; calendars apply an update or
+ *   cancellation to the event with the same UID and a lower SEQUENCE
+ * - `organizer` and `attendees`: `{ name, email }`
+ */
+export const buildCalendarInvite = ({
+  method = "REQUEST",
+  uid,
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    `PRODID:${PRODUCT_ID}`,
+    "VERSION:2.0",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${formatUri(url)}`);
+  if (organizer) lines.push(person("ORGANIZER", organizer));
+
+  for (const attendee of attendees) {
+    lines.push(
+      person("ATTENDEE", attendee, [
+        "ROLE=REQ-PARTICIPANT",
+        "PARTSTAT=ACCEPTED",
+        "RSVP=FALSE",
+      ])
+    );
+  }
+
+  lines.push(
+    `STATUS:${method === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR"
+  );
+
+  // Every content line ends with CRLF, including the last one
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+/**
+ * Nodemailer attachment for a calendar invite
+ */
+export const calendarAttachment = (invite, method = "REQUEST") => ({
+  filename: method === "CANCEL" ? "cancel.ics" : "invite.ics",
+  content: invite,
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
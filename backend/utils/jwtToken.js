@@ -1,19 +1,57 @@
-export const sendToken = (user, statusCode, res, message) => {
-  const token = user.getJWTToken();
-  
-  // Set cookie expiration (default to 7 days if not set)
-  const cookieExpireDays = process.env.COOKIE_EXPIRE || 7;
-  
-  const options = {
-    expires: new Date(
-      Date.now() + cookieExpireDays * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // Cross-site cookie in production
-  };
-
-  res.status(statusCode).cookie("token", token, options).json({
+import { SessionModel } from "../models/sessionModel.js";
+import { UserModel } from "../models/userModel.js";
+
+// The refresh token is only needed by the user routes that refresh or end a session
+const REFRESH_TOKEN_COOKIE_PATH = "/api/v1/user";
+
+const getCookieOptions = (expires) => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // Cross-site cookie in production
+});
+
+/**
+ * Set the access and refresh token cookies for a session
+ */
+export const setAuthCookies = (res, accessToken, refreshToken, session) => {
+  // The access token cookie lives as long as the session so an expired access
+  // token is still sent, answered with 401, and refreshed by the client
+  const expires = new Date(session.expiresAt);
+
+  res.cookie("token", accessToken, getCookieOptions(expires));
+  res.cookie("refreshToken", refreshToken, {
+    ...getCookieOptions(expires),
+    path: REFRESH_TOKEN_COOKIE_PATH,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  const expires = new Date(Date.now());
+
+  res.cookie("token", "", getCookieOptions(expires));
+  res.cookie("refreshToken", "", {
+    ...getCookieOptions(expires),
+    path: REFRESH_TOKEN_COOKIE_PATH,
+  });
+};
+
+/**
+ * Start a new session for the user and send short-lived access and
+ * rotating refresh tokens as cookies
+ */
+export const sendToken = async (user, statusCode, res, message) => {
+  const { session, refreshToken } = await SessionModel.create({
+    userId: user.id,
+    userAgent: res.req.get("user-agent"),
+    ipAddress: res.req.ip,
+  });
+
+  const token = UserModel.generateJWTToken(user, session.id);
+
+  setAuthCookies(res, token, refreshToken, session);
+
+  res.status(statusCode).json({
     success: true,
     user,
     message,
@@ -0,0 +1,23 @@
+import { NotificationModel } from "../models/notificationModel.js";
+import { publish } from "./realtime.js";
+
+/**
+ * Record in-app notifications for one or more users and push them to their
+ * open event streams. Notifications are a side effect of the action that
+ * caused them, so a failure is only logged and never fails that action.
+ * @param {Object|Array} notifications `{ userId, type, title, message, link }`
+ */
+export const notify = async (notifications) => {
+  const list = Array.isArray(notifications) ? notifications : [notifications];
+
+  try {
+    const created = await NotificationModel.createMany(list);
+    for (const notification of created) {
+      publish(notification.userId, "notification", notification);
+    }
+    return created;
+  } catch (error) {
+    console.error("Failed to create notifications:", error.message);
+    return [];
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Server-Sent Events hub. Keeps the event streams open on this server
+ * process, grouped by user, and pushes events to them. Streams only reach
+ * users connected to the same process, so running several instances needs
+ * a shared channel (e.g. PostgreSQL LISTEN/NOTIFY) in front of `publish`.
+ */
+
+// userId -> Set of { res, sessionId }
+const streams = new Map();
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 5 * 1000;
+
+let heartbeat = null;
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    for (const userStreams of streams.values()) {
+      for (const stream of userStreams) {
+        stream.res.write(": heartbeat\n\n");
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+};
+
+const removeStream = (userId, stream) => {
+  const userStreams = streams.get(userId);
+  if (!userStreams) return;
+
+  userStreams.delete(stream);
+  if (userStreams.size === 0) {
+    streams.delete(userId);
+  }
+
+  if (streams.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+/**
+ * Turn an authenticated request into an event stream for its user
+ */
+export const openEventStream = (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const userId = req.user.id;
+  const stream = { res, sessionId: req.sessionId };
+
+  if (!streams.has(userId)) {
+    streams.set(userId, new Set());
+  }
+  streams.get(userId).add(stream);
+  startHeartbeat();
+
+  write(res, "ready", { userId });
+
+  req.on("close", () => removeStream(userId, stream));
+};
+
+/**
+ * Push an event to every open stream of one or more users
+ * @param {number|Array<number>} userIds
+ */
+export const publish = (userIds, event, data) => {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+
+  for (const userId of ids) {
+    const userStreams = streams.get(userId);
+    if (!userStreams) continue;
+
+    for (const stream of userStreams) {
+      write(stream.res, event, data);
+    }
+  }
+};
+
+/**
+ * Push an event to every open stream
+ */
+export const broadcast = (event, data) => {
+  for (const userStreams of streams.values()) {
+    for (const stream of userStreams) {
+      write(stream.res, event, data);
+    }
+  }
+};
+
+/**
+ * End the streams of revoked sessions: one session, or all sessions of a
+ * user except `exceptSessionId`
+ */
+export const closeStreams = ({ userId, sessionId, exceptSessionId }) => {
+  const targets = userId
+    ? [[userId, streams.get(userId)]]
+    : [...streams.entries()];
+
+  for (const [ownerId, userStreams] of targets) {
+    if (!userStreams) continue;
+
+    for (const stream of [...userStreams]) {
+      if (sessionId && stream.sessionId !== sessionId) continue;
+      if (exceptSessionId && stream.sessionId === exceptSessionId) continue;
+
+      stream.res.end();
+      removeStream(ownerId, stream);
+    }
+  }
+};
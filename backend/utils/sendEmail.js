@@ -1,14 +1,29 @@
 import nodeMailer from "nodemailer";
 
-export const sendEmail = async ({ email, subject, message }) => {
+/**
+ * Send an email. `attachments` are nodemailer attachments, e.g.
+ * `{ filename, content, contentType }` for a calendar invite, and `headers`
+ * are extra headers such as List-Unsubscribe.
+ */
+export const sendEmail = async ({
+  email,
+  subject,
+  message,
+  html,
+  attachments,
+  headers,
+}) => {
   const transporter = nodeMailer.createTransport({
     host: process.env.SMTP_HOST,
     service: process.env.SMTP_SERVICE,
     port: process.env.SMTP_PORT,
-    auth: {
-      user: process.env.SMTP_MAIL,
-      pass: process.env.SMTP_PASSWORD,
-    },
+    // Local SMTP stand-ins such as Mailpit accept mail without logging in
+    auth: process.env.SMTP_PASSWORD
+      ? {
+          user: process.env.SMTP_MAIL,
+          pass: process.env.SMTP_PASSWORD,
+        }
+      : undefined,
   });
 
   const options = {
@@ -16,6 +31,9 @@ export const sendEmail = async ({ email, subject, message }) => {
     to: email,
     subject: subject,
     text: message,
+    html,
+    attachments,
+    headers,
   };
 
   await transporter.sendMail(options);
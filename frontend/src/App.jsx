@@ -10,19 +10,32 @@ import Login from "./pages/Login";
 import NotFound from "./pages/NotFound";
 import PostApplication from "./pages/PostApplication";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
+import Unsubscribe from "./pages/Unsubscribe";
+import ApplicationDetail from "./pages/ApplicationDetail";
+import Company from "./pages/Company";
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import { useDispatch, useSelector } from "react-redux";
 import { getUser } from "./store/slices/userSlice";
+import { connectEventStream } from "./config/eventStream";
 
 const App = () => {
   const dispatch = useDispatch();
-  const { error } = useSelector(state => state.user);
+  const { error, isAuthenticated } = useSelector(state => state.user);
 
   useEffect(() => {
     dispatch(getUser());
   }, [dispatch]);
 
+  // Live updates for the logged in user
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    return connectEventStream(dispatch);
+  }, [dispatch, isAuthenticated]);
+
   return (
     <>
       <Router>
@@ -37,6 +50,12 @@ const App = () => {
           />
           <Route path="/register" element={<Register />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/password/forgot" element={<ForgotPassword />} />
+          <Route path="/password/reset/:token" element={<ResetPassword />} />
+          <Route path="/verify/:token" element={<VerifyEmail />} />
+          <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
+          <Route path="/application/:id" element={<ApplicationDetail />} />
+          <Route path="/company/:id" element={<Company />} />
           <Route path="*" element={<NotFound />} />
         </Routes>
         <Footer />
@@ -6,6 +6,7 @@ import {
   deleteApplication,
   fetchEmployerApplications,
   resetApplicationSlice,
+  updateApplicationStatus,
 } from "../store/slices/applicationSlice";
 import Spinner from "./Spinner";
 import { Link } from "react-router-dom";
@@ -33,6 +34,12 @@ const Applications = () => {
     dispatch(deleteApplication(id));
   };
 
+  const handleStatusChange = (id, status) => {
+    if (status) {
+      dispatch(updateApplicationStatus(id, status));
+    }
+  };
+
   return (
     <>
       {loading ? (
@@ -50,6 +57,30 @@ const Applications = () => {
                     <p className="sub-sec">
                       <span>Job Title: </span> {element.jobTitle}
                     </p>
+                    <p className="sub-sec">
+                      <span>Status: </span>
+                      <span className={`status-badge ${element.status}`}>
+                        {element.status}
+                      </span>
+                    </p>
+                    {element.nextStatuses && element.nextStatuses.length > 0 && (
+                      <div className="status-select">
+                        <label>Move To Stage</label>
+                        <select
+                          value=""
+                          onChange={(e) =>
+                            handleStatusChange(element.id, e.target.value)
+                          }
+                        >
+                          <option value="">Select Next Stage</option>
+                          {element.nextStatuses.map((status) => (
+                            <option value={status} key={status}>
+                              {status}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                     <p className="sub-sec">
                       <span>Applicant's Name: </span>{" "}
                       {element.jobSeekerName}
@@ -66,14 +97,6 @@ const Applications = () => {
                       <span>Applicant's Address: </span>{" "}
                       {element.jobSeekerAddress}
                     </p>
-                    <p className="sub-sec">
-                      <span>Applicant's CoverLetter: </span>
-                      <textarea
-                        value={element.coverLetter}
-                        rows={5}
-                        disabled
-                      ></textarea>
-                    </p>
                     <div className="btn-wrapper">
                       <button
                         className="outline_btn"
@@ -81,6 +104,12 @@ const Applications = () => {
                       >
                         Delete Application
                       </button>
+                      <Link
+                        to={`/application/${element.id}`}
+                        className="outline_btn"
+                      >
+                        View Details
+                      </Link>
                       <Link
                         to={
                           element.jobSeekerInfo &&
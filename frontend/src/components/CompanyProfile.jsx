@@ -0,0 +1,264 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import {
+  clearAllCompanyErrors,
+  createCompany,
+  fetchJoinRequests,
+  fetchMyCompany,
+  joinCompany,
+  respondToJoinRequest,
+  searchCompanies,
+  updateCompany,
+} from "../store/slices/companySlice";
+
+const COMPANY_SIZES = [
+  "1-10",
+  "11-50",
+  "51-200",
+  "201-500",
+  "501-1000",
+  "1001+",
+];
+
+const toForm = (company) => ({
+  name: (company && company.name) || "",
+  website: (company && company.website) || "",
+  size: (company && company.size) || "",
+  headquartersCity: (company && company.headquartersCity) || "",
+  description: (company && company.description) || "",
+});
+
+/**
+ * Employers set up the company they post jobs for: ask to join an existing
+ * one or create it. The owner keeps its profile up to date and answers
+ * requests to join it.
+ */
+const CompanyProfile = () => {
+  const { user } = useSelector((state) => state.user);
+  const { myCompany, joinRequests, searchResults, loading, error, message } =
+    useSelector((state) => state.companies);
+
+  const companyId = user && user.companyId;
+  const company = myCompany && myCompany.id === companyId ? myCompany : null;
+  const isOwner = Boolean(companyId) && user.companyRole === "owner";
+
+  const [form, setForm] = useState(toForm(company));
+  const [logo, setLogo] = useState(null);
+  const [search, setSearch] = useState("");
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (companyId) {
+      dispatch(fetchMyCompany(companyId));
+    }
+  }, [dispatch, companyId]);
+
+  useEffect(() => {
+    if (isOwner) {
+      dispatch(fetchJoinRequests(companyId));
+    }
+  }, [dispatch, companyId, isOwner]);
+
+  useEffect(() => {
+    setForm(toForm(company));
+  }, [company]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+    }
+    if (message) {
+      toast.success(message);
+      setLogo(null);
+    }
+    if (error || message) {
+      dispatch(clearAllCompanyErrors());
+    }
+  }, [dispatch, error, message]);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const formData = new FormData();
+    for (const [key, value] of Object.entries(form)) {
+      formData.append(key, value);
+    }
+    if (logo) {
+      formData.append("logo", logo);
+    }
+    if (company) {
+      dispatch(updateCompany(company.id, formData));
+    } else {
+      dispatch(createCompany(formData));
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (search.trim()) {
+      dispatch(searchCompanies(search.trim()));
+    }
+  };
+
+  if (companyId && !company) {
+    return null;
+  }
+
+  return (
+    <div className="account_components company_profile">
+      <h3>Company Profile</h3>
+
+      {company ? (
+        <div className="company_summary">
+          {company.logoUrl && <img src={company.logoUrl} alt={company.name} />}
+          <p>
+            You post jobs for <strong>{company.name}</strong>.
+            {!isOwner && " Only its owner can edit the company profile."}
+          </p>
+          <Link to={`/company/${company.id}`} className="outline_btn">
+            View Company Page
+          </Link>
+        </div>
+      ) : (
+        <div className="company_join">
+          <p>
+            Jobs are posted for your company. Find it if it already has a
+            profile and ask its owner to let you join, or create one below.
+          </p>
+          <form onSubmit={handleSearch}>
+            <input
+              type="text"
+              placeholder="Search companies"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <button type="submit" className="btn">
+              Search
+            </button>
+          </form>
+          <ul>
+            {searchResults.map((element) => (
+              <li key={element.id}>
+                <span>{element.name}</span>
+                <button
+                  className="btn"
+                  disabled={loading}
+                  onClick={() => dispatch(joinCompany(element.id))}
+                >
+                  Request to Join
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {isOwner && joinRequests.length > 0 && (
+        <div className="company_join">
+          <h4>Requests to Join</h4>
+          <ul>
+            {joinRequests.map((joinRequest) => (
+              <li key={joinRequest.id}>
+                <span>
+                  {joinRequest.user.name} ({joinRequest.user.email})
+                </span>
+                <div>
+                  <button
+                    className="btn"
+                    disabled={loading}
+                    onClick={() =>
+                      dispatch(respondToJoinRequest(joinRequest.id, "approved"))
+                    }
+                  >
+                    Approve
+                  </button>
+                  <button
+                    className="outline_btn"
+                    disabled={loading}
+                    onClick={() =>
+                      dispatch(respondToJoinRequest(joinRequest.id, "rejected"))
+                    }
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {(!company || isOwner) && (
+        <form onSubmit={handleSave}>
+          {!company && <h4>Create Company Profile</h4>}
+          <div>
+            <label>Company Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+            />
+          </div>
+          <div>
+            <label>Website</label>
+            <input
+              type="url"
+              placeholder="https://example.com"
+              value={form.website}
+              onChange={(e) => setForm({ ...form, website: e.target.value })}
+            />
+          </div>
+          <div>
+            <label>Company Size</label>
+            <select
+              value={form.size}
+              onChange={(e) => setForm({ ...form, size: e.target.value })}
+            >
+              <option value="">Select Company Size</option>
+              {COMPANY_SIZES.map((size) => (
+                <option value={size} key={size}>
+                  {size} employees
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Headquarters City</label>
+            <input
+              type="text"
+              value={form.headquartersCity}
+              onChange={(e) =>
+                setForm({ ...form, headquartersCity: e.target.value })
+              }
+            />
+          </div>
+          <div>
+            <label>About The Company</label>
+            <textarea
+              rows={6}
+              value={form.description}
+              onChange={(e) =>
+                setForm({ ...form, description: e.target.value })
+              }
+            />
+          </div>
+          <div>
+            <label>Logo</label>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setLogo(e.target.files[0] || null)}
+            />
+          </div>
+          <button type="submit" className="btn" disabled={loading}>
+            {company ? "Save Changes" : "Create Company"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default CompanyProfile;
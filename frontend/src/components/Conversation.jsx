@@ -0,0 +1,121 @@
+import { useEffect, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  clearAllMessageErrors,
+  fetchMessages,
+  markMessagesRead,
+  sendMessage,
+} from "../store/slices/messageSlice";
+import Spinner from "./Spinner";
+
+const formatDate = (date) => new Date(date).toLocaleString();
+
+/**
+ * Message thread of the application opened with `openThread`
+ */
+const Conversation = () => {
+  const [body, setBody] = useState("");
+  const listRef = useRef(null);
+
+  const { activeApplicationId, messages, loading, sending, error, message } =
+    useSelector((state) => state.messages);
+  const { user } = useSelector((state) => state.user);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (activeApplicationId) {
+      dispatch(fetchMessages(activeApplicationId));
+    }
+  }, [dispatch, activeApplicationId]);
+
+  // Messages arriving while the thread is open are read right away
+  const hasUnread = messages.some(
+    (element) => !element.read && user && element.senderUserId !== user.id
+  );
+
+  useEffect(() => {
+    if (activeApplicationId && hasUnread) {
+      dispatch(markMessagesRead(activeApplicationId));
+    }
+  }, [dispatch, activeApplicationId, hasUnread]);
+
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages.length]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+    }
+    if (message) {
+      setBody("");
+    }
+    if (error || message) {
+      dispatch(clearAllMessageErrors());
+    }
+  }, [dispatch, error, message]);
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    if (body.trim()) {
+      dispatch(sendMessage(activeApplicationId, body));
+    }
+  };
+
+  if (!activeApplicationId) {
+    return null;
+  }
+
+  return (
+    <div className="conversation">
+      {loading && messages.length === 0 ? (
+        <Spinner />
+      ) : (
+        <ul className="messages" ref={listRef}>
+          {messages.length === 0 && (
+            <li className="empty">No messages yet. Say hello!</li>
+          )}
+          {messages.map((element) => {
+            const mine = user && element.senderUserId === user.id;
+            return (
+              <li key={element.id} className={mine ? "mine" : "theirs"}>
+                <span className="sender">
+                  {mine ? "You" : element.senderName}
+                </span>
+                <p>{element.body}</p>
+                <small>
+                  {formatDate(element.createdAt)}
+                  {mine &&
+                    (element.read
+                      ? ` · Seen ${formatDate(element.readAt)}`
+                      : " · Sent")}
+                </small>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <form onSubmit={handleSend}>
+        <textarea
+          rows={3}
+          placeholder="Write a message..."
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+        />
+        <button
+          type="submit"
+          className="btn"
+          disabled={sending || !body.trim()}
+        >
+          {sending ? "Sending..." : "Send"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Conversation;
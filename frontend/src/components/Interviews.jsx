@@ -0,0 +1,231 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  acceptInterview,
+  cancelInterview,
+  clearAllInterviewErrors,
+  fetchInterviews,
+  proposeInterview,
+} from "../store/slices/interviewSlice";
+import Spinner from "./Spinner";
+
+const MAX_SLOTS = 5;
+
+// Times are shown in the timezone the employer scheduled them in
+const formatTime = (date, timeZone) =>
+  `${new Date(date).toLocaleString(undefined, {
+    timeZone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  })} (${timeZone})`;
+
+const emptyForm = {
+  slots: [""],
+  durationMinutes: 60,
+  location: "",
+  meetingLink: "",
+  notes: "",
+};
+
+/**
+ * Interviews of the application opened with `openInterviews`. Employers
+ * propose time slots, job seekers pick one, and either side can cancel.
+ */
+const Interviews = () => {
+  const [form, setForm] = useState(emptyForm);
+
+  const { applicationId, interviews, loading, submitting, error, message } =
+    useSelector((state) => state.interviews);
+  const { applicationDetail } = useSelector((state) => state.applications);
+  const { user } = useSelector((state) => state.user);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (applicationId) {
+      dispatch(fetchInterviews(applicationId));
+    }
+  }, [dispatch, applicationId]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+    }
+    if (message) {
+      toast.success(message);
+      setForm(emptyForm);
+    }
+    if (error || message) {
+      dispatch(clearAllInterviewErrors());
+    }
+  }, [dispatch, error, message]);
+
+  if (!applicationId || !applicationDetail || !user) {
+    return null;
+  }
+
+  const isEmployer = user.id === applicationDetail.employerUserId;
+  const canPropose =
+    isEmployer && !["Hired", "Rejected"].includes(applicationDetail.status);
+
+  const updateSlot = (index, value) => {
+    setForm({
+      ...form,
+      slots: form.slots.map((slot, i) => (i === index ? value : slot)),
+    });
+  };
+
+  const handlePropose = (e) => {
+    e.preventDefault();
+    dispatch(
+      proposeInterview(applicationId, {
+        // datetime-local values are in the browser's timezone
+        slots: form.slots
+          .filter(Boolean)
+          .map((slot) => new Date(slot).toISOString()),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        durationMinutes: form.durationMinutes,
+        location: form.location,
+        meetingLink: form.meetingLink,
+        notes: form.notes,
+      })
+    );
+  };
+
+  return (
+    <div className="interviews">
+      {loading && interviews.length === 0 ? (
+        <Spinner />
+      ) : (
+        <ul>
+          {interviews.length === 0 && (
+            <li className="empty">No interviews scheduled yet.</li>
+          )}
+          {interviews.map((interview) => (
+            <li key={interview.id} className={interview.status}>
+              <div className="interview_header">
+                <span className={`interview_status ${interview.status}`}>
+                  {interview.status}
+                </span>
+                <span>{interview.durationMinutes} minutes</span>
+              </div>
+              {interview.status === "scheduled" && (
+                <p>
+                  <span>When:</span>{" "}
+                  {formatTime(interview.scheduledAt, interview.timezone)}
+                </p>
+              )}
+              {interview.location && (
+                <p>
+                  <span>Location:</span> {interview.location}
+                </p>
+              )}
+              {interview.meetingLink && (
+                <p>
+                  <span>Meeting Link:</span>{" "}
+                  <a
+                    href={interview.meetingLink}
+                    target="_blank"
+                    rel="noreferrer"
+                  >
+                    {interview.meetingLink}
+                  </a>
+                </p>
+              )}
+              {interview.notes && <p className="notes">{interview.notes}</p>}
+              {interview.status === "proposed" && (
+                <ul className="slots">
+                  {interview.slots.map((slot) => (
+                    <li key={slot.id}>
+                      <span>
+                        {formatTime(slot.startsAt, interview.timezone)}
+                      </span>
+                      {!isEmployer && (
+                        <button
+                          className="btn"
+                          disabled={submitting}
+                          onClick={() =>
+                            dispatch(acceptInterview(interview.id, slot.id))
+                          }
+                        >
+                          Accept
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {interview.status !== "cancelled" && (
+                <button
+                  className="outline_btn"
+                  disabled={submitting}
+                  onClick={() => dispatch(cancelInterview(interview.id))}
+                >
+                  Cancel Interview
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canPropose && (
+        <form onSubmit={handlePropose}>
+          <h5>Propose Interview Times</h5>
+          {form.slots.map((slot, index) => (
+            <input
+              key={index}
+              type="datetime-local"
+              value={slot}
+              onChange={(e) => updateSlot(index, e.target.value)}
+            />
+          ))}
+          {form.slots.length < MAX_SLOTS && (
+            <button
+              type="button"
+              className="outline_btn"
+              onClick={() => setForm({ ...form, slots: [...form.slots, ""] })}
+            >
+              Add Another Time
+            </button>
+          )}
+          <label>Duration (minutes)</label>
+          <input
+            type="number"
+            min={15}
+            max={480}
+            step={15}
+            value={form.durationMinutes}
+            onChange={(e) =>
+              setForm({ ...form, durationMinutes: e.target.value })
+            }
+          />
+          <input
+            type="text"
+            placeholder="Location"
+            value={form.location}
+            onChange={(e) => setForm({ ...form, location: e.target.value })}
+          />
+          <input
+            type="url"
+            placeholder="Meeting Link"
+            value={form.meetingLink}
+            onChange={(e) => setForm({ ...form, meetingLink: e.target.value })}
+          />
+          <textarea
+            rows={3}
+            placeholder="Notes for the candidate"
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+          <button type="submit" className="btn" disabled={submitting}>
+            {submitting ? "Sending..." : "Send Interview Times"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Interviews;
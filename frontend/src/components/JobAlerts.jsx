@@ -0,0 +1,117 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { Link } from "react-router-dom";
+import {
+  clearAllJobAlertErrors,
+  deleteJobAlert,
+  fetchJobAlerts,
+  updateJobAlert,
+} from "../store/slices/jobAlertSlice";
+import Spinner from "./Spinner";
+
+const FREQUENCY_OPTIONS = [
+  { value: "instant", label: "Instantly" },
+  { value: "daily", label: "Daily Digest" },
+  { value: "weekly", label: "Weekly Digest" },
+];
+
+const describeCriteria = (jobAlert) =>
+  [
+    jobAlert.keyword && ["Keyword", jobAlert.keyword],
+    jobAlert.location && ["City", jobAlert.location],
+    jobAlert.jobNiche && ["Niche", jobAlert.jobNiche],
+    jobAlert.jobType && ["Job Type", jobAlert.jobType],
+    jobAlert.workMode && ["Work Mode", jobAlert.workMode],
+    jobAlert.minSalary !== null && [
+      "Minimum Salary",
+      `${jobAlert.salaryCurrency} ${jobAlert.minSalary.toLocaleString()} a year`,
+    ],
+  ].filter(Boolean);
+
+const JobAlerts = () => {
+  const { jobAlerts, loading, error, message } = useSelector(
+    (state) => state.jobAlerts
+  );
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(fetchJobAlerts());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+    }
+    if (message) {
+      toast.success(message);
+    }
+    if (error || message) {
+      dispatch(clearAllJobAlertErrors());
+    }
+  }, [dispatch, error, message]);
+
+  const handleFrequencyChange = (id, frequency) => {
+    dispatch(updateJobAlert(id, frequency));
+  };
+
+  const handleDeleteJobAlert = (id) => {
+    dispatch(deleteJobAlert(id));
+  };
+
+  return (
+    <div className="account_components">
+      <h3>Job Alerts</h3>
+      {loading ? (
+        <Spinner />
+      ) : jobAlerts && jobAlerts.length <= 0 ? (
+        <>
+          <h1 style={{ fontSize: "1.4rem", fontWeight: "600" }}>
+            You have no job alerts yet.
+          </h1>
+          <Link to="/jobs" className="btn">
+            Search Jobs To Create One
+          </Link>
+        </>
+      ) : (
+        <div className="applications_container">
+          {jobAlerts.map((element) => (
+            <div className="card" key={element.id}>
+              {describeCriteria(element).map(([label, value]) => (
+                <p className="sub-sec" key={label}>
+                  <span>{label}: </span> {value}
+                </p>
+              ))}
+              <div className="status-select">
+                <label>Email Me</label>
+                <select
+                  value={element.frequency}
+                  onChange={(e) =>
+                    handleFrequencyChange(element.id, e.target.value)
+                  }
+                >
+                  {FREQUENCY_OPTIONS.map((option) => (
+                    <option value={option.value} key={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="btn-wrapper">
+                <button
+                  className="outline_btn"
+                  onClick={() => handleDeleteJobAlert(element.id)}
+                >
+                  Delete Alert
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobAlerts;
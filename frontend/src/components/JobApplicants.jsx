@@ -0,0 +1,129 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  clearAllApplicationErrors,
+  closeJobApplications,
+  deleteApplication,
+  fetchJobApplications,
+  resetApplicationSlice,
+  updateApplicationStatus,
+} from "../store/slices/applicationSlice";
+import Spinner from "./Spinner";
+import { Link } from "react-router-dom";
+
+const JobApplicants = () => {
+  const { jobApplications, viewingJob, loading, error, message } = useSelector(
+    (state) => state.applications
+  );
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(fetchJobApplications(viewingJob.id));
+  }, [dispatch, viewingJob.id]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      dispatch(clearAllApplicationErrors());
+    }
+    if (message) {
+      toast.success(message);
+      dispatch(resetApplicationSlice());
+      dispatch(fetchJobApplications(viewingJob.id));
+    }
+  }, [dispatch, error, message, viewingJob.id]);
+
+  const handleDeleteApplication = (id) => {
+    dispatch(deleteApplication(id));
+  };
+
+  const handleStatusChange = (id, status) => {
+    if (status) {
+      dispatch(updateApplicationStatus(id, status));
+    }
+  };
+
+  const handleBack = () => {
+    dispatch(closeJobApplications());
+  };
+
+  return (
+    <div className="account_components">
+      <h3>Applicants For {viewingJob.title}</h3>
+      <div className="btn-wrapper">
+        <button className="outline_btn" onClick={handleBack}>
+          Back To My Jobs
+        </button>
+      </div>
+      {loading ? (
+        <Spinner />
+      ) : jobApplications && jobApplications.length <= 0 ? (
+        <h1 style={{ fontSize: "1.4rem", fontWeight: "600" }}>
+          No one has applied for this job yet.
+        </h1>
+      ) : (
+        <div className="applications_container">
+          {jobApplications.map((element) => (
+            <div className="card" key={element.id}>
+              <p className="sub-sec">
+                <span>Status: </span>
+                <span className={`status-badge ${element.status}`}>
+                  {element.status}
+                </span>
+              </p>
+              {element.nextStatuses && element.nextStatuses.length > 0 && (
+                <div className="status-select">
+                  <label>Move To Stage</label>
+                  <select
+                    value=""
+                    onChange={(e) =>
+                      handleStatusChange(element.id, e.target.value)
+                    }
+                  >
+                    <option value="">Select Next Stage</option>
+                    {element.nextStatuses.map((status) => (
+                      <option value={status} key={status}>
+                        {status}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <p className="sub-sec">
+                <span>Applicant&apos;s Name: </span> {element.jobSeekerName}
+              </p>
+              <p className="sub-sec">
+                <span>Applicant&apos;s Email:</span> {element.jobSeekerEmail}
+              </p>
+              <p className="sub-sec">
+                <span>Applicant&apos;s Phone: </span> {element.jobSeekerPhone}
+              </p>
+              <p className="sub-sec">
+                <span>Applicant&apos;s Address: </span>{" "}
+                {element.jobSeekerAddress}
+              </p>
+              <div className="btn-wrapper">
+                <button
+                  className="outline_btn"
+                  onClick={() => handleDeleteApplication(element.id)}
+                >
+                  Delete Application
+                </button>
+                <Link to={`/application/${element.id}`} className="outline_btn">
+                  View Details
+                </Link>
+                <Link to={element.resumeUrl} className="btn" target="_blank">
+                  View Resume
+                </Link>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobApplicants;
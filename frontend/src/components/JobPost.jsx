@@ -6,23 +6,59 @@ import {
   clearAllJobErrors,
   postJob,
   resetJobSlice,
+  stopEditingJob,
+  updateJob,
 } from "../store/slices/jobSlice";
+import { fetchMyCompany } from "../store/slices/companySlice";
 import { CiCircleInfo } from "react-icons/ci";
 
+// Format a stored deadline as the YYYY-MM-DD value of a date input
+const toDateInputValue = (date) => {
+  if (!date) return "";
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().substring(0, 10);
+};
+
 const JobPost = () => {
-  const [title, setTitle] = useState("");
-  const [jobType, setJobType] = useState("");
-  const [location, setLocation] = useState("");
-  const [companyName, setCompanyName] = useState("");
-  const [introduction, setIntroduction] = useState("");
-  const [responsibilities, setResponsibilities] = useState("");
-  const [qualifications, setQualifications] = useState("");
-  const [offers, setOffers] = useState("");
-  const [jobNiche, setJobNiche] = useState("");
-  const [salary, setSalary] = useState("");
-  const [hiringMultipleCandidates, setHiringMultipleCandidates] = useState("");
-  const [personalWebsiteTitle, setPersonalWebsiteTitle] = useState("");
-  const [personalWebsiteUrl, setPersonalWebsiteUrl] = useState("");
+  // When an employer clicks "Edit Job" in My Jobs, the form is prefilled
+  // from that job and submits an update instead of a new posting.
+  const { editingJob } = useSelector((state) => state.jobs);
+  const job = editingJob || {};
+
+  const [title, setTitle] = useState(job.title || "");
+  const [jobType, setJobType] = useState(job.jobType || "");
+  const [workMode, setWorkMode] = useState(job.workMode || "On-site");
+  const [location, setLocation] = useState(job.location || "");
+  const [introduction, setIntroduction] = useState(job.introduction || "");
+  const [responsibilities, setResponsibilities] = useState(
+    job.responsibilities || ""
+  );
+  const [qualifications, setQualifications] = useState(
+    job.qualifications || ""
+  );
+  const [offers, setOffers] = useState(job.offers || "");
+  const [jobNiche, setJobNiche] = useState(job.jobNiche || "");
+  const [salaryMin, setSalaryMin] = useState(job.salaryMin ?? "");
+  const [salaryMax, setSalaryMax] = useState(job.salaryMax ?? "");
+  const [salaryCurrency, setSalaryCurrency] = useState(
+    job.salaryCurrency || "INR"
+  );
+  const [salaryPeriod, setSalaryPeriod] = useState(
+    job.salaryPeriod || "monthly"
+  );
+  const [hiringMultipleCandidates, setHiringMultipleCandidates] = useState(
+    job.hiringMultipleCandidates || ""
+  );
+  const [personalWebsiteTitle, setPersonalWebsiteTitle] = useState(
+    job.personalWebsiteTitle || ""
+  );
+  const [personalWebsiteUrl, setPersonalWebsiteUrl] = useState(
+    job.personalWebsiteUrl || ""
+  );
+  const [applicationDeadline, setApplicationDeadline] = useState(
+    toDateInputValue(job.applicationDeadline)
+  );
 
   const nichesArray = [
     "Software Development",
@@ -61,31 +97,65 @@ const JobPost = () => {
 
   const { isAuthenticated, user } = useSelector((state) => state.user);
   const { loading, error, message } = useSelector((state) => state.jobs);
+  const { myCompany } = useSelector((state) => state.companies);
   const dispatch = useDispatch();
 
+  // Jobs are posted for the employer's company; edited jobs keep theirs
+  const companyId = user && user.companyId;
+  const companyName = editingJob
+    ? job.companyName
+    : myCompany && myCompany.id === companyId && myCompany.name;
+
+  useEffect(() => {
+    if (companyId) {
+      dispatch(fetchMyCompany(companyId));
+    }
+  }, [dispatch, companyId]);
+
   const handlePostJob = (e) => {
     const formData = new FormData();
     formData.append("title", title);
     formData.append("jobType", jobType);
+    formData.append("workMode", workMode);
     formData.append("location", location);
-    formData.append("companyName", companyName);
     formData.append("introduction", introduction);
     formData.append("responsibilities", responsibilities);
     formData.append("qualifications", qualifications);
     offers && formData.append("offers", offers);
     formData.append("jobNiche", jobNiche);
-    formData.append("salary", salary);
+    formData.append("salaryMin", salaryMin);
+    salaryMax !== "" && formData.append("salaryMax", salaryMax);
+    formData.append("salaryCurrency", salaryCurrency);
+    formData.append("salaryPeriod", salaryPeriod);
     hiringMultipleCandidates &&
       formData.append("hiringMultipleCandidates", hiringMultipleCandidates);
     personalWebsiteTitle &&
       formData.append("personalWebsiteTitle", personalWebsiteTitle);
     personalWebsiteUrl &&
       formData.append("personalWebsiteUrl", personalWebsiteUrl);
+    // Applications are accepted until the end of the chosen day
+    applicationDeadline &&
+      formData.append(
+        "applicationDeadline",
+        new Date(`${applicationDeadline}T23:59:59`).toISOString()
+      );
 
-    dispatch(postJob(formData));
+    if (editingJob) {
+      // Send optional fields even when empty so they can be cleared
+      !offers && formData.append("offers", "");
+      salaryMax === "" && formData.append("salaryMax", "");
+      !personalWebsiteTitle && formData.append("personalWebsiteTitle", "");
+      !personalWebsiteUrl && formData.append("personalWebsiteUrl", "");
+      !applicationDeadline && formData.append("applicationDeadline", "");
+      dispatch(updateJob(editingJob.id, formData));
+    } else {
+      dispatch(postJob(formData));
+    }
   };
 
   useEffect(() => {
+    // While editing, My Jobs reports the outcome and refreshes the list
+    if (editingJob) return;
     if (error) {
       toast.error(error);
       dispatch(clearAllJobErrors());
@@ -94,11 +164,11 @@ const JobPost = () => {
       toast.success(message);
       dispatch(resetJobSlice());
     }
-  }, [dispatch, error, loading, message]);
+  }, [dispatch, error, loading, message, editingJob]);
 
   return (
     <div className="account_components">
-      <h3>Post A Job</h3>
+      <h3>{editingJob ? "Edit Job" : "Post A Job"}</h3>
       <div>
         <label>Title</label>
         <input
@@ -114,6 +184,18 @@ const JobPost = () => {
           <option value="">Select Job Type</option>
           <option value="Full-time">Full-time</option>
           <option value="Part-time">Part-time</option>
+          <option value="Internship">Internship</option>
+          <option value="Contract">Contract</option>
+          <option value="Temporary">Temporary</option>
+          <option value="Freelance">Freelance</option>
+        </select>
+      </div>
+      <div>
+        <label>Work Mode</label>
+        <select value={workMode} onChange={(e) => setWorkMode(e.target.value)}>
+          <option value="On-site">On-site</option>
+          <option value="Remote">Remote</option>
+          <option value="Hybrid">Hybrid</option>
         </select>
       </div>
       <div>
@@ -127,12 +209,13 @@ const JobPost = () => {
       </div>
       <div>
         <label>Company Name</label>
-        <input
-          type="text"
-          value={companyName}
-          onChange={(e) => setCompanyName(e.target.value)}
-          placeholder="Company Name"
-        />
+        {editingJob || companyId ? (
+          <input type="text" value={companyName || ""} disabled />
+        ) : (
+          <p>
+            Set up your company under Company Profile before posting a job.
+          </p>
+        )}
       </div>
       <div>
         <label>Company/Job Introduction</label>
@@ -184,13 +267,65 @@ const JobPost = () => {
           })}
         </select>
       </div>
+      <div className="salary-wrapper">
+        <div>
+          <label>Minimum Salary</label>
+          <input
+            type="number"
+            min="0"
+            value={salaryMin}
+            onChange={(e) => setSalaryMin(e.target.value)}
+            placeholder="50000"
+          />
+        </div>
+        <div>
+          <div className="label-infoTag-wrapper">
+            <label>Maximum Salary</label>
+            <span>
+              <CiCircleInfo /> Optional
+            </span>
+          </div>
+          <input
+            type="number"
+            min="0"
+            value={salaryMax}
+            onChange={(e) => setSalaryMax(e.target.value)}
+            placeholder="80000"
+          />
+        </div>
+        <div>
+          <label>Currency</label>
+          <select
+            value={salaryCurrency}
+            onChange={(e) => setSalaryCurrency(e.target.value)}>
+            <option value="INR">INR</option>
+            <option value="USD">USD</option>
+            <option value="EUR">EUR</option>
+            <option value="GBP">GBP</option>
+          </select>
+        </div>
+        <div>
+          <label>Paid</label>
+          <select
+            value={salaryPeriod}
+            onChange={(e) => setSalaryPeriod(e.target.value)}>
+            <option value="yearly">Yearly</option>
+            <option value="monthly">Monthly</option>
+            <option value="hourly">Hourly</option>
+          </select>
+        </div>
+      </div>
       <div>
-        <label>Salary</label>
+        <div className="label-infoTag-wrapper">
+          <label>Application Deadline</label>
+          <span>
+            <CiCircleInfo /> Optional
+          </span>
+        </div>
         <input
-          type="text"
-          value={salary}
-          onChange={(e) => setSalary(e.target.value)}
-          placeholder="50000 - 800000"
+          type="date"
+          value={applicationDeadline}
+          onChange={(e) => setApplicationDeadline(e.target.value)}
         />
       </div>
       <div>
@@ -242,8 +377,16 @@ const JobPost = () => {
           className="btn"
           onClick={handlePostJob}
           disabled={loading}>
-          Post Job
+          {editingJob ? "Update Job" : "Post Job"}
         </button>
+        {editingJob && (
+          <button
+            style={{ margin: "0 auto" }}
+            className="outline_btn"
+            onClick={() => dispatch(stopEditingJob())}>
+            Cancel
+          </button>
+        )}
       </div>
     </div>
   );
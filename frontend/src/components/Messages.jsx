@@ -0,0 +1,90 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { fetchMessageThreads, openThread } from "../store/slices/messageSlice";
+import Conversation from "./Conversation";
+import Spinner from "./Spinner";
+
+const Messages = () => {
+  const { threads, threadsLoaded, activeApplicationId } = useSelector(
+    (state) => state.messages
+  );
+  const { user } = useSelector((state) => state.user);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(fetchMessageThreads());
+  }, [dispatch]);
+
+  if (!threadsLoaded) {
+    return <Spinner />;
+  }
+
+  if (threads.length === 0) {
+    return (
+      <div className="account_components">
+        <h3>Messages</h3>
+        <p>
+          No conversations yet. Open an application with View Details to send
+          the first message.
+        </p>
+      </div>
+    );
+  }
+
+  const activeThread = threads.find(
+    (thread) => thread.applicationId === activeApplicationId
+  );
+
+  return (
+    <div className="account_components messages_page">
+      <h3>Messages</h3>
+      <div className="messages_layout">
+        <ul className="threads">
+          {threads.map((thread) => {
+            // Employers see who applied, job seekers see the company
+            const counterpart =
+              user && user.id === thread.employerUserId
+                ? thread.jobSeekerName
+                : thread.companyName;
+            return (
+              <li key={thread.applicationId}>
+                <button
+                  className={
+                    thread.applicationId === activeApplicationId ? "active" : ""
+                  }
+                  onClick={() => dispatch(openThread(thread.applicationId))}
+                >
+                  <strong>{counterpart}</strong>
+                  <span>{thread.jobTitle}</span>
+                  <small>{thread.lastMessage.body}</small>
+                  {thread.unreadCount > 0 && (
+                    <span className="badge">{thread.unreadCount}</span>
+                  )}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+        <div className="thread">
+          {activeThread ? (
+            <>
+              <div className="thread_header">
+                <span>{activeThread.jobTitle}</span>
+                <Link to={`/application/${activeThread.applicationId}`}>
+                  View Application
+                </Link>
+              </div>
+              <Conversation />
+            </>
+          ) : (
+            <p className="empty">Select a conversation.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Messages;
@@ -56,6 +56,12 @@ const MyApplications = () => {
                     <p className="sub-sec">
                       <span>Job Title: </span> {element.jobTitle}
                     </p>
+                    <p className="sub-sec">
+                      <span>Status: </span>
+                      <span className={`status-badge ${element.status}`}>
+                        {element.status}
+                      </span>
+                    </p>
                     <p className="sub-sec">
                       <span>Name</span> {element.jobSeekerName}
                     </p>
@@ -68,14 +74,6 @@ const MyApplications = () => {
                     <p className="sub-sec">
                       <span>Address: </span> {element.jobSeekerAddress}
                     </p>
-                    <p className="sub-sec">
-                      <span>Coverletter: </span>
-                      <textarea
-                        value={element.coverLetter}
-                        rows={5}
-                        disabled
-                      ></textarea>
-                    </p>
                     <div className="btn-wrapper">
                       <button
                         className="outline_btn"
@@ -83,6 +81,12 @@ const MyApplications = () => {
                       >
                         Delete Application
                       </button>
+                      <Link
+                        to={`/application/${element.id}`}
+                        className="outline_btn"
+                      >
+                        View Details
+                      </Link>
                       <Link
                         to={element.resumeUrl}
                         className="btn"
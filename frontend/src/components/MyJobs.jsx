@@ -6,13 +6,28 @@ import {
   deleteJob,
   getMyJobs,
   resetJobSlice,
+  startEditingJob,
+  stopEditingJob,
+  updateJobStatus,
 } from "../store/slices/jobSlice";
+import {
+  closeJobApplications,
+  viewJobApplications,
+} from "../store/slices/applicationSlice";
 import Spinner from "../components/Spinner";
+import JobPost from "./JobPost";
+import JobApplicants from "./JobApplicants";
+
+// Open jobs past their deadline stop accepting applications before the
+// archive cron picks them up
+const getJobStatusLabel = (job) =>
+  job.status === "open" && !job.acceptingApplications ? "expired" : job.status;
 
 const MyJobs = () => {
-  const { loading, error, myJobs, message } = useSelector(
+  const { loading, error, myJobs, message, editingJob } = useSelector(
     (state) => state.jobs
   );
+  const { viewingJob } = useSelector((state) => state.applications);
   const dispatch = useDispatch();
   useEffect(() => {
     if (error) {
@@ -22,14 +37,44 @@ const MyJobs = () => {
     if (message) {
       toast.success(message);
       dispatch(resetJobSlice());
+      dispatch(stopEditingJob());
     }
     dispatch(getMyJobs());
   }, [dispatch, error, message]);
 
+  useEffect(() => {
+    return () => {
+      dispatch(stopEditingJob());
+      dispatch(closeJobApplications());
+    };
+  }, [dispatch]);
+
   const handleDeleteJob = (id) => {
     dispatch(deleteJob(id));
   };
 
+  const handleEditJob = (job) => {
+    dispatch(startEditingJob(job));
+  };
+
+  const handleToggleJobStatus = (job) => {
+    dispatch(
+      updateJobStatus(job.id, job.status === "open" ? "closed" : "open")
+    );
+  };
+
+  const handleViewApplicants = (job) => {
+    dispatch(viewJobApplications(job));
+  };
+
+  if (editingJob) {
+    return <JobPost key={editingJob.id} />;
+  }
+
+  if (viewingJob) {
+    return <JobApplicants key={viewingJob.id} />;
+  }
+
   return (
     <>
       {loading ? (
@@ -49,6 +94,34 @@ const MyJobs = () => {
                     <span>Job Title: </span>
                     {element.title}
                   </p>
+                  <p className="sub-sec">
+                    <span>Status: </span>
+                    <span
+                      className={`job-status ${getJobStatusLabel(element)}`}
+                    >
+                      {getJobStatusLabel(element)}
+                    </span>
+                  </p>
+                  {element.applicationDeadline && (
+                    <p className="sub-sec">
+                      <span>Application Deadline: </span>
+                      {new Date(
+                        element.applicationDeadline
+                      ).toLocaleDateString()}
+                    </p>
+                  )}
+                  <p className="sub-sec">
+                    <span>Applicants: </span>
+                    <button
+                      className="applicant-count"
+                      onClick={() => handleViewApplicants(element)}
+                    >
+                      {element.applicationCount || 0}{" "}
+                      {element.applicationCount === 1
+                        ? "Applicant"
+                        : "Applicants"}
+                    </button>
+                  </p>
                   <p className="sub-sec">
                     <span>Job Niche:</span> {element.jobNiche}
                   </p>
@@ -61,6 +134,9 @@ const MyJobs = () => {
                   <p className="sub-sec">
                     <span>Job Type:</span> {element.jobType}
                   </p>
+                  <p className="sub-sec">
+                    <span>Work Mode:</span> {element.workMode}
+                  </p>
                   <p className="sub-sec">
                     <span>Company Name:</span> {element.companyName}
                   </p>
@@ -78,12 +154,28 @@ const MyJobs = () => {
                       <span>What Are We Offering:</span> {element.offers}
                     </p>
                   )}
-                  <button
-                    className="btn"
-                    onClick={() => handleDeleteJob(element.id)}
-                  >
-                    Delete Job
-                  </button>
+                  <div className="btn-wrapper">
+                    <button
+                      className="outline_btn"
+                      onClick={() => handleEditJob(element)}
+                    >
+                      Edit Job
+                    </button>
+                    {element.status !== "archived" && (
+                      <button
+                        className="outline_btn"
+                        onClick={() => handleToggleJobStatus(element)}
+                      >
+                        {element.status === "open" ? "Close Job" : "Reopen Job"}
+                      </button>
+                    )}
+                    <button
+                      className="btn"
+                      onClick={() => handleDeleteJob(element.id)}
+                    >
+                      Delete Job
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
@@ -1,11 +1,47 @@
-import React from "react";
-import { useSelector } from "react-redux";
+import React, { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  clearAllEmailVerificationErrors,
+  resendVerificationEmail,
+} from "../store/slices/emailVerificationSlice";
 
 const MyProfile = () => {
   const { user } = useSelector((state) => state.user);
+  const { loading, error, message } = useSelector(
+    (state) => state.emailVerification
+  );
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      dispatch(clearAllEmailVerificationErrors());
+    }
+    if (message) {
+      toast.success(message);
+      dispatch(clearAllEmailVerificationErrors());
+    }
+  }, [dispatch, error, message]);
+
   return (
     <div className="account_components">
       <h3>My Profile</h3>
+      {user && user.emailVerified === false && (
+        <div className="verify-email-notice">
+          <p>
+            Your email address is not verified. Verify it to post jobs and
+            apply for them.
+          </p>
+          <button
+            className="outline_btn"
+            onClick={() => dispatch(resendVerificationEmail())}
+            disabled={loading}
+          >
+            Resend Verification Email
+          </button>
+        </div>
+      )}
       <div>
         <label>Full Name</label>
         <input
@@ -1,10 +1,71 @@
-import React, { useState } from "react";
-import { useSelector } from "react-redux";
+import React, { useEffect, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
 import { GiHamburgerMenu } from "react-icons/gi";
+import { FaBell } from "react-icons/fa";
+import {
+  clearAllNotificationErrors,
+  fetchNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  resetNotifications,
+} from "../store/slices/notificationSlice";
 const Navbar = () => {
   const [show, setShow] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const notificationsRef = useRef(null);
   const { isAuthenticated } = useSelector((state) => state.user);
+  const { notifications, unreadCount, page, totalPages, loading, error } =
+    useSelector((state) => state.notifications);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      dispatch(fetchNotifications());
+    } else {
+      setShowNotifications(false);
+      dispatch(resetNotifications());
+    }
+  }, [dispatch, isAuthenticated]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      dispatch(clearAllNotificationErrors());
+    }
+  }, [dispatch, error]);
+
+  // Close the notification panel on any click outside of it
+  useEffect(() => {
+    if (!showNotifications) return;
+    const handleClick = (event) => {
+      if (!notificationsRef.current.contains(event.target)) {
+        setShowNotifications(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [showNotifications]);
+
+  const toggleNotifications = () => {
+    // Refresh the feed each time the panel is opened
+    if (!showNotifications) {
+      dispatch(fetchNotifications());
+    }
+    setShowNotifications(!showNotifications);
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.read) {
+      dispatch(markNotificationRead(notification.id));
+    }
+    if (notification.link) {
+      setShowNotifications(false);
+    }
+  };
+
   return (
     <>
       <nav className={show ? "navbar show_navbar" : "navbar"}>
@@ -38,6 +99,89 @@ const Navbar = () => {
             )}
           </ul>
         </div>
+        {isAuthenticated && (
+          <div className="notification_bell" ref={notificationsRef}>
+            <button
+              type="button"
+              className="bell"
+              aria-label={`Notifications, ${unreadCount} unread`}
+              onClick={toggleNotifications}
+            >
+              <FaBell />
+              {unreadCount > 0 && (
+                <span className="badge">
+                  {unreadCount > 99 ? "99+" : unreadCount}
+                </span>
+              )}
+            </button>
+            {showNotifications && (
+              <div className="notification_panel">
+                <div className="panel_header">
+                  <h4>Notifications</h4>
+                  {unreadCount > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => dispatch(markAllNotificationsRead())}
+                    >
+                      Mark all as read
+                    </button>
+                  )}
+                </div>
+                {notifications.length === 0 ? (
+                  <p className="empty">
+                    {loading ? "Loading..." : "You have no notifications."}
+                  </p>
+                ) : (
+                  <ul>
+                    {notifications.map((element) => {
+                      const content = (
+                        <>
+                          <strong>{element.title}</strong>
+                          <span>{element.message}</span>
+                          <small>
+                            {new Date(element.createdAt).toLocaleString()}
+                          </small>
+                        </>
+                      );
+                      return (
+                        <li
+                          key={element.id}
+                          className={element.read ? "" : "unread"}
+                        >
+                          {element.link ? (
+                            <Link
+                              to={element.link}
+                              onClick={() => openNotification(element)}
+                            >
+                              {content}
+                            </Link>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => openNotification(element)}
+                            >
+                              {content}
+                            </button>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+                {page < totalPages && (
+                  <button
+                    type="button"
+                    className="load_more"
+                    disabled={loading}
+                    onClick={() => dispatch(fetchNotifications(page + 1))}
+                  >
+                    {loading ? "Loading..." : "Load more"}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
         <GiHamburgerMenu className="hamburger" onClick={() => setShow(!show)} />
       </nav>
     </>
@@ -0,0 +1,126 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  clearAllNotificationSettingsErrors,
+  fetchNotificationPreferences,
+  updateNotificationPreferences,
+} from "../store/slices/notificationSettingsSlice";
+import Spinner from "./Spinner";
+
+const JOB_SEEKER_SETTINGS = [
+  {
+    key: "newsletterEmails",
+    label: "Jobs in my niches",
+    description: "New jobs posted in the niches on your profile.",
+  },
+  {
+    key: "jobAlertEmails",
+    label: "Job alerts",
+    description: "New jobs matching the searches you saved as job alerts.",
+  },
+  {
+    key: "applicationStatusEmails",
+    label: "Application updates",
+    description: "When an employer moves one of your applications forward.",
+  },
+];
+
+const COMMON_SETTINGS = [
+  {
+    key: "messageEmails",
+    label: "Messages",
+    description: "When someone messages you about an application.",
+  },
+  {
+    key: "marketingEmails",
+    label: "News and offers",
+    description: "Occasional product news and tips from JobSphere.",
+  },
+];
+
+const NotificationSettings = () => {
+  const [form, setForm] = useState(null);
+
+  const { preferences, loading, error, message } = useSelector(
+    (state) => state.notificationSettings
+  );
+  const { user } = useSelector((state) => state.user);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(fetchNotificationPreferences());
+  }, [dispatch]);
+
+  useEffect(() => {
+    setForm(preferences);
+  }, [preferences]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+    }
+    if (message) {
+      toast.success(message);
+    }
+    if (error || message) {
+      dispatch(clearAllNotificationSettingsErrors());
+    }
+  }, [dispatch, error, message]);
+
+  const handleChange = (key, value) => {
+    setForm({ ...form, [key]: value });
+  };
+
+  const handleSave = () => {
+    dispatch(updateNotificationPreferences(form));
+  };
+
+  if (!form) {
+    return loading ? <Spinner /> : null;
+  }
+
+  const settings =
+    user && user.role === "Job Seeker"
+      ? [...JOB_SEEKER_SETTINGS, ...COMMON_SETTINGS]
+      : COMMON_SETTINGS;
+
+  return (
+    <div className="account_components notification_settings">
+      <h3>Notification Settings</h3>
+      {settings.map((setting) => (
+        <div className="setting" key={setting.key}>
+          <label>
+            <input
+              type="checkbox"
+              checked={form[setting.key]}
+              onChange={(e) => handleChange(setting.key, e.target.checked)}
+            />
+            {setting.label}
+          </label>
+          <p>{setting.description}</p>
+          {setting.key === "newsletterEmails" && form.newsletterEmails && (
+            <select
+              value={form.newsletterFrequency}
+              onChange={(e) =>
+                handleChange("newsletterFrequency", e.target.value)
+              }
+            >
+              <option value="instant">As soon as a job is posted</option>
+              <option value="daily">Daily digest</option>
+              <option value="weekly">Weekly digest</option>
+            </select>
+          )}
+        </div>
+      ))}
+      <div className="save_change_btn_wrapper">
+        <button className="btn" onClick={handleSave} disabled={loading}>
+          Save Settings
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
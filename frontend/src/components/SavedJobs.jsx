@@ -0,0 +1,105 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { Link } from "react-router-dom";
+import {
+  clearAllSavedJobErrors,
+  fetchSavedJobs,
+  unsaveJob,
+} from "../store/slices/savedJobSlice";
+import Spinner from "./Spinner";
+
+const AVAILABILITY_LABELS = {
+  open: "Accepting Applications",
+  expired: "Deadline Passed",
+  closed: "Closed",
+  archived: "Archived",
+  deleted: "No Longer Available",
+};
+
+const SavedJobs = () => {
+  const { savedJobs, loading, error, message } = useSelector(
+    (state) => state.savedJobs
+  );
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(fetchSavedJobs());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+    }
+    if (message) {
+      toast.success(message);
+    }
+    if (error || message) {
+      dispatch(clearAllSavedJobErrors());
+    }
+  }, [dispatch, error, message]);
+
+  const handleRemove = (savedJob) => {
+    // Deleted jobs no longer have a job ID, so remove them by entry ID
+    dispatch(unsaveJob(savedJob.jobId || savedJob.id));
+  };
+
+  return (
+    <div className="account_components">
+      <h3>Saved Jobs</h3>
+      {loading ? (
+        <Spinner />
+      ) : savedJobs && savedJobs.length <= 0 ? (
+        <h1 style={{ fontSize: "1.4rem", fontWeight: "600" }}>
+          You have not saved any jobs yet.
+        </h1>
+      ) : (
+        <div className="applications_container">
+          {savedJobs.map((element) => (
+            <div className="card" key={element.id}>
+              <p className="sub-sec">
+                <span>Availability: </span>
+                <span className={`availability ${element.availability}`}>
+                  {AVAILABILITY_LABELS[element.availability]}
+                </span>
+              </p>
+              <p className="sub-sec">
+                <span>Job Title: </span>
+                {element.job ? element.job.title : element.jobTitle}
+              </p>
+              <p className="sub-sec">
+                <span>Company: </span>
+                {element.job ? element.job.companyName : element.companyName}
+              </p>
+              {element.job && (
+                <p className="sub-sec">
+                  <span>Location: </span> {element.job.location}
+                </p>
+              )}
+              <p className="sub-sec">
+                <span>Saved On: </span>
+                {new Date(element.savedAt).toLocaleDateString()}
+              </p>
+              <div className="btn-wrapper">
+                <button
+                  className="outline_btn"
+                  onClick={() => handleRemove(element)}
+                >
+                  Remove
+                </button>
+                {element.availability === "open" && (
+                  <Link to={`/post/application/${element.jobId}`} className="btn">
+                    Apply Now
+                  </Link>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedJobs;
@@ -0,0 +1,57 @@
+import axios from "axios";
+import API_BASE_URL from "./api.js";
+
+// Requests that must never trigger a refresh themselves
+const AUTH_URLS = ["/user/login", "/user/register", "/user/refresh"];
+
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token cookie for a new access token. Concurrent
+ * callers share one request so the rotating refresh token is used only once.
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/user/refresh`, {}, { withCredentials: true })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Retry requests that failed with 401 once, after transparently refreshing
+ * the short-lived access token. Installed on the default axios instance so
+ * every slice benefits without changes.
+ */
+export const setupAuthInterceptor = () => {
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const request = error.config;
+
+      if (
+        !request ||
+        request._retried ||
+        error.response?.status !== 401 ||
+        AUTH_URLS.some((url) => request.url?.includes(url))
+      ) {
+        return Promise.reject(error);
+      }
+
+      request._retried = true;
+
+      try {
+        await refreshAccessToken();
+      } catch (refreshError) {
+        return Promise.reject(error);
+      }
+
+      return axios(request);
+    }
+  );
+};
+
+export default setupAuthInterceptor;
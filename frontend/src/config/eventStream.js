@@ -0,0 +1,88 @@
+import API_BASE_URL from "./api.js";
+import { refreshAccessToken } from "./authInterceptor.js";
+import {
+  receiveApplication,
+  receiveApplicationStatus,
+} from "../store/slices/applicationSlice";
+import { receiveInterview } from "../store/slices/interviewSlice";
+import { receiveJobStatus } from "../store/slices/jobSlice";
+import {
+  receiveMessage,
+  receiveMessagesRead,
+} from "../store/slices/messageSlice";
+import {
+  fetchNotifications,
+  receiveNotification,
+} from "../store/slices/notificationSlice";
+
+// Wait before reconnecting a stream the server refused, e.g. with an
+// expired access token
+const RECONNECT_DELAY_MS = 5000;
+
+// Server event name -> action creator merging its data into the store
+const EVENT_HANDLERS = {
+  "application:new": (data) => receiveApplication(data.application),
+  "application:status": (data) => receiveApplicationStatus(data),
+  "interview:updated": (data) => receiveInterview(data.interview),
+  "job:status": (data) => receiveJobStatus(data),
+  "message:new": (data) => receiveMessage(data.message),
+  "message:read": (data) => receiveMessagesRead(data),
+  notification: (data) => receiveNotification(data),
+};
+
+/**
+ * Subscribe the logged in user to live updates from the server and merge
+ * them into the store. Returns a function that closes the stream.
+ */
+export const connectEventStream = (dispatch) => {
+  let source = null;
+  let reconnectTimer = null;
+  let connectedBefore = false;
+  let closed = false;
+
+  const connect = () => {
+    source = new EventSource(`${API_BASE_URL}/events`, {
+      withCredentials: true,
+    });
+
+    source.addEventListener("ready", () => {
+      // Events sent while disconnected are lost, so catch up on the feed
+      if (connectedBefore) {
+        dispatch(fetchNotifications());
+      }
+      connectedBefore = true;
+    });
+
+    Object.entries(EVENT_HANDLERS).forEach(([event, handler]) => {
+      source.addEventListener(event, (messageEvent) => {
+        dispatch(handler(JSON.parse(messageEvent.data)));
+      });
+    });
+
+    source.onerror = () => {
+      // The browser retries dropped connections by itself, but gives up
+      // once the server answers with an error such as 401
+      if (source.readyState !== EventSource.CLOSED || closed) return;
+
+      reconnectTimer = setTimeout(async () => {
+        try {
+          await refreshAccessToken();
+        } catch (error) {
+          // The session is gone; the next login opens a new stream
+          if (error.response?.status === 401) return;
+        }
+        if (!closed) connect();
+      }, RECONNECT_DELAY_MS);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    source.close();
+  };
+};
+
+export default connectEventStream;
@@ -3,6 +3,9 @@ import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import {Provider} from "react-redux"
 import store from "./store/store.js"
+import { setupAuthInterceptor } from "./config/authInterceptor.js"
+
+setupAuthInterceptor()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <Provider store={store}>
@@ -0,0 +1,202 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import {
+  clearAllApplicationErrors,
+  fetchApplicationDetail,
+  resetApplicationSlice,
+  updateApplicationStatus,
+} from "../store/slices/applicationSlice";
+import { openInterviews } from "../store/slices/interviewSlice";
+import { openThread } from "../store/slices/messageSlice";
+import Conversation from "../components/Conversation";
+import Interviews from "../components/Interviews";
+import Spinner from "../components/Spinner";
+
+const formatDate = (date) => new Date(date).toLocaleString();
+
+const ApplicationDetail = () => {
+  const { id } = useParams();
+  const { applicationDetail, statusHistory, loading, error, message } =
+    useSelector((state) => state.applications);
+  const { user } = useSelector((state) => state.user);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(fetchApplicationDetail(id));
+    dispatch(openThread(id));
+    dispatch(openInterviews(id));
+  }, [dispatch, id]);
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      dispatch(clearAllApplicationErrors());
+    }
+    if (message) {
+      toast.success(message);
+      dispatch(resetApplicationSlice());
+      dispatch(fetchApplicationDetail(id));
+    }
+  }, [dispatch, error, message, id]);
+
+  const handleStatusChange = (status) => {
+    if (status) {
+      dispatch(updateApplicationStatus(id, status));
+    }
+  };
+
+  // Ignore a previously viewed application until the new one has loaded
+  const application =
+    applicationDetail && String(applicationDetail.id) === String(id)
+      ? applicationDetail
+      : null;
+
+  if (loading && !application) {
+    return <Spinner />;
+  }
+
+  if (!application) {
+    return (
+      <section className="application_detail">
+        <h3>Application not available</h3>
+        <Link to="/dashboard" className="btn">
+          Back To Dashboard
+        </Link>
+      </section>
+    );
+  }
+
+  const isEmployer = user && user.id === application.employerUserId;
+
+  return (
+    <section className="application_detail">
+      <header>
+        <h3>
+          {application.job ? application.job.title : application.jobTitle}
+        </h3>
+        <span className={`status-badge ${application.status}`}>
+          {application.status}
+        </span>
+      </header>
+
+      {application.job && (
+        <div className="detail-block">
+          <h4>Job</h4>
+          <p>
+            <span>Company:</span>{" "}
+            {application.job.companyId ? (
+              <Link to={`/company/${application.job.companyId}`}>
+                {application.job.companyName}
+              </Link>
+            ) : (
+              application.job.companyName
+            )}
+          </p>
+          <p>
+            <span>Location:</span> {application.job.location}
+          </p>
+          <p>
+            <span>Salary:</span> {application.job.salary}
+          </p>
+        </div>
+      )}
+
+      <div className="detail-block">
+        <h4>Applicant</h4>
+        <p>
+          <span>Name:</span> {application.jobSeekerName}
+        </p>
+        <p>
+          <span>Email:</span> {application.jobSeekerEmail}
+        </p>
+        <p>
+          <span>Phone:</span> {application.jobSeekerPhone}
+        </p>
+        <p>
+          <span>Address:</span> {application.jobSeekerAddress}
+        </p>
+        <p>
+          <span>Applied On:</span> {formatDate(application.createdAt)}
+        </p>
+        {application.resumeUrl && (
+          <Link to={application.resumeUrl} className="btn" target="_blank">
+            View Resume
+          </Link>
+        )}
+      </div>
+
+      {application.employer && (
+        <div className="detail-block">
+          <h4>Employer</h4>
+          <p>
+            <span>Name:</span> {application.employer.name}
+          </p>
+          <p>
+            <span>Email:</span> {application.employer.email}
+          </p>
+        </div>
+      )}
+
+      <div className="detail-block">
+        <h4>Cover Letter</h4>
+        <p className="cover-letter">{application.coverLetter}</p>
+      </div>
+
+      <div className="detail-block">
+        <h4>Status History</h4>
+        <ul className="status-history">
+          {statusHistory.map((entry) => (
+            <li key={entry.id}>
+              <span className={`status-badge ${entry.toStatus}`}>
+                {entry.toStatus}
+              </span>
+              <span>
+                {formatDate(entry.createdAt)}
+                {entry.changedBy && entry.changedBy.name
+                  ? ` by ${entry.changedBy.name}`
+                  : ""}
+              </span>
+              {entry.note && <p>{entry.note}</p>}
+            </li>
+          ))}
+        </ul>
+        {isEmployer && application.nextStatuses.length > 0 && (
+          <div className="status-select">
+            <label>Move To Stage</label>
+            <select
+              value=""
+              disabled={loading}
+              onChange={(e) => handleStatusChange(e.target.value)}
+            >
+              <option value="">Select Next Stage</option>
+              {application.nextStatuses.map((status) => (
+                <option value={status} key={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="detail-block">
+        <h4>Interviews</h4>
+        <Interviews />
+      </div>
+
+      <div className="detail-block">
+        <h4>Messages</h4>
+        <Conversation />
+      </div>
+
+      <Link to="/dashboard" className="outline_btn">
+        Back To Dashboard
+      </Link>
+    </section>
+  );
+};
+
+export default ApplicationDetail;
@@ -0,0 +1,91 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useParams } from "react-router-dom";
+import { fetchCompany } from "../store/slices/companySlice";
+import Spinner from "../components/Spinner";
+
+const Company = () => {
+  const { id } = useParams();
+  const { company, jobs, loading } = useSelector((state) => state.companies);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(fetchCompany(id));
+  }, [dispatch, id]);
+
+  // Ignore a previously viewed company until the new one has loaded
+  const current = company && company.id === id ? company : null;
+
+  if (loading && !current) {
+    return <Spinner />;
+  }
+
+  if (!current) {
+    return (
+      <section className="company_page">
+        <h3>Company not found</h3>
+        <Link to="/jobs" className="btn">
+          Browse Jobs
+        </Link>
+      </section>
+    );
+  }
+
+  return (
+    <section className="company_page">
+      <header>
+        {current.logoUrl && <img src={current.logoUrl} alt={current.name} />}
+        <div>
+          <h3>{current.name}</h3>
+          <p>
+            {[
+              current.headquartersCity,
+              current.size && `${current.size} employees`,
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+          </p>
+          {current.website && (
+            <a href={current.website} target="_blank" rel="noreferrer">
+              {current.website}
+            </a>
+          )}
+        </div>
+      </header>
+
+      {current.description && (
+        <div className="detail-block">
+          <h4>About</h4>
+          <p className="description">{current.description}</p>
+        </div>
+      )}
+
+      <div className="detail-block">
+        <h4>Open Jobs</h4>
+        {jobs.length === 0 ? (
+          <p>No open jobs right now.</p>
+        ) : (
+          <ul className="company_jobs">
+            {jobs.map((job) => (
+              <li key={job.id}>
+                <div>
+                  <p className="title">{job.title}</p>
+                  <p>
+                    {job.location} · {job.workMode} · {job.jobType}
+                  </p>
+                  <p>{job.salary}</p>
+                </div>
+                <Link className="btn" to={`/post/application/${job.id}`}>
+                  Apply Now
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default Company;
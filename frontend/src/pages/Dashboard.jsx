@@ -2,7 +2,11 @@ import React, { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-toastify";
-import { logout, clearAllUserErrors } from "../store/slices/userSlice";
+import {
+  logout,
+  logoutAllDevices,
+  clearAllUserErrors,
+} from "../store/slices/userSlice";
 import { LuMoveRight } from "react-icons/lu";
 import MyProfile from "../components/MyProfile";
 import UpdateProfile from "../components/UpdateProfile";
@@ -11,6 +15,11 @@ import MyJobs from "../components/MyJobs";
 import JobPost from "../components/JobPost";
 import Applications from "../components/Applications";
 import MyApplications from "../components/MyApplications";
+import SavedJobs from "../components/SavedJobs";
+import JobAlerts from "../components/JobAlerts";
+import NotificationSettings from "../components/NotificationSettings";
+import Messages from "../components/Messages";
+import CompanyProfile from "../components/CompanyProfile";
 
 const Dashboard = () => {
   const [show, setShow] = useState(false);
@@ -28,6 +37,11 @@ const Dashboard = () => {
     toast.success("Logged out successfully.");
     navigateTo('/');
   };
+  const handleLogoutAllDevices = () => {
+    dispatch(logoutAllDevices());
+    toast.success("Logged out from all devices.");
+    navigateTo('/');
+  };
   useEffect(() => {
     if (error) {
       toast.error(error);
@@ -81,7 +95,39 @@ const Dashboard = () => {
                   Update Password
                 </button>
               </li>
+              <li>
+                <button
+                  onClick={() => {
+                    setComponentName("Messages");
+                    setShow(!show);
+                  }}
+                >
+                  Messages
+                </button>
+              </li>
+              <li>
+                <button
+                  onClick={() => {
+                    setComponentName("Notification Settings");
+                    setShow(!show);
+                  }}
+                >
+                  Notification Settings
+                </button>
+              </li>
 
+              {user && user.role === "Employer" && (
+                <li>
+                  <button
+                    onClick={() => {
+                      setComponentName("Company Profile");
+                      setShow(!show);
+                    }}
+                  >
+                    Company Profile
+                  </button>
+                </li>
+              )}
               {user && user.role === "Employer" && (
                 <li>
                   <button
@@ -130,9 +176,38 @@ const Dashboard = () => {
                   </button>
                 </li>
               )}
+              {user && user.role === "Job Seeker" && (
+                <li>
+                  <button
+                    onClick={() => {
+                      setComponentName("Saved Jobs");
+                      setShow(!show);
+                    }}
+                  >
+                    Saved Jobs
+                  </button>
+                </li>
+              )}
+              {user && user.role === "Job Seeker" && (
+                <li>
+                  <button
+                    onClick={() => {
+                      setComponentName("Job Alerts");
+                      setShow(!show);
+                    }}
+                  >
+                    Job Alerts
+                  </button>
+                </li>
+              )}
               <li>
                 <button onClick={handleLogout}>Logout</button>
               </li>
+              <li>
+                <button onClick={handleLogoutAllDevices}>
+                  Logout All Devices
+                </button>
+              </li>
             </ul>
           </div>
           <div className="banner">
@@ -169,6 +244,16 @@ const Dashboard = () => {
                 case "My Applications":
                   return <MyApplications />;
                   break;
+                case "Saved Jobs":
+                  return <SavedJobs />;
+                case "Job Alerts":
+                  return <JobAlerts />;
+                case "Notification Settings":
+                  return <NotificationSettings />;
+                case "Messages":
+                  return <Messages />;
+                case "Company Profile":
+                  return <CompanyProfile />;
 
                 default:
                   <MyProfile />;
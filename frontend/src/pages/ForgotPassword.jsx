@@ -0,0 +1,67 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { MdOutlineMailOutline } from "react-icons/md";
+import {
+  clearAllForgotResetPasswordErrors,
+  forgotPassword,
+} from "../store/slices/forgotResetPasswordSlice";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+
+  const { loading, error, message } = useSelector(
+    (state) => state.forgotPassword
+  );
+
+  const dispatch = useDispatch();
+
+  const handleForgotPassword = (e) => {
+    e.preventDefault();
+    dispatch(forgotPassword(email));
+  };
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      dispatch(clearAllForgotResetPasswordErrors());
+    }
+    if (message) {
+      toast.success(message);
+      dispatch(clearAllForgotResetPasswordErrors());
+    }
+  }, [dispatch, error, message]);
+
+  return (
+    <>
+      <section className="authPage">
+        <div className="container login-container">
+          <div className="header">
+            <h3>Forgot your password?</h3>
+          </div>
+          <form onSubmit={handleForgotPassword}>
+            <div className="inputTag">
+              <label>Email</label>
+              <div>
+                <input
+                  type="email"
+                  placeholder="youremail@gmail.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+                <MdOutlineMailOutline />
+              </div>
+            </div>
+            <button type="submit" disabled={loading}>
+              Send Reset Link
+            </button>
+            <Link to={"/login"}>Back To Login</Link>
+          </form>
+        </div>
+      </section>
+    </>
+  );
+};
+
+export default ForgotPassword;
@@ -2,26 +2,113 @@ import React, { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { toast } from "react-toastify";
 import { clearAllJobErrors, fetchJobs } from "../store/slices/jobSlice";
+import {
+  clearAllSavedJobErrors,
+  fetchSavedJobs,
+  saveJob,
+  unsaveJob,
+} from "../store/slices/savedJobSlice";
+import {
+  clearAllJobAlertErrors,
+  createJobAlert,
+} from "../store/slices/jobAlertSlice";
 import Spinner from "../components/Spinner";
-import { FaSearch } from "react-icons/fa";
+import { FaBookmark, FaRegBookmark, FaSearch } from "react-icons/fa";
 import { Link } from "react-router-dom";
 
+// Yearly salary slider bounds in INR. The top of the range means "and above".
+const SALARY_SLIDER_MAX = 5000000;
+const SALARY_SLIDER_STEP = 100000;
+
+const formatSalaryBound = (amount) =>
+  `Rs. ${amount.toLocaleString("en-IN")}${
+    amount === SALARY_SLIDER_MAX ? "+" : ""
+  }`;
+
 const Jobs = () => {
   const [city, setCity] = useState("");
   const [selectedCity, setSelectedCity] = useState("");
   const [niche, setNiche] = useState("");
   const [selectedNiche, setSelectedNiche] = useState("");
   const [searchKeyword, setSearchKeyword] = useState("");
+  const [jobType, setJobType] = useState("All");
+  const [workMode, setWorkMode] = useState("All");
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState("newest");
+  const [alertFrequency, setAlertFrequency] = useState("daily");
+  // The slider moves freely and only filters once released
+  const [salaryRange, setSalaryRange] = useState([0, SALARY_SLIDER_MAX]);
+  const [appliedSalaryRange, setAppliedSalaryRange] = useState([
+    0,
+    SALARY_SLIDER_MAX,
+  ]);
 
-  const { jobs, loading, error } = useSelector((state) => state.jobs);
+  const { jobs, loading, error, totalJobs, totalPages } = useSelector(
+    (state) => state.jobs
+  );
+  const { isAuthenticated, user } = useSelector((state) => state.user);
+  const {
+    savedJobs,
+    error: savedJobError,
+    message: savedJobMessage,
+  } = useSelector((state) => state.savedJobs);
+  const { error: jobAlertError, message: jobAlertMessage } = useSelector(
+    (state) => state.jobAlerts
+  );
+  const canSaveJobs = isAuthenticated && user && user.role === "Job Seeker";
+  const savedJobIds = new Set(savedJobs.map((savedJob) => savedJob.jobId));
 
   const handleCityChange = (city) => {
     setCity(city);
     setSelectedCity(city);
+    setPage(1);
   };
   const handleNicheChange = (niche) => {
     setNiche(niche);
     setSelectedNiche(niche);
+    setPage(1);
+  };
+  const handleJobTypeChange = (jobType) => {
+    setJobType(jobType);
+    setPage(1);
+  };
+  const handleWorkModeChange = (workMode) => {
+    setWorkMode(workMode);
+    setPage(1);
+  };
+  const handleSortChange = (sort) => {
+    setSort(sort);
+    setPage(1);
+  };
+  const handleSalaryRangeChange = (index, value) => {
+    const range = [...salaryRange];
+    range[index] = Number(value);
+    // Keep the thumbs from crossing
+    if (index === 0) range[0] = Math.min(range[0], range[1]);
+    if (index === 1) range[1] = Math.max(range[0], range[1]);
+    setSalaryRange(range);
+  };
+  const applySalaryRange = () => {
+    if (
+      salaryRange[0] !== appliedSalaryRange[0] ||
+      salaryRange[1] !== appliedSalaryRange[1]
+    ) {
+      setAppliedSalaryRange(salaryRange);
+      setPage(1);
+    }
+  };
+
+  const getFilters = () => {
+    const [minSalary, maxSalary] = appliedSalaryRange;
+    const filters = {};
+    if (jobType !== "All") filters.jobType = jobType;
+    if (workMode !== "All") filters.workMode = workMode;
+    if (minSalary > 0) filters.minSalary = minSalary;
+    if (maxSalary < SALARY_SLIDER_MAX) filters.maxSalary = maxSalary;
+    if (minSalary > 0 || maxSalary < SALARY_SLIDER_MAX) {
+      filters.currency = "INR";
+    }
+    return filters;
   };
 
   const dispatch = useDispatch();
@@ -31,13 +118,108 @@ const Jobs = () => {
       toast.error(error);
       dispatch(clearAllJobErrors());
     }
-    dispatch(fetchJobs(city, niche, searchKeyword));
-  }, [dispatch, error, city, niche]);
+    dispatch(fetchJobs(city, niche, searchKeyword, page, sort, getFilters()));
+  }, [
+    dispatch,
+    error,
+    city,
+    niche,
+    page,
+    sort,
+    jobType,
+    workMode,
+    appliedSalaryRange,
+  ]);
+
+  useEffect(() => {
+    if (canSaveJobs) {
+      dispatch(fetchSavedJobs());
+    }
+  }, [dispatch, canSaveJobs]);
+
+  useEffect(() => {
+    if (savedJobError) {
+      toast.error(savedJobError);
+    }
+    if (savedJobMessage) {
+      toast.success(savedJobMessage);
+    }
+    if (savedJobError || savedJobMessage) {
+      dispatch(clearAllSavedJobErrors());
+    }
+  }, [dispatch, savedJobError, savedJobMessage]);
+
+  useEffect(() => {
+    if (jobAlertError) {
+      toast.error(jobAlertError);
+    }
+    if (jobAlertMessage) {
+      toast.success(jobAlertMessage);
+    }
+    if (jobAlertError || jobAlertMessage) {
+      dispatch(clearAllJobAlertErrors());
+    }
+  }, [dispatch, jobAlertError, jobAlertMessage]);
+
+  // Saves the current search and filters as an email alert
+  const handleCreateJobAlert = () => {
+    const { jobType, workMode, minSalary, currency } = getFilters();
+    dispatch(
+      createJobAlert({
+        keyword: searchKeyword,
+        location: city,
+        jobNiche: niche,
+        jobType,
+        workMode,
+        minSalary,
+        salaryCurrency: currency,
+        frequency: alertFrequency,
+      })
+    );
+  };
+
+  const handleToggleSavedJob = (jobId) => {
+    if (savedJobIds.has(jobId)) {
+      dispatch(unsaveJob(jobId));
+    } else {
+      dispatch(saveJob(jobId));
+    }
+  };
 
   const handleSearch = () => {
-    dispatch(fetchJobs(city, niche, searchKeyword));
+    // Searching switches to best-match ordering
+    const searchSort = searchKeyword ? "relevance" : sort;
+    if (page === 1 && sort === searchSort) {
+      dispatch(
+        fetchJobs(city, niche, searchKeyword, page, sort, getFilters())
+      );
+    } else {
+      setSort(searchSort);
+      setPage(1);
+    }
   };
 
+  const sortOptions = [
+    { value: "relevance", label: "Best Match" },
+    { value: "newest", label: "Newest First" },
+    { value: "oldest", label: "Oldest First" },
+    { value: "title", label: "Job Title (A-Z)" },
+    { value: "company", label: "Company (A-Z)" },
+    { value: "salary", label: "Highest Salary" },
+  ];
+
+  const jobTypes = [
+    "All",
+    "Full-time",
+    "Part-time",
+    "Internship",
+    "Contract",
+    "Temporary",
+    "Freelance",
+  ];
+
+  const workModes = ["All", "On-site", "Remote", "Hybrid"];
+
   const cities = [
     "All",
     "Mumbai",
@@ -96,6 +278,34 @@ const Jobs = () => {
           </div>
           <div className="wrapper">
             <div className="filter-bar">
+              <div className="salary-range">
+                <h2>Filter Job By Salary (Yearly)</h2>
+                <div className="range-slider">
+                  {salaryRange.map((value, index) => (
+                    <input
+                      key={index}
+                      type="range"
+                      min="0"
+                      max={SALARY_SLIDER_MAX}
+                      step={SALARY_SLIDER_STEP}
+                      value={value}
+                      aria-label={
+                        index === 0 ? "Minimum salary" : "Maximum salary"
+                      }
+                      onChange={(e) =>
+                        handleSalaryRangeChange(index, e.target.value)
+                      }
+                      onMouseUp={applySalaryRange}
+                      onTouchEnd={applySalaryRange}
+                      onKeyUp={applySalaryRange}
+                    />
+                  ))}
+                </div>
+                <p>
+                  {formatSalaryBound(salaryRange[0])} -{" "}
+                  {formatSalaryBound(salaryRange[1])}
+                </p>
+              </div>
               <div className="cities">
                 <h2>Filter Job By City</h2>
                 {cities.map((city, index) => (
@@ -114,6 +324,38 @@ const Jobs = () => {
                   </>
                 ))}
               </div>
+              <div className="cities">
+                <h2>Filter Job By Type</h2>
+                {jobTypes.map((type) => (
+                  <div key={type}>
+                    <input
+                      type="radio"
+                      id={`type-${type}`}
+                      name="jobType"
+                      value={type}
+                      checked={jobType === type}
+                      onChange={() => handleJobTypeChange(type)}
+                    />
+                    <label htmlFor={`type-${type}`}>{type}</label>
+                  </div>
+                ))}
+              </div>
+              <div className="cities">
+                <h2>Filter Job By Work Mode</h2>
+                {workModes.map((mode) => (
+                  <div key={mode}>
+                    <input
+                      type="radio"
+                      id={`mode-${mode}`}
+                      name="workMode"
+                      value={mode}
+                      checked={workMode === mode}
+                      onChange={() => handleWorkModeChange(mode)}
+                    />
+                    <label htmlFor={`mode-${mode}`}>{mode}</label>
+                  </div>
+                ))}
+              </div>
               <div className="cities">
                 <h2>Filter Job By Niche</h2>
                 {nichesArray.map((niche, index) => (
@@ -133,7 +375,9 @@ const Jobs = () => {
             </div>
             <div className="container">
               <div className="mobile-filter">
-                <select value={city} onChange={(e) => setCity(e.target.value)}>
+                <select
+                  value={city}
+                  onChange={(e) => handleCityChange(e.target.value)}>
                   <option value="">Filter By City</option>
                   {cities.map((city, index) => (
                     <option value={city} key={index}>
@@ -143,7 +387,7 @@ const Jobs = () => {
                 </select>
                 <select
                   value={niche}
-                  onChange={(e) => setNiche(e.target.value)}>
+                  onChange={(e) => handleNicheChange(e.target.value)}>
                   <option value="">Filter By Niche</option>
                   {nichesArray.map((niche, index) => (
                     <option value={niche} key={index}>
@@ -151,12 +395,73 @@ const Jobs = () => {
                     </option>
                   ))}
                 </select>
+                <select
+                  value={jobType}
+                  onChange={(e) => handleJobTypeChange(e.target.value)}>
+                  {jobTypes.map((type) => (
+                    <option value={type} key={type}>
+                      {type === "All" ? "Filter By Type" : type}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={workMode}
+                  onChange={(e) => handleWorkModeChange(e.target.value)}>
+                  {workModes.map((mode) => (
+                    <option value={mode} key={mode}>
+                      {mode === "All" ? "Filter By Work Mode" : mode}
+                    </option>
+                  ))}
+                </select>
               </div>
+              <div className="sort-bar">
+                <p>
+                  {totalJobs} {totalJobs === 1 ? "job" : "jobs"} found
+                </p>
+                <select
+                  value={sort}
+                  onChange={(e) => handleSortChange(e.target.value)}>
+                  {sortOptions.map((option) => (
+                    <option value={option.value} key={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {canSaveJobs && (
+                <div className="job-alert-bar">
+                  <p>Get emailed when new jobs match this search</p>
+                  <select
+                    value={alertFrequency}
+                    onChange={(e) => setAlertFrequency(e.target.value)}>
+                    <option value="instant">Instantly</option>
+                    <option value="daily">Daily Digest</option>
+                    <option value="weekly">Weekly Digest</option>
+                  </select>
+                  <button onClick={handleCreateJobAlert}>Create Alert</button>
+                </div>
+              )}
               <div className="jobs_container">
                 {jobs && jobs.length > 0 ? (
                   jobs.map((element) => {
                     return (
                       <div className="card" key={element.id}>
+                        {canSaveJobs && (
+                          <button
+                            className="bookmark"
+                            title={
+                              savedJobIds.has(element.id)
+                                ? "Remove from saved jobs"
+                                : "Save job"
+                            }
+                            onClick={() => handleToggleSavedJob(element.id)}>
+                            {savedJobIds.has(element.id) ? (
+                              <FaBookmark />
+                            ) : (
+                              <FaRegBookmark />
+                            )}
+                          </button>
+                        )}
                         {element.hiringMultipleCandidates === "Yes" ? (
                           <p className="hiring-multiple">
                             Hiring Multiple Candidates
@@ -165,15 +470,45 @@ const Jobs = () => {
                           <p className="hiring">Hiring</p>
                         )}
                         <p className="title">{element.title}</p>
-                        <p className="company">{element.companyName}</p>
-                        <p className="location">{element.location}</p>
+                        <p className="company">
+                          {element.companyId ? (
+                            <Link to={`/company/${element.companyId}`}>
+                              {element.companyName}
+                            </Link>
+                          ) : (
+                            element.companyName
+                          )}
+                        </p>
+                        <p className="location">
+                          {element.location} · {element.workMode} ·{" "}
+                          {element.jobType}
+                        </p>
+                        {element.searchSnippet && (
+                          <p className="snippet">
+                            {element.searchSnippet.map((segment, index) =>
+                              segment.highlight ? (
+                                <mark key={index}>{segment.text}</mark>
+                              ) : (
+                                <span key={index}>{segment.text}</span>
+                              )
+                            )}
+                          </p>
+                        )}
                         <p className="salary">
-                          <span>Salary:</span> Rs. {element.salary}
+                          <span>Salary:</span> {element.salary}
                         </p>
                         <p className="posted">
                           <span>Posted On:</span>{" "}
                           {element.jobPostedOn.substring(0, 10)}
                         </p>
+                        {element.applicationDeadline && (
+                          <p className="posted">
+                            <span>Apply By:</span>{" "}
+                            {new Date(
+                              element.applicationDeadline
+                            ).toLocaleDateString()}
+                          </p>
+                        )}
                         <div className="btn-wrapper">
                           <Link
                             className="btn"
@@ -220,6 +555,25 @@ const Jobs = () => {
                   </div>
                 )}
               </div>
+              {totalPages > 1 && (
+                <div className="pagination">
+                  <button
+                    className="outline_btn"
+                    disabled={page <= 1}
+                    onClick={() => setPage(page - 1)}>
+                    Previous
+                  </button>
+                  <p>
+                    Page {page} of {totalPages}
+                  </p>
+                  <button
+                    className="outline_btn"
+                    disabled={page >= totalPages}
+                    onClick={() => setPage(page + 1)}>
+                    Next
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </section>
@@ -84,6 +84,7 @@ const Login = () => {
             <button type="submit" disabled={loading}>
               Login
             </button>
+            <Link to={"/password/forgot"}>Forgot Password?</Link>
             <Link to={"/register"}>Register Now</Link>
           </form>
         </div>
@@ -9,7 +9,7 @@ import {
 import { toast } from "react-toastify";
 import { fetchSingleJob } from "../store/slices/jobSlice";
 import { IoMdCash } from "react-icons/io";
-import { FaToolbox } from "react-icons/fa";
+import { FaLaptopHouse, FaToolbox } from "react-icons/fa";
 import { FaLocationDot } from "react-icons/fa6";
 
 const PostApplication = () => {
@@ -141,17 +141,27 @@ const PostApplication = () => {
             </>
           )}
 
-          {isAuthenticated && user.role === "Job Seeker" && (
-            <div style={{ alignItems: "flex-end" }}>
-              <button
-                className="btn"
-                onClick={handlePostApplication}
-                disabled={loading}
-              >
-                Apply
-              </button>
-            </div>
-          )}
+          {isAuthenticated &&
+            user.role === "Job Seeker" &&
+            singleJob.acceptingApplications === false && (
+              <p className="closed-notice">
+                This job is no longer accepting applications.
+              </p>
+            )}
+
+          {isAuthenticated &&
+            user.role === "Job Seeker" &&
+            singleJob.acceptingApplications !== false && (
+              <div style={{ alignItems: "flex-end" }}>
+                <button
+                  className="btn"
+                  onClick={handlePostApplication}
+                  disabled={loading}
+                >
+                  Apply
+                </button>
+              </div>
+            )}
         </form>
 
         <div className="job-details">
@@ -163,7 +173,7 @@ const PostApplication = () => {
               </Link>
             )}
             <p>{singleJob.location}</p>
-            <p>Rs. {singleJob.salary} a month</p>
+            <p>{singleJob.salary}</p>
           </header>
           <hr />
           <section>
@@ -173,7 +183,7 @@ const PostApplication = () => {
                 <IoMdCash />
                 <div>
                   <span>Pay</span>
-                  <span>{singleJob.salary} a month</span>
+                  <span>{singleJob.salary}</span>
                 </div>
               </div>
               <div>
@@ -183,6 +193,13 @@ const PostApplication = () => {
                   <span>{singleJob.jobType}</span>
                 </div>
               </div>
+              <div>
+                <FaLaptopHouse />
+                <div>
+                  <span>Work mode</span>
+                  <span>{singleJob.workMode}</span>
+                </div>
+              </div>
             </div>
             <hr />
             <div className="wrapper">
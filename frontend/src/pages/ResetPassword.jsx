@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { RiLock2Fill } from "react-icons/ri";
+import {
+  clearAllForgotResetPasswordErrors,
+  resetPassword,
+} from "../store/slices/forgotResetPasswordSlice";
+
+const ResetPassword = () => {
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const { token } = useParams();
+  const { loading, error, message } = useSelector(
+    (state) => state.forgotPassword
+  );
+
+  const dispatch = useDispatch();
+  const navigateTo = useNavigate();
+
+  const handleResetPassword = (e) => {
+    e.preventDefault();
+    dispatch(resetPassword(token, password, confirmPassword));
+  };
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      dispatch(clearAllForgotResetPasswordErrors());
+    }
+    if (message) {
+      toast.success(message);
+      dispatch(clearAllForgotResetPasswordErrors());
+      navigateTo("/login");
+    }
+  }, [dispatch, error, message, navigateTo]);
+
+  return (
+    <>
+      <section className="authPage">
+        <div className="container login-container">
+          <div className="header">
+            <h3>Choose a new password</h3>
+          </div>
+          <form onSubmit={handleResetPassword}>
+            <div className="inputTag">
+              <label>New Password</label>
+              <div>
+                <input
+                  type="password"
+                  placeholder="New Password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+                <RiLock2Fill />
+              </div>
+            </div>
+            <div className="inputTag">
+              <label>Confirm Password</label>
+              <div>
+                <input
+                  type="password"
+                  placeholder="Confirm Password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                />
+                <RiLock2Fill />
+              </div>
+            </div>
+            <button type="submit" disabled={loading}>
+              Reset Password
+            </button>
+            <Link to={"/password/forgot"}>Request A New Link</Link>
+          </form>
+        </div>
+      </section>
+    </>
+  );
+};
+
+export default ResetPassword;
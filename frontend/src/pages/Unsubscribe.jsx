@@ -0,0 +1,37 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useParams } from "react-router-dom";
+import { unsubscribe } from "../store/slices/unsubscribeSlice";
+import Spinner from "../components/Spinner";
+
+const Unsubscribe = () => {
+  const { token } = useParams();
+  const { loading, error, message, unsubscribed } = useSelector(
+    (state) => state.unsubscribe
+  );
+
+  const dispatch = useDispatch();
+
+  // Opening the link from the email is all it takes to unsubscribe
+  useEffect(() => {
+    dispatch(unsubscribe(token));
+  }, [dispatch, token]);
+
+  return (
+    <section className="authPage">
+      <div className="container login-container">
+        {loading ? (
+          <Spinner />
+        ) : (
+          <div className="header">
+            <h3>{unsubscribed ? "Unsubscribed" : "Unsubscribe Failed"}</h3>
+            <p>{unsubscribed ? message : error}</p>
+            <Link to="/jobs">Browse Jobs</Link>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default Unsubscribe;
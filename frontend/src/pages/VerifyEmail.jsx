@@ -0,0 +1,47 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useParams } from "react-router-dom";
+import { verifyEmail } from "../store/slices/emailVerificationSlice";
+import { getUser } from "../store/slices/userSlice";
+import Spinner from "../components/Spinner";
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { loading, error, message, verified } = useSelector(
+    (state) => state.emailVerification
+  );
+  const { isAuthenticated } = useSelector((state) => state.user);
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(verifyEmail(token));
+  }, [dispatch, token]);
+
+  useEffect(() => {
+    // Refresh the logged in user so the verified flag is up to date
+    if (verified && isAuthenticated) {
+      dispatch(getUser());
+    }
+  }, [dispatch, verified, isAuthenticated]);
+
+  return (
+    <section className="authPage">
+      <div className="container login-container">
+        {loading ? (
+          <Spinner />
+        ) : (
+          <div className="header">
+            <h3>{verified ? "Email Verified" : "Verification Failed"}</h3>
+            <p>{verified ? message : error}</p>
+            <Link to={isAuthenticated ? "/dashboard" : "/login"}>
+              {isAuthenticated ? "Go To Dashboard" : "Go To Login"}
+            </Link>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default VerifyEmail;
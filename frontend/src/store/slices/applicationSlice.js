@@ -6,6 +6,10 @@ const applicationSlice = createSlice({
   name: "applications",
   initialState: {
     applications: [],
+    jobApplications: [],
+    viewingJob: null,
+    applicationDetail: null,
+    statusHistory: [],
     loading: false,
     error: null,
     message: null,
@@ -67,6 +71,90 @@ const applicationSlice = createSlice({
       state.error = action.payload;
       state.message = null;
     },
+    requestForUpdateApplicationStatus(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    successForUpdateApplicationStatus(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload;
+    },
+    failureForUpdateApplicationStatus(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    requestForJobApplications(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForJobApplications(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.jobApplications = action.payload;
+    },
+    failureForJobApplications(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    requestForApplicationDetail(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForApplicationDetail(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.applicationDetail = action.payload.application;
+      state.statusHistory = action.payload.statusHistory;
+    },
+    failureForApplicationDetail(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.applicationDetail = null;
+      state.statusHistory = [];
+    },
+    viewJobApplications(state, action) {
+      state.viewingJob = action.payload;
+      state.jobApplications = [];
+    },
+    closeJobApplications(state) {
+      state.viewingJob = null;
+      state.jobApplications = [];
+    },
+    // Pushed by the server when a job seeker applies to the employer's job
+    receiveApplication(state, action) {
+      const application = action.payload;
+      if (
+        !state.applications.some((element) => element.id === application.id)
+      ) {
+        state.applications = [application, ...state.applications];
+      }
+      if (
+        state.viewingJob?.id === application.jobId &&
+        !state.jobApplications.some((element) => element.id === application.id)
+      ) {
+        state.jobApplications = [application, ...state.jobApplications];
+      }
+    },
+    // Pushed by the server when an application changes status
+    receiveApplicationStatus(state, action) {
+      const { application, statusHistory } = action.payload;
+      const merge = (element) =>
+        element.id === application.id
+          ? { ...element, ...application }
+          : element;
+      state.applications = state.applications.map(merge);
+      state.jobApplications = state.jobApplications.map(merge);
+      if (state.applicationDetail?.id === application.id) {
+        state.applicationDetail = {
+          ...state.applicationDetail,
+          ...application,
+        };
+        state.statusHistory = statusHistory;
+      }
+    },
 
     clearAllErrors(state, action) {
       state.error = null;
@@ -175,6 +263,91 @@ export const deleteApplication = (id) => async (dispatch) => {
   }
 };
 
+export const updateApplicationStatus = (id, status) => async (dispatch) => {
+  dispatch(applicationSlice.actions.requestForUpdateApplicationStatus());
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/application/status/${id}`,
+      { status },
+      {
+        withCredentials: true,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+    dispatch(
+      applicationSlice.actions.successForUpdateApplicationStatus(
+        response.data.message
+      )
+    );
+    dispatch(clearAllApplicationErrors());
+  } catch (error) {
+    dispatch(
+      applicationSlice.actions.failureForUpdateApplicationStatus(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const fetchJobApplications = (jobId) => async (dispatch) => {
+  dispatch(applicationSlice.actions.requestForJobApplications());
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/application/job/${jobId}`,
+      {
+        withCredentials: true,
+      }
+    );
+    dispatch(
+      applicationSlice.actions.successForJobApplications(
+        response.data.applications
+      )
+    );
+    dispatch(applicationSlice.actions.clearAllErrors());
+  } catch (error) {
+    dispatch(
+      applicationSlice.actions.failureForJobApplications(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const fetchApplicationDetail = (id) => async (dispatch) => {
+  dispatch(applicationSlice.actions.requestForApplicationDetail());
+  try {
+    const response = await axios.get(`${API_BASE_URL}/application/${id}`, {
+      withCredentials: true,
+    });
+    dispatch(
+      applicationSlice.actions.successForApplicationDetail(response.data)
+    );
+    dispatch(applicationSlice.actions.clearAllErrors());
+  } catch (error) {
+    dispatch(
+      applicationSlice.actions.failureForApplicationDetail(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const viewJobApplications = (job) => (dispatch) => {
+  dispatch(applicationSlice.actions.viewJobApplications(job));
+};
+
+export const closeJobApplications = () => (dispatch) => {
+  dispatch(applicationSlice.actions.closeJobApplications());
+};
+
+export const receiveApplication = (application) => (dispatch) => {
+  dispatch(applicationSlice.actions.receiveApplication(application));
+};
+
+export const receiveApplicationStatus = (data) => (dispatch) => {
+  dispatch(applicationSlice.actions.receiveApplicationStatus(data));
+};
+
 export const clearAllApplicationErrors = () => (dispatch) => {
   dispatch(applicationSlice.actions.clearAllErrors());
 };
@@ -0,0 +1,259 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+import { getUser } from "./userSlice";
+
+const companySlice = createSlice({
+  name: "companies",
+  initialState: {
+    // Company page being viewed, with its open jobs
+    company: null,
+    jobs: [],
+    // Company the logged in employer belongs to
+    myCompany: null,
+    // Pending requests to join the company, seen by its owner
+    joinRequests: [],
+    searchResults: [],
+    loading: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    requestForCompany(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForCompany(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.company = action.payload.company;
+      state.jobs = action.payload.jobs;
+    },
+    failureForCompany(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.company = null;
+      state.jobs = [];
+    },
+    requestForMyCompany(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForMyCompany(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.myCompany = action.payload;
+    },
+    failureForMyCompany(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    successForSearchCompanies(state, action) {
+      state.searchResults = action.payload;
+    },
+    failureForSearchCompanies(state, action) {
+      state.error = action.payload;
+    },
+    requestForSaveCompany(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    successForSaveCompany(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload.message;
+      state.myCompany = action.payload.company;
+    },
+    failureForSaveCompany(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    requestForJoinCompany(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    successForJoinCompany(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload;
+    },
+    failureForJoinCompany(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    successForJoinRequests(state, action) {
+      state.joinRequests = action.payload;
+    },
+    failureForJoinRequests(state, action) {
+      state.error = action.payload;
+    },
+    requestForRespondToJoinRequest(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    successForRespondToJoinRequest(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload.message;
+      state.joinRequests = state.joinRequests.filter(
+        (joinRequest) => joinRequest.id !== action.payload.joinRequest.id
+      );
+    },
+    failureForRespondToJoinRequest(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const fetchCompany = (id) => async (dispatch) => {
+  dispatch(companySlice.actions.requestForCompany());
+  try {
+    const response = await axios.get(`${API_BASE_URL}/company/${id}`, {
+      withCredentials: true,
+    });
+    dispatch(companySlice.actions.successForCompany(response.data));
+  } catch (error) {
+    dispatch(
+      companySlice.actions.failureForCompany(error.response.data.message)
+    );
+  }
+};
+
+export const fetchMyCompany = (id) => async (dispatch) => {
+  dispatch(companySlice.actions.requestForMyCompany());
+  try {
+    const response = await axios.get(`${API_BASE_URL}/company/${id}`, {
+      withCredentials: true,
+    });
+    dispatch(companySlice.actions.successForMyCompany(response.data.company));
+  } catch (error) {
+    dispatch(
+      companySlice.actions.failureForMyCompany(error.response.data.message)
+    );
+  }
+};
+
+export const searchCompanies = (search) => async (dispatch) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/company/getall`, {
+      params: { search },
+      withCredentials: true,
+    });
+    dispatch(
+      companySlice.actions.successForSearchCompanies(response.data.companies)
+    );
+  } catch (error) {
+    dispatch(
+      companySlice.actions.failureForSearchCompanies(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+// Creating a company changes the user's company, so the user is reloaded
+// afterwards
+const saveCompany = (request, reloadUser) => async (dispatch) => {
+  dispatch(companySlice.actions.requestForSaveCompany());
+  try {
+    const response = await request();
+    dispatch(companySlice.actions.successForSaveCompany(response.data));
+    if (reloadUser) {
+      dispatch(getUser());
+    }
+  } catch (error) {
+    dispatch(
+      companySlice.actions.failureForSaveCompany(error.response.data.message)
+    );
+  }
+};
+
+export const createCompany = (data) =>
+  saveCompany(
+    () =>
+      axios.post(`${API_BASE_URL}/company/create`, data, {
+        withCredentials: true,
+        headers: { "Content-Type": "multipart/form-data" },
+      }),
+    true
+  );
+
+export const updateCompany = (id, data) =>
+  saveCompany(
+    () =>
+      axios.put(`${API_BASE_URL}/company/update/${id}`, data, {
+        withCredentials: true,
+        headers: { "Content-Type": "multipart/form-data" },
+      }),
+    false
+  );
+
+// Joining only sends a request; the user joins once the owner approves it
+export const joinCompany = (id) => async (dispatch) => {
+  dispatch(companySlice.actions.requestForJoinCompany());
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/company/join/${id}`,
+      {},
+      { withCredentials: true }
+    );
+    dispatch(companySlice.actions.successForJoinCompany(response.data.message));
+  } catch (error) {
+    dispatch(
+      companySlice.actions.failureForJoinCompany(error.response.data.message)
+    );
+  }
+};
+
+export const fetchJoinRequests = (companyId) => async (dispatch) => {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/company/${companyId}/requests`,
+      { withCredentials: true }
+    );
+    dispatch(
+      companySlice.actions.successForJoinRequests(response.data.joinRequests)
+    );
+  } catch (error) {
+    dispatch(
+      companySlice.actions.failureForJoinRequests(error.response.data.message)
+    );
+  }
+};
+
+export const respondToJoinRequest = (id, status) => async (dispatch) => {
+  dispatch(companySlice.actions.requestForRespondToJoinRequest());
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/company/requests/${id}`,
+      { status },
+      { withCredentials: true }
+    );
+    dispatch(
+      companySlice.actions.successForRespondToJoinRequest(response.data)
+    );
+  } catch (error) {
+    dispatch(
+      companySlice.actions.failureForRespondToJoinRequest(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const clearAllCompanyErrors = () => (dispatch) => {
+  dispatch(companySlice.actions.clearAllErrors());
+};
+
+export default companySlice.reducer;
@@ -0,0 +1,98 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const emailVerificationSlice = createSlice({
+  name: "emailVerification",
+  initialState: {
+    loading: false,
+    error: null,
+    message: null,
+    verified: false,
+  },
+  reducers: {
+    verifyEmailRequest(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+      state.verified = false;
+    },
+    verifyEmailSuccess(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload;
+      state.verified = true;
+    },
+    verifyEmailFailed(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+      state.verified = false;
+    },
+    resendVerificationRequest(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    resendVerificationSuccess(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload;
+    },
+    resendVerificationFailed(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const verifyEmail = (token) => async (dispatch) => {
+  dispatch(emailVerificationSlice.actions.verifyEmailRequest());
+  try {
+    const response = await axios.get(`${API_BASE_URL}/user/verify/${token}`, {
+      withCredentials: true,
+    });
+    dispatch(
+      emailVerificationSlice.actions.verifyEmailSuccess(response.data.message)
+    );
+  } catch (error) {
+    dispatch(
+      emailVerificationSlice.actions.verifyEmailFailed(
+        error.response?.data?.message || "Failed to verify email."
+      )
+    );
+  }
+};
+
+export const resendVerificationEmail = () => async (dispatch) => {
+  dispatch(emailVerificationSlice.actions.resendVerificationRequest());
+  try {
+    const response = await axios.post(
+      `${API_BASE_URL}/user/verify/resend`,
+      {},
+      { withCredentials: true }
+    );
+    dispatch(
+      emailVerificationSlice.actions.resendVerificationSuccess(
+        response.data.message
+      )
+    );
+  } catch (error) {
+    dispatch(
+      emailVerificationSlice.actions.resendVerificationFailed(
+        error.response?.data?.message || "Failed to send verification email."
+      )
+    );
+  }
+};
+
+export const clearAllEmailVerificationErrors = () => (dispatch) => {
+  dispatch(emailVerificationSlice.actions.clearAllErrors());
+};
+
+export default emailVerificationSlice.reducer;
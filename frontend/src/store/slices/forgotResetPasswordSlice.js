@@ -0,0 +1,106 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const forgotResetPasswordSlice = createSlice({
+  name: "forgotPassword",
+  initialState: {
+    loading: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    forgotPasswordRequest(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    forgotPasswordSuccess(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload;
+    },
+    forgotPasswordFailed(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    resetPasswordRequest(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    resetPasswordSuccess(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload;
+    },
+    resetPasswordFailed(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+      state.loading = false;
+    },
+  },
+});
+
+export const forgotPassword = (email) => async (dispatch) => {
+  dispatch(forgotResetPasswordSlice.actions.forgotPasswordRequest());
+  try {
+    const response = await axios.post(
+      `${API_BASE_URL}/user/password/forgot`,
+      { email },
+      {
+        withCredentials: true,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+    dispatch(
+      forgotResetPasswordSlice.actions.forgotPasswordSuccess(
+        response.data.message
+      )
+    );
+  } catch (error) {
+    dispatch(
+      forgotResetPasswordSlice.actions.forgotPasswordFailed(
+        error.response?.data?.message || "Failed to send reset email."
+      )
+    );
+  }
+};
+
+export const resetPassword =
+  (token, password, confirmPassword) => async (dispatch) => {
+    dispatch(forgotResetPasswordSlice.actions.resetPasswordRequest());
+    try {
+      const response = await axios.put(
+        `${API_BASE_URL}/user/password/reset/${token}`,
+        { password, confirmPassword },
+        {
+          withCredentials: true,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+      dispatch(
+        forgotResetPasswordSlice.actions.resetPasswordSuccess(
+          response.data.message
+        )
+      );
+    } catch (error) {
+      dispatch(
+        forgotResetPasswordSlice.actions.resetPasswordFailed(
+          error.response?.data?.message || "Failed to reset password."
+        )
+      );
+    }
+  };
+
+export const clearAllForgotResetPasswordErrors = () => (dispatch) => {
+  dispatch(forgotResetPasswordSlice.actions.clearAllErrors());
+};
+
+export default forgotResetPasswordSlice.reducer;
@@ -0,0 +1,151 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const interviewSlice = createSlice({
+  name: "interviews",
+  initialState: {
+    applicationId: null,
+    interviews: [],
+    loading: false,
+    submitting: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    openInterviews(state, action) {
+      if (state.applicationId !== action.payload) {
+        state.applicationId = action.payload;
+        state.interviews = [];
+      }
+    },
+    requestForInterviews(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForInterviews(state, action) {
+      state.loading = false;
+      state.error = null;
+      if (action.payload.applicationId === state.applicationId) {
+        state.interviews = action.payload.interviews;
+      }
+    },
+    failureForInterviews(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    requestForUpdateInterview(state) {
+      state.submitting = true;
+      state.error = null;
+      state.message = null;
+    },
+    successForUpdateInterview(state, action) {
+      state.submitting = false;
+      state.error = null;
+      state.message = action.payload.message;
+      interviewSlice.caseReducers.receiveInterview(state, {
+        payload: action.payload.interview,
+      });
+    },
+    failureForUpdateInterview(state, action) {
+      state.submitting = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    // Changed by this user or pushed by the server
+    receiveInterview(state, action) {
+      const interview = action.payload;
+      if (interview.applicationId !== state.applicationId) return;
+
+      state.interviews = [
+        interview,
+        ...state.interviews.filter((element) => element.id !== interview.id),
+      ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const openInterviews = (applicationId) => (dispatch) => {
+  dispatch(interviewSlice.actions.openInterviews(applicationId));
+};
+
+export const fetchInterviews = (applicationId) => async (dispatch) => {
+  dispatch(interviewSlice.actions.requestForInterviews());
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/application/${applicationId}/interviews`,
+      { withCredentials: true }
+    );
+    dispatch(
+      interviewSlice.actions.successForInterviews({
+        applicationId,
+        interviews: response.data.interviews,
+      })
+    );
+  } catch (error) {
+    dispatch(
+      interviewSlice.actions.failureForInterviews(error.response.data.message)
+    );
+  }
+};
+
+const updateInterview = (request) => async (dispatch) => {
+  dispatch(interviewSlice.actions.requestForUpdateInterview());
+  try {
+    const response = await request();
+    dispatch(interviewSlice.actions.successForUpdateInterview(response.data));
+  } catch (error) {
+    dispatch(
+      interviewSlice.actions.failureForUpdateInterview(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const proposeInterview = (applicationId, data) =>
+  updateInterview(() =>
+    axios.post(
+      `${API_BASE_URL}/application/${applicationId}/interviews`,
+      data,
+      {
+        withCredentials: true,
+        headers: { "Content-Type": "application/json" },
+      }
+    )
+  );
+
+export const acceptInterview = (id, slotId) =>
+  updateInterview(() =>
+    axios.put(
+      `${API_BASE_URL}/interview/${id}/accept`,
+      { slotId },
+      {
+        withCredentials: true,
+        headers: { "Content-Type": "application/json" },
+      }
+    )
+  );
+
+export const cancelInterview = (id) =>
+  updateInterview(() =>
+    axios.put(
+      `${API_BASE_URL}/interview/${id}/cancel`,
+      {},
+      { withCredentials: true }
+    )
+  );
+
+export const receiveInterview = (interview) => (dispatch) => {
+  dispatch(interviewSlice.actions.receiveInterview(interview));
+};
+
+export const clearAllInterviewErrors = () => (dispatch) => {
+  dispatch(interviewSlice.actions.clearAllErrors());
+};
+
+export default interviewSlice.reducer;
@@ -0,0 +1,130 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const jobAlertSlice = createSlice({
+  name: "jobAlerts",
+  initialState: {
+    jobAlerts: [],
+    loading: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    requestForJobAlerts(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForJobAlerts(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.jobAlerts = action.payload;
+    },
+    failureForJobAlerts(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    successForCreateJobAlert(state, action) {
+      state.error = null;
+      state.message = action.payload.message;
+      state.jobAlerts = [action.payload.jobAlert, ...state.jobAlerts];
+    },
+    successForUpdateJobAlert(state, action) {
+      state.error = null;
+      state.message = action.payload.message;
+      state.jobAlerts = state.jobAlerts.map((jobAlert) =>
+        jobAlert.id === action.payload.jobAlert.id
+          ? action.payload.jobAlert
+          : jobAlert
+      );
+    },
+    successForDeleteJobAlert(state, action) {
+      state.error = null;
+      state.message = action.payload.message;
+      state.jobAlerts = state.jobAlerts.filter(
+        (jobAlert) => jobAlert.id !== action.payload.id
+      );
+    },
+    failureForJobAlertChange(state, action) {
+      state.error = action.payload;
+      state.message = null;
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const fetchJobAlerts = () => async (dispatch) => {
+  dispatch(jobAlertSlice.actions.requestForJobAlerts());
+  try {
+    const response = await axios.get(`${API_BASE_URL}/job/alerts`, {
+      withCredentials: true,
+    });
+    dispatch(
+      jobAlertSlice.actions.successForJobAlerts(response.data.jobAlerts)
+    );
+  } catch (error) {
+    dispatch(
+      jobAlertSlice.actions.failureForJobAlerts(error.response.data.message)
+    );
+  }
+};
+
+export const createJobAlert = (data) => async (dispatch) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/job/alerts`, data, {
+      withCredentials: true,
+      headers: { "Content-Type": "application/json" },
+    });
+    dispatch(jobAlertSlice.actions.successForCreateJobAlert(response.data));
+  } catch (error) {
+    dispatch(
+      jobAlertSlice.actions.failureForJobAlertChange(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const updateJobAlert = (id, frequency) => async (dispatch) => {
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/job/alerts/${id}`,
+      { frequency },
+      {
+        withCredentials: true,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+    dispatch(jobAlertSlice.actions.successForUpdateJobAlert(response.data));
+  } catch (error) {
+    dispatch(
+      jobAlertSlice.actions.failureForJobAlertChange(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const deleteJobAlert = (id) => async (dispatch) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/job/alerts/${id}`, {
+      withCredentials: true,
+    });
+    dispatch(jobAlertSlice.actions.successForDeleteJobAlert(response.data));
+  } catch (error) {
+    dispatch(
+      jobAlertSlice.actions.failureForJobAlertChange(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const clearAllJobAlertErrors = () => (dispatch) => {
+  dispatch(jobAlertSlice.actions.clearAllErrors());
+};
+
+export default jobAlertSlice.reducer;
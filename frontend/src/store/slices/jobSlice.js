@@ -6,11 +6,15 @@ const jobSlice = createSlice({
   name: "jobs",
   initialState: {
     jobs: [],
+    totalJobs: 0,
+    page: 1,
+    totalPages: 0,
     loading: false,
     error: null,
     message: null,
     singleJob: {},
     myJobs: [],
+    editingJob: null,
   },
   reducers: {
     requestForAllJobs(state, action) {
@@ -19,7 +23,10 @@ const jobSlice = createSlice({
     },
     successForAllJobs(state, action) {
       state.loading = false;
-      state.jobs = action.payload;
+      state.jobs = action.payload.jobs;
+      state.totalJobs = action.payload.total;
+      state.page = action.payload.page;
+      state.totalPages = action.payload.totalPages;
       state.error = null;
     },
     failureForAllJobs(state, action) {
@@ -57,6 +64,44 @@ const jobSlice = createSlice({
       state.loading = false;
     },
 
+    startEditingJob(state, action) {
+      state.editingJob = action.payload;
+    },
+    stopEditingJob(state) {
+      state.editingJob = null;
+    },
+    requestForUpdateJob(state) {
+      state.message = null;
+      state.error = null;
+      state.loading = true;
+    },
+    successForUpdateJob(state, action) {
+      state.message = action.payload;
+      state.error = null;
+      state.loading = false;
+    },
+    failureForUpdateJob(state, action) {
+      state.message = null;
+      state.error = action.payload;
+      state.loading = false;
+    },
+
+    requestForUpdateJobStatus(state) {
+      state.message = null;
+      state.error = null;
+      state.loading = true;
+    },
+    successForUpdateJobStatus(state, action) {
+      state.message = action.payload;
+      state.error = null;
+      state.loading = false;
+    },
+    failureForUpdateJobStatus(state, action) {
+      state.message = null;
+      state.error = action.payload;
+      state.loading = false;
+    },
+
     requestForDeleteJob(state, action) {
       state.loading = true;
       state.error = null;
@@ -89,6 +134,18 @@ const jobSlice = createSlice({
       state.error = action.payload;
     },
 
+    // Pushed by the server when a job is opened, closed or archived
+    receiveJobStatus(state, action) {
+      const { id, status, acceptingApplications } = action.payload;
+      const merge = (job) =>
+        job.id === id ? { ...job, status, acceptingApplications } : job;
+      state.jobs = state.jobs.map(merge);
+      state.myJobs = state.myJobs.map(merge);
+      if (state.singleJob.id === id) {
+        state.singleJob = merge(state.singleJob);
+      }
+    },
+
     clearAllErrors(state, action) {
       state.error = null;
       state.jobs = state.jobs;
@@ -105,7 +162,14 @@ const jobSlice = createSlice({
 });
 
 export const fetchJobs =
-  (city, niche, searchKeyword = "") =>
+  (
+    city,
+    niche,
+    searchKeyword = "",
+    page = 1,
+    sort = "newest",
+    filters = {}
+  ) =>
   async (dispatch) => {
     try {
       dispatch(jobSlice.actions.requestForAllJobs());
@@ -145,9 +209,20 @@ export const fetchJobs =
       }
       /***************************************************/
 
+      // Job type, work mode and salary bounds (yearly amounts in the given
+      // currency)
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== "") {
+          queryParams.push(`${key}=${encodeURIComponent(value)}`);
+        }
+      }
+
+      queryParams.push(`page=${page}`);
+      queryParams.push(`sort=${sort}`);
+
       link += queryParams.join("&");
       const response = await axios.get(link, { withCredentials: true });
-      dispatch(jobSlice.actions.successForAllJobs(response.data.jobs));
+      dispatch(jobSlice.actions.successForAllJobs(response.data));
       dispatch(jobSlice.actions.clearAllErrors());
     } catch (error) {
       dispatch(jobSlice.actions.failureForAllJobs(error.response.data.message));
@@ -181,13 +256,55 @@ export const postJob = (data) => async (dispatch) => {
   }
 };
 
+export const updateJob = (id, data) => async (dispatch) => {
+  dispatch(jobSlice.actions.requestForUpdateJob());
+  try {
+    const response = await axios.put(`${API_BASE_URL}/job/update/${id}`, data, {
+      withCredentials: true,
+      headers: { "Content-Type": "application/json" },
+    });
+    dispatch(jobSlice.actions.successForUpdateJob(response.data.message));
+    dispatch(jobSlice.actions.clearAllErrors());
+  } catch (error) {
+    dispatch(jobSlice.actions.failureForUpdateJob(error.response.data.message));
+  }
+};
+
+export const updateJobStatus = (id, status) => async (dispatch) => {
+  dispatch(jobSlice.actions.requestForUpdateJobStatus());
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/job/status/${id}`,
+      { status },
+      {
+        withCredentials: true,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+    dispatch(jobSlice.actions.successForUpdateJobStatus(response.data.message));
+    dispatch(jobSlice.actions.clearAllErrors());
+  } catch (error) {
+    dispatch(
+      jobSlice.actions.failureForUpdateJobStatus(error.response.data.message)
+    );
+  }
+};
+
+export const startEditingJob = (job) => (dispatch) => {
+  dispatch(jobSlice.actions.startEditingJob(job));
+};
+
+export const stopEditingJob = () => (dispatch) => {
+  dispatch(jobSlice.actions.stopEditingJob());
+};
+
 export const getMyJobs = () => async (dispatch) => {
   dispatch(jobSlice.actions.requestForMyJobs());
   try {
     const response = await axios.get(`${API_BASE_URL}/job/getmyjobs`, {
       withCredentials: true,
     });
-    dispatch(jobSlice.actions.successForMyJobs(response.data.myJobs));
+    dispatch(jobSlice.actions.successForMyJobs(response.data.jobs));
     dispatch(jobSlice.actions.clearAllErrors());
   } catch (error) {
     const msg =
@@ -211,6 +328,10 @@ export const deleteJob = (id) => async (dispatch) => {
   }
 };
 
+export const receiveJobStatus = (data) => (dispatch) => {
+  dispatch(jobSlice.actions.receiveJobStatus(data));
+};
+
 export const clearAllJobErrors = () => (dispatch) => {
   dispatch(jobSlice.actions.clearAllErrors());
 };
@@ -0,0 +1,239 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+// A thread missing from a loaded list is new, so reload the list for it
+const hasThread = (state, applicationId) =>
+  !state.messages.threadsLoaded ||
+  state.messages.threads.some(
+    (thread) => thread.applicationId === applicationId
+  );
+
+// Move a thread to the top of the list with its new latest message
+const bumpThread = (state, message, unreadIncrement) => {
+  const thread = state.threads.find(
+    (element) => element.applicationId === message.applicationId
+  );
+  if (!thread) return;
+
+  thread.lastMessage = {
+    body: message.body,
+    senderUserId: message.senderUserId,
+    createdAt: message.createdAt,
+  };
+  thread.unreadCount += unreadIncrement;
+  state.threads = [
+    thread,
+    ...state.threads.filter((element) => element !== thread),
+  ];
+};
+
+const messageSlice = createSlice({
+  name: "messages",
+  initialState: {
+    threads: [],
+    threadsLoaded: false,
+    activeApplicationId: null,
+    messages: [],
+    loading: false,
+    sending: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    requestForThreads(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForThreads(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.threads = action.payload;
+      state.threadsLoaded = true;
+    },
+    failureForThreads(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    openThread(state, action) {
+      if (state.activeApplicationId !== action.payload) {
+        state.activeApplicationId = action.payload;
+        state.messages = [];
+      }
+    },
+    requestForMessages(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForMessages(state, action) {
+      state.loading = false;
+      state.error = null;
+      if (action.payload.applicationId === state.activeApplicationId) {
+        state.messages = action.payload.messages;
+      }
+    },
+    failureForMessages(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    requestForSendMessage(state) {
+      state.sending = true;
+      state.error = null;
+      state.message = null;
+    },
+    successForSendMessage(state, action) {
+      state.sending = false;
+      state.error = null;
+      state.message = action.payload.message;
+      messageSlice.caseReducers.receiveMessage(state, {
+        payload: { message: action.payload.applicationMessage, mine: true },
+      });
+    },
+    failureForSendMessage(state, action) {
+      state.sending = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    // Sent by this user or pushed by the server
+    receiveMessage(state, action) {
+      const { message, mine } = action.payload;
+      if (state.messages.some((element) => element.id === message.id)) {
+        return;
+      }
+      if (message.applicationId === state.activeApplicationId) {
+        state.messages = [...state.messages, message];
+      }
+      bumpThread(state, message, mine ? 0 : 1);
+    },
+    // When either side reads a thread, for read receipts and unread counts
+    receiveMessagesRead(state, action) {
+      const { applicationId, messageIds, readAt, mine } = action.payload;
+      state.messages = state.messages.map((element) =>
+        messageIds.includes(element.id)
+          ? { ...element, read: true, readAt }
+          : element
+      );
+      if (mine) {
+        const thread = state.threads.find(
+          (element) => element.applicationId === applicationId
+        );
+        if (thread) thread.unreadCount = 0;
+      }
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const fetchMessageThreads = () => async (dispatch) => {
+  dispatch(messageSlice.actions.requestForThreads());
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/application/messages/threads`,
+      { withCredentials: true }
+    );
+    dispatch(messageSlice.actions.successForThreads(response.data.threads));
+  } catch (error) {
+    dispatch(
+      messageSlice.actions.failureForThreads(error.response.data.message)
+    );
+  }
+};
+
+export const openThread = (applicationId) => (dispatch) => {
+  dispatch(messageSlice.actions.openThread(applicationId));
+};
+
+export const fetchMessages = (applicationId) => async (dispatch) => {
+  dispatch(messageSlice.actions.requestForMessages());
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/application/${applicationId}/messages`,
+      { withCredentials: true }
+    );
+    dispatch(
+      messageSlice.actions.successForMessages({
+        applicationId,
+        messages: response.data.messages,
+      })
+    );
+  } catch (error) {
+    dispatch(
+      messageSlice.actions.failureForMessages(error.response.data.message)
+    );
+  }
+};
+
+export const sendMessage =
+  (applicationId, body) => async (dispatch, getState) => {
+    dispatch(messageSlice.actions.requestForSendMessage());
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/application/${applicationId}/messages`,
+        { body },
+        {
+          withCredentials: true,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+      dispatch(messageSlice.actions.successForSendMessage(response.data));
+      if (!hasThread(getState(), applicationId)) {
+        dispatch(fetchMessageThreads());
+      }
+    } catch (error) {
+      dispatch(
+        messageSlice.actions.failureForSendMessage(error.response.data.message)
+      );
+    }
+  };
+
+export const markMessagesRead = (applicationId) => async (dispatch) => {
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/application/${applicationId}/messages/read`,
+      {},
+      { withCredentials: true }
+    );
+    dispatch(
+      messageSlice.actions.receiveMessagesRead({
+        ...response.data.receipt,
+        mine: true,
+      })
+    );
+  } catch (error) {
+    dispatch(
+      messageSlice.actions.failureForMessages(error.response.data.message)
+    );
+  }
+};
+
+export const receiveMessage = (message) => (dispatch, getState) => {
+  const { user } = getState().user;
+  dispatch(
+    messageSlice.actions.receiveMessage({
+      message,
+      mine: Boolean(user) && message.senderUserId === user.id,
+    })
+  );
+  if (!hasThread(getState(), message.applicationId)) {
+    dispatch(fetchMessageThreads());
+  }
+};
+
+export const receiveMessagesRead = (data) => (dispatch, getState) => {
+  const { user } = getState().user;
+  dispatch(
+    messageSlice.actions.receiveMessagesRead({
+      ...data,
+      mine: Boolean(user) && data.readerUserId === user.id,
+    })
+  );
+};
+
+export const clearAllMessageErrors = () => (dispatch) => {
+  dispatch(messageSlice.actions.clearAllErrors());
+};
+
+export default messageSlice.reducer;
@@ -0,0 +1,92 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const notificationSettingsSlice = createSlice({
+  name: "notificationSettings",
+  initialState: {
+    preferences: null,
+    loading: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    requestForPreferences(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+    },
+    successForFetchPreferences(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.preferences = action.payload;
+    },
+    successForUpdatePreferences(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.preferences = action.payload.preferences;
+      state.message = action.payload.message;
+    },
+    failureForPreferences(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const fetchNotificationPreferences = () => async (dispatch) => {
+  dispatch(notificationSettingsSlice.actions.requestForPreferences());
+  try {
+    const response = await axios.get(`${API_BASE_URL}/user/notifications`, {
+      withCredentials: true,
+    });
+    dispatch(
+      notificationSettingsSlice.actions.successForFetchPreferences(
+        response.data.preferences
+      )
+    );
+  } catch (error) {
+    dispatch(
+      notificationSettingsSlice.actions.failureForPreferences(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const updateNotificationPreferences =
+  (preferences) => async (dispatch) => {
+    dispatch(notificationSettingsSlice.actions.requestForPreferences());
+    try {
+      const response = await axios.put(
+        `${API_BASE_URL}/user/notifications`,
+        preferences,
+        {
+          withCredentials: true,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+      dispatch(
+        notificationSettingsSlice.actions.successForUpdatePreferences(
+          response.data
+        )
+      );
+    } catch (error) {
+      dispatch(
+        notificationSettingsSlice.actions.failureForPreferences(
+          error.response.data.message
+        )
+      );
+    }
+  };
+
+export const clearAllNotificationSettingsErrors = () => (dispatch) => {
+  dispatch(notificationSettingsSlice.actions.clearAllErrors());
+};
+
+export default notificationSettingsSlice.reducer;
@@ -0,0 +1,157 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const notificationSlice = createSlice({
+  name: "notifications",
+  initialState: {
+    notifications: [],
+    unreadCount: 0,
+    page: 0,
+    totalPages: 0,
+    loading: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    requestForNotifications(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForNotifications(state, action) {
+      const { notifications, unreadCount, page, totalPages } = action.payload;
+      state.loading = false;
+      state.error = null;
+      // The first page replaces the feed, later pages extend it. Pushed
+      // notifications shift the pages, so skip ones already in the feed.
+      state.notifications =
+        page === 1
+          ? notifications
+          : [
+              ...state.notifications,
+              ...notifications.filter(
+                (notification) =>
+                  !state.notifications.some(
+                    (element) => element.id === notification.id
+                  )
+              ),
+            ];
+      state.unreadCount = unreadCount;
+      state.page = page;
+      state.totalPages = totalPages;
+    },
+    failureForNotifications(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    successForMarkRead(state, action) {
+      const { notification, unreadCount } = action.payload;
+      state.error = null;
+      state.notifications = state.notifications.map((element) =>
+        element.id === notification.id ? notification : element
+      );
+      state.unreadCount = unreadCount;
+    },
+    successForMarkAllRead(state, action) {
+      state.error = null;
+      state.message = action.payload.message;
+      state.notifications = state.notifications.map((element) => ({
+        ...element,
+        read: true,
+      }));
+      state.unreadCount = 0;
+    },
+    failureForMarkRead(state, action) {
+      state.error = action.payload;
+      state.message = null;
+    },
+    // Pushed by the server as soon as a notification is created
+    receiveNotification(state, action) {
+      const notification = action.payload;
+      if (
+        state.notifications.some((element) => element.id === notification.id)
+      ) {
+        return;
+      }
+      state.notifications = [notification, ...state.notifications];
+      if (!notification.read) {
+        state.unreadCount += 1;
+      }
+    },
+    resetNotifications(state) {
+      state.notifications = [];
+      state.unreadCount = 0;
+      state.page = 0;
+      state.totalPages = 0;
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const fetchNotifications =
+  (page = 1) =>
+  async (dispatch) => {
+    dispatch(notificationSlice.actions.requestForNotifications());
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/notifications?page=${page}`,
+        { withCredentials: true }
+      );
+      dispatch(
+        notificationSlice.actions.successForNotifications(response.data)
+      );
+    } catch (error) {
+      dispatch(
+        notificationSlice.actions.failureForNotifications(
+          error.response.data.message
+        )
+      );
+    }
+  };
+
+export const markNotificationRead = (id) => async (dispatch) => {
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/notifications/${id}/read`,
+      {},
+      { withCredentials: true }
+    );
+    dispatch(notificationSlice.actions.successForMarkRead(response.data));
+  } catch (error) {
+    dispatch(
+      notificationSlice.actions.failureForMarkRead(error.response.data.message)
+    );
+  }
+};
+
+export const markAllNotificationsRead = () => async (dispatch) => {
+  try {
+    const response = await axios.put(
+      `${API_BASE_URL}/notifications/read-all`,
+      {},
+      { withCredentials: true }
+    );
+    dispatch(notificationSlice.actions.successForMarkAllRead(response.data));
+  } catch (error) {
+    dispatch(
+      notificationSlice.actions.failureForMarkRead(error.response.data.message)
+    );
+  }
+};
+
+export const receiveNotification = (notification) => (dispatch) => {
+  dispatch(notificationSlice.actions.receiveNotification(notification));
+};
+
+export const resetNotifications = () => (dispatch) => {
+  dispatch(notificationSlice.actions.resetNotifications());
+};
+
+export const clearAllNotificationErrors = () => (dispatch) => {
+  dispatch(notificationSlice.actions.clearAllErrors());
+};
+
+export default notificationSlice.reducer;
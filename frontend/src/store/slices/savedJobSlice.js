@@ -0,0 +1,110 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const savedJobSlice = createSlice({
+  name: "savedJobs",
+  initialState: {
+    savedJobs: [],
+    loading: false,
+    error: null,
+    message: null,
+  },
+  reducers: {
+    requestForSavedJobs(state) {
+      state.loading = true;
+      state.error = null;
+    },
+    successForSavedJobs(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.savedJobs = action.payload;
+    },
+    failureForSavedJobs(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+    },
+    successForSaveJob(state, action) {
+      state.error = null;
+      state.message = action.payload.message;
+      state.savedJobs = [
+        action.payload.savedJob,
+        ...state.savedJobs.filter(
+          (savedJob) => savedJob.id !== action.payload.savedJob.id
+        ),
+      ];
+    },
+    successForUnsaveJob(state, action) {
+      state.error = null;
+      state.message = action.payload.message;
+      // Removed by job ID, or by entry ID for jobs that were deleted
+      state.savedJobs = state.savedJobs.filter(
+        (savedJob) =>
+          savedJob.jobId !== action.payload.id &&
+          savedJob.id !== action.payload.id
+      );
+    },
+    failureForToggleSavedJob(state, action) {
+      state.error = action.payload;
+      state.message = null;
+    },
+    clearAllErrors(state) {
+      state.error = null;
+      state.message = null;
+    },
+  },
+});
+
+export const fetchSavedJobs = () => async (dispatch) => {
+  dispatch(savedJobSlice.actions.requestForSavedJobs());
+  try {
+    const response = await axios.get(`${API_BASE_URL}/job/saved`, {
+      withCredentials: true,
+    });
+    dispatch(
+      savedJobSlice.actions.successForSavedJobs(response.data.savedJobs)
+    );
+  } catch (error) {
+    dispatch(
+      savedJobSlice.actions.failureForSavedJobs(error.response.data.message)
+    );
+  }
+};
+
+export const saveJob = (jobId) => async (dispatch) => {
+  try {
+    const response = await axios.post(
+      `${API_BASE_URL}/job/save/${jobId}`,
+      {},
+      { withCredentials: true }
+    );
+    dispatch(savedJobSlice.actions.successForSaveJob(response.data));
+  } catch (error) {
+    dispatch(
+      savedJobSlice.actions.failureForToggleSavedJob(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const unsaveJob = (id) => async (dispatch) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/job/save/${id}`, {
+      withCredentials: true,
+    });
+    dispatch(savedJobSlice.actions.successForUnsaveJob(response.data));
+  } catch (error) {
+    dispatch(
+      savedJobSlice.actions.failureForToggleSavedJob(
+        error.response.data.message
+      )
+    );
+  }
+};
+
+export const clearAllSavedJobErrors = () => (dispatch) => {
+  dispatch(savedJobSlice.actions.clearAllErrors());
+};
+
+export default savedJobSlice.reducer;
@@ -0,0 +1,55 @@
+import { createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+import API_BASE_URL from "../../config/api.js";
+
+const unsubscribeSlice = createSlice({
+  name: "unsubscribe",
+  initialState: {
+    loading: false,
+    error: null,
+    message: null,
+    unsubscribed: false,
+  },
+  reducers: {
+    unsubscribeRequest(state) {
+      state.loading = true;
+      state.error = null;
+      state.message = null;
+      state.unsubscribed = false;
+    },
+    unsubscribeSuccess(state, action) {
+      state.loading = false;
+      state.error = null;
+      state.message = action.payload;
+      state.unsubscribed = true;
+    },
+    unsubscribeFailed(state, action) {
+      state.loading = false;
+      state.error = action.payload;
+      state.message = null;
+      state.unsubscribed = false;
+    },
+  },
+});
+
+export const unsubscribe = (token) => async (dispatch) => {
+  dispatch(unsubscribeSlice.actions.unsubscribeRequest());
+  try {
+    const response = await axios.post(
+      `${API_BASE_URL}/user/unsubscribe/${token}`,
+      {},
+      { withCredentials: true }
+    );
+    dispatch(
+      unsubscribeSlice.actions.unsubscribeSuccess(response.data.message)
+    );
+  } catch (error) {
+    dispatch(
+      unsubscribeSlice.actions.unsubscribeFailed(
+        error.response?.data?.message || "Failed to unsubscribe."
+      )
+    );
+  }
+};
+
+export default unsubscribeSlice.reducer;
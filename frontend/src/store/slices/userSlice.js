@@ -161,8 +161,7 @@ export const getUser = () => async (dispatch) => {
   } catch (error) {
     // Don't display authentication errors when checking logged-in status
     // Just set the state as not authenticated without error messages
-    if (error.response && error.response.status === 400 && 
-        error.response.data.message === "User is not authenticated.") {
+    if (error.response && error.response.status === 401) {
       dispatch(userSlice.actions.fetchUserFailed(null));
     } else {
       dispatch(userSlice.actions.fetchUserFailed(error.response?.data?.message || "An error occurred"));
@@ -187,6 +186,22 @@ export const logout = () => async (dispatch) => {
   }
 };
 
+export const logoutAllDevices = () => async (dispatch) => {
+  try {
+    await axios.post(
+      `${API_BASE_URL}/user/logout/all`,
+      {},
+      {
+        withCredentials: true,
+      }
+    );
+    dispatch(userSlice.actions.logoutSuccess());
+    dispatch(userSlice.actions.clearAllErrors());
+  } catch (error) {
+    dispatch(userSlice.actions.logoutFailed(error.response?.data?.message || "An error occurred during logout"));
+  }
+};
+
 export const clearAllUserErrors = () => (dispatch) => {
   dispatch(userSlice.actions.clearAllErrors());
 };
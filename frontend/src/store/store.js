@@ -3,13 +3,33 @@ import jobReducer from "./slices/jobSlice";
 import userReducer from "./slices/userSlice";
 import applicationReducer from "./slices/applicationSlice";
 import updateProfileReducer from "./slices/updateProfileSlice";
+import forgotResetPasswordReducer from "./slices/forgotResetPasswordSlice";
+import emailVerificationReducer from "./slices/emailVerificationSlice";
+import savedJobReducer from "./slices/savedJobSlice";
+import jobAlertReducer from "./slices/jobAlertSlice";
+import unsubscribeReducer from "./slices/unsubscribeSlice";
+import notificationSettingsReducer from "./slices/notificationSettingsSlice";
+import notificationReducer from "./slices/notificationSlice";
+import messageReducer from "./slices/messageSlice";
+import interviewReducer from "./slices/interviewSlice";
+import companyReducer from "./slices/companySlice";
 
 const store = configureStore({
   reducer: {
     user: userReducer,
     jobs: jobReducer,
     applications: applicationReducer,
-    updateProfile: updateProfileReducer
+    updateProfile: updateProfileReducer,
+    forgotPassword: forgotResetPasswordReducer,
+    emailVerification: emailVerificationReducer,
+    savedJobs: savedJobReducer,
+    jobAlerts: jobAlertReducer,
+    unsubscribe: unsubscribeReducer,
+    notificationSettings: notificationSettingsReducer,
+    notifications: notificationReducer,
+    messages: messageReducer,
+    interviews: interviewReducer,
+    companies: companyReducer,
   },
 });
 